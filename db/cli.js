@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Database command line: migrations, rollbacks, status and seeds.
+//
+//   node db/cli.js migrate [version]   apply pending migrations (up to version)
+//   node db/cli.js rollback [steps]    revert the last applied migration(s)
+//   node db/cli.js status              list migrations and when they were applied
+//   node db/cli.js seed [name ...]     run all seeds, or only the named ones
+const { createPool } = require('./config');
+const { migrator } = require('./migrator');
+const { loadSeeds, runSeeds } = require('./seeds');
+
+const USAGE = `Usage: node db/cli.js <command>
+
+Commands:
+  migrate [version]   Apply pending migrations, optionally only up to version
+  rollback [steps]    Revert the last applied migration, or the last <steps>
+  status              Show every migration and whether it has been applied
+  seed [name ...]     Run every seed, or only the named ones (${loadSeeds().map(seed => seed.name).join(', ')})`;
+
+const parseCount = (value, label) => {
+    const count = parseInt(value, 10);
+    if (Number.isNaN(count) || count < 1) {
+        throw new Error(`${label} must be a positive number`);
+    }
+    return count;
+};
+
+const commands = {
+    async migrate(pool, [version]) {
+        const applied = await migrator.migrate(pool, { target: version ? parseCount(version, 'version') : Infinity });
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Database is up to date');
+    },
+
+    async rollback(pool, [steps]) {
+        const reverted = await migrator.rollback(pool, { steps: steps ? parseCount(steps, 'steps') : 1 });
+        console.log(reverted.length > 0 ? `✅ Rolled back ${reverted.join(', ')}` : 'Nothing to roll back');
+    },
+
+    async status(pool) {
+        for (const migration of await migrator.status(pool)) {
+            const state = migration.missing ? 'applied, file missing' : 
+                migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+            console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(40)}  ${state}`);
+        }
+    },
+
+    async seed(pool, names) {
+        await runSeeds(pool, names);
+    }
+};
+
+const main = async () => {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    const pool = createPool();
+    try {
+        await commands[command](pool, args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+};
+
+main();
@@ -0,0 +1,29 @@
+// MySQL Database Configuration, shared by the server and the db CLI
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+
+// Connections work in UTC: TIMESTAMP values and NOW() are UTC on the server and
+// mysql2 reads and writes JavaScript Dates as UTC, so instants never shift with
+// the MySQL server's or the host's timezone. DATE columns come back as
+// YYYY-MM-DD strings because a calendar date has no timezone.
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'school_attendance',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    timezone: 'Z',
+    dateStrings: ['DATE']
+};
+
+const createPool = () => {
+    const pool = mysql.createPool(dbConfig);
+    pool.on('connection', connection => {
+        connection.query("SET time_zone = '+00:00'");
+    });
+    return pool;
+};
+
+module.exports = { dbConfig, createPool };
@@ -0,0 +1,80 @@
+// The tables as the first release created them. Databases set up by that
+// release already have them, so every statement is IF NOT EXISTS.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS students (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                card_id VARCHAR(50) UNIQUE NOT NULL,
+                parent_phone VARCHAR(20),
+                parent_email VARCHAR(100),
+                class VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS attendance (
+                id VARCHAR(36) PRIMARY KEY,
+                student_id VARCHAR(36) NOT NULL,
+                student_name VARCHAR(100) NOT NULL,
+                card_id VARCHAR(50) NOT NULL,
+                date DATE NOT NULL,
+                timestamp TIME NOT NULL,
+                status ENUM('present', 'absent') NOT NULL,
+                auto_marked BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+                INDEX idx_date (date),
+                INDEX idx_student_date (student_id, date)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id VARCHAR(36) PRIMARY KEY,
+                student_id VARCHAR(36) NOT NULL,
+                student_name VARCHAR(100) NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                message TEXT,
+                status ENUM('pending', 'sent') DEFAULT 'pending',
+                consecutive_absent_days INT DEFAULT 0,
+                sent_date TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS daily_reports (
+                id VARCHAR(36) PRIMARY KEY,
+                date DATE NOT NULL,
+                day_number INT NOT NULL,
+                total_students INT NOT NULL,
+                present_count INT NOT NULL,
+                absent_count INT NOT NULL,
+                attendance_rate INT NOT NULL,
+                generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_date (date)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS system_settings (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                setting_key VARCHAR(50) UNIQUE NOT NULL,
+                setting_value TEXT,
+                description VARCHAR(255),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(connection) {
+        await dropTables(connection, ['system_settings', 'daily_reports', 'notifications', 'attendance', 'students']);
+    }
+};
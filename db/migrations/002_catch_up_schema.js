@@ -0,0 +1,396 @@
+// Brings the first release's tables up to the schema the server had when
+// versioned migrations were introduced, and creates every table added since.
+// Some databases were upgraded in between by the old start-up code, so each
+// change checks whether it has already been made.
+const {
+    addColumn,
+    dropColumn,
+    addIndex,
+    dropIndex,
+    foreignKeyExists,
+    dropForeignKeys,
+    dropTables
+} = require('../schema');
+
+const NEW_TABLES = [
+    'classes', 'timetable_periods', 'period_attendance', 'notification_attempts', 'school_days',
+    'academic_terms', 'calendar_closures', 'alert_rules', 'alert_rule_overrides', 'alert_states',
+    'live_events', 'devices', 'device_scans', 'users', 'api_keys', 'audit_log'
+];
+
+const cleanClassName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+// "Grade 5A" -> grade 5, section A
+const parseClassName = (name) => {
+    const match = name.match(/(\d+)\s*([A-Za-z]{1,3})?\s*$/);
+    return {
+        gradeLevel: match ? parseInt(match[1], 10) : null,
+        section: match && match[2] ? match[2].toUpperCase() : null
+    };
+};
+
+// Moves students from the free-text class column onto class records. Spellings
+// that differ only in case or spacing ("Grade 5A", "grade  5a") end up in the
+// same class, named after the most used spelling.
+const migrateStudentClasses = async (connection) => {
+    const [unlinked] = await connection.query(
+        `SELECT class, COUNT(*) AS count 
+         FROM students 
+         WHERE class_id IS NULL AND class IS NOT NULL AND TRIM(class) != '' 
+         GROUP BY class 
+         ORDER BY count DESC`
+    );
+
+    for (const row of unlinked) {
+        const name = cleanClassName(row.class);
+        const [existing] = await connection.query('SELECT id, name FROM classes WHERE name = ?', [name]);
+        let classRow = existing[0];
+
+        if (!classRow) {
+            const { gradeLevel, section } = parseClassName(name);
+            const [[{ id }]] = await connection.query('SELECT UUID() AS id');
+            await connection.query(
+                'INSERT INTO classes (id, name, grade_level, section) VALUES (?, ?, ?, ?)',
+                [id, name, gradeLevel, section]
+            );
+            classRow = { id, name };
+        }
+
+        await connection.query(
+            'UPDATE students SET class_id = ?, class = ? WHERE class_id IS NULL AND class = ?',
+            [classRow.id, classRow.name, row.class]
+        );
+    }
+};
+
+module.exports = {
+    async up(connection) {
+        // Classes table
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS classes (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(50) UNIQUE NOT NULL,
+                grade_level INT NULL,
+                section VARCHAR(10) NULL,
+                homeroom_teacher_id VARCHAR(36) NULL,
+                capacity INT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_homeroom_teacher (homeroom_teacher_id)
+            )
+        `);
+
+        // Timetable periods (weekday 0 = Sunday, same as non_school_weekdays)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS timetable_periods (
+                id VARCHAR(36) PRIMARY KEY,
+                class_id VARCHAR(36) NOT NULL,
+                weekday TINYINT NOT NULL,
+                period_number INT NOT NULL,
+                subject VARCHAR(100) NOT NULL,
+                teacher_id VARCHAR(36) NULL,
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_class_period (class_id, weekday, period_number),
+                INDEX idx_teacher (teacher_id)
+            )
+        `);
+
+        // Per-lesson register, one row per student per period per date
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS period_attendance (
+                id VARCHAR(36) PRIMARY KEY,
+                period_id VARCHAR(36) NOT NULL,
+                student_id VARCHAR(36) NOT NULL,
+                date DATE NOT NULL,
+                status ENUM('present', 'absent', 'late', 'excused') NOT NULL,
+                note VARCHAR(255) NULL,
+                recorded_by VARCHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (period_id) REFERENCES timetable_periods(id) ON DELETE CASCADE,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_period_student_date (period_id, student_id, date),
+                INDEX idx_date (date)
+            )
+        `);
+
+        // Notification delivery attempts (one row per channel per attempt)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS notification_attempts (
+                id VARCHAR(36) PRIMARY KEY,
+                notification_id VARCHAR(36) NOT NULL,
+                attempt_number INT NOT NULL,
+                channel ENUM('email', 'sms') NOT NULL,
+                provider VARCHAR(20) NOT NULL,
+                recipient VARCHAR(100) NOT NULL,
+                status ENUM('delivered', 'failed') NOT NULL,
+                error TEXT NULL,
+                provider_message_id VARCHAR(255) NULL,
+                attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+                INDEX idx_notification (notification_id)
+            )
+        `);
+
+        // School days table (persistent day scheduler state)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS school_days (
+                id VARCHAR(36) PRIMARY KEY,
+                day_number INT UNIQUE NOT NULL,
+                date DATE NOT NULL,
+                started_at DATETIME NOT NULL,
+                opens_at DATETIME NOT NULL,
+                late_at DATETIME NOT NULL,
+                cutoff_at DATETIME NOT NULL,
+                ends_at DATETIME NOT NULL,
+                cutoff_processed_at DATETIME NULL,
+                status ENUM('open', 'closed') DEFAULT 'open',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_status (status),
+                INDEX idx_cutoff (cutoff_processed_at, cutoff_at)
+            )
+        `);
+
+        // Academic terms table
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS academic_terms (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Public holidays and ad-hoc closures
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS calendar_closures (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                type ENUM('holiday', 'closure') NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_dates (start_date, end_date)
+            )
+        `);
+
+        // Absence alert rules
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS alert_rules (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                type ENUM('consecutive_absence', 'absence_rate', 'repeated_lateness', 'first_absence_of_term') NOT NULL,
+                params JSON NOT NULL,
+                cooldown_days INT NOT NULL DEFAULT 7,
+                escalation JSON NOT NULL,
+                enabled BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Per-class changes to an alert rule
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS alert_rule_overrides (
+                id VARCHAR(36) PRIMARY KEY,
+                rule_id VARCHAR(36) NOT NULL,
+                class VARCHAR(50) NOT NULL,
+                params JSON NULL,
+                cooldown_days INT NULL,
+                enabled BOOLEAN NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_rule_class (rule_id, class),
+                FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Where each student stands on each rule (cool-down and escalation tracking)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS alert_states (
+                rule_id VARCHAR(36) NOT NULL,
+                student_id VARCHAR(36) NOT NULL,
+                escalation_level INT NOT NULL DEFAULT 0,
+                last_value DECIMAL(8, 2) NULL,
+                last_alerted_at DATETIME NULL,
+                active BOOLEAN DEFAULT TRUE,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (rule_id, student_id),
+                FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE CASCADE,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Live dashboard events (replayed to SSE clients that reconnect)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS live_events (
+                id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                type VARCHAR(50) NOT NULL,
+                class VARCHAR(50) NULL,
+                payload JSON NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created (created_at)
+            )
+        `);
+
+        // Card reader devices
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS devices (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                location VARCHAR(100),
+                api_key_id VARCHAR(36) UNIQUE NULL,
+                last_heartbeat_at DATETIME NULL,
+                last_ip VARCHAR(45) NULL,
+                firmware_version VARCHAR(50) NULL,
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Scans sent with a client-generated ID; replays return the stored response
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS device_scans (
+                id VARCHAR(36) PRIMARY KEY,
+                scan_id VARCHAR(64) UNIQUE NOT NULL,
+                device_id VARCHAR(36) NULL,
+                card_id VARCHAR(50) NOT NULL,
+                scanned_at DATETIME NOT NULL,
+                result VARCHAR(30) NOT NULL,
+                http_status INT NULL,
+                response JSON NULL,
+                attendance_id VARCHAR(36) NULL,
+                received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_device (device_id, scanned_at)
+            )
+        `);
+
+        // Users table (dashboard accounts)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id VARCHAR(36) PRIMARY KEY,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                full_name VARCHAR(100),
+                email VARCHAR(100),
+                phone VARCHAR(20),
+                role ENUM('admin', 'teacher', 'viewer') NOT NULL DEFAULT 'viewer',
+                active BOOLEAN DEFAULT TRUE,
+                last_login_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        // API keys table (card readers)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                key_prefix VARCHAR(12) NOT NULL,
+                key_hash CHAR(64) UNIQUE NOT NULL,
+                scope VARCHAR(50) NOT NULL DEFAULT 'card_reader',
+                active BOOLEAN DEFAULT TRUE,
+                last_used_at TIMESTAMP NULL,
+                created_by VARCHAR(36),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Audit log (append-only; no foreign keys so entries outlive the rows they describe)
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                entity_type VARCHAR(30) NOT NULL,
+                entity_id VARCHAR(100) NOT NULL,
+                action VARCHAR(30) NOT NULL,
+                actor_type ENUM('user', 'api_key', 'system') NOT NULL,
+                actor_id VARCHAR(36) NULL,
+                actor_name VARCHAR(100) NULL,
+                reason VARCHAR(255) NULL,
+                before_data JSON NULL,
+                after_data JSON NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_entity (entity_type, entity_id),
+                INDEX idx_actor (actor_id),
+                INDEX idx_created (created_at)
+            )
+        `);
+
+        // Students reference a class record; class keeps a copy of its name for display
+        await addColumn(connection, 'students', 'class_id', 'VARCHAR(36) NULL AFTER class');
+        if (!(await foreignKeyExists(connection, 'students', 'class_id'))) {
+            await connection.query('ALTER TABLE students ADD FOREIGN KEY (class_id) REFERENCES classes(id)');
+        }
+        await migrateStudentClasses(connection);
+
+        // Late and excused statuses, check-out and the reason for an excused absence
+        await connection.query(
+            "ALTER TABLE attendance MODIFY status ENUM('present', 'absent', 'late', 'excused') NOT NULL"
+        );
+        await addColumn(connection, 'attendance', 'check_out_time', 'TIME NULL AFTER timestamp');
+        await addColumn(connection, 'attendance', 'reason', 'VARCHAR(255) NULL AFTER auto_marked');
+
+        // Notification outbox and alert escalation
+        await connection.query(
+            "ALTER TABLE notifications MODIFY status ENUM('pending', 'sent', 'delivered', 'failed') DEFAULT 'pending'"
+        );
+        await addColumn(connection, 'notifications', 'recipient', 
+            "ENUM('parent', 'class_teacher', 'head_teacher') NOT NULL DEFAULT 'parent' AFTER status");
+        await addColumn(connection, 'notifications', 'alert_rule_id', 'VARCHAR(36) NULL AFTER recipient');
+        await addColumn(connection, 'notifications', 'escalation_level', 'INT NULL AFTER alert_rule_id');
+        await addColumn(connection, 'notifications', 'attempts', 'INT NOT NULL DEFAULT 0 AFTER consecutive_absent_days');
+        await addColumn(connection, 'notifications', 'next_attempt_at', 'DATETIME NULL AFTER attempts');
+        await addColumn(connection, 'notifications', 'locked_by', 'VARCHAR(36) NULL AFTER next_attempt_at');
+        await addColumn(connection, 'notifications', 'locked_until', 'DATETIME NULL AFTER locked_by');
+        await addColumn(connection, 'notifications', 'last_error', 'TEXT NULL AFTER locked_until');
+        await addColumn(connection, 'notifications', 'delivered_at', 'TIMESTAMP NULL AFTER sent_date');
+        await addIndex(connection, 'notifications', 'idx_outbox', 'INDEX idx_outbox (status, next_attempt_at)');
+
+        await addColumn(connection, 'daily_reports', 'late_count', 'INT NOT NULL DEFAULT 0 AFTER absent_count');
+        await addColumn(connection, 'daily_reports', 'excused_count', 'INT NOT NULL DEFAULT 0 AFTER late_count');
+
+        // Default alert rule, matching the original "3 consecutive days" behaviour
+        const [rules] = await connection.query('SELECT COUNT(*) AS count FROM alert_rules');
+        if (rules[0].count === 0) {
+            await connection.query(
+                `INSERT INTO alert_rules (id, name, type, params, cooldown_days, escalation) 
+                 VALUES (UUID(), '3 consecutive absences', 'consecutive_absence', ?, 7, ?)`,
+                [JSON.stringify({ days: 3 }), JSON.stringify(['parent', 'class_teacher', 'head_teacher'])]
+            );
+        }
+    },
+
+    // Statuses the first release did not have are folded into the closest one it did
+    async down(connection) {
+        await dropColumn(connection, 'daily_reports', 'excused_count');
+        await dropColumn(connection, 'daily_reports', 'late_count');
+
+        await dropIndex(connection, 'notifications', 'idx_outbox');
+        for (const column of ['delivered_at', 'last_error', 'locked_until', 'locked_by', 'next_attempt_at', 
+            'attempts', 'escalation_level', 'alert_rule_id', 'recipient']) {
+            await dropColumn(connection, 'notifications', column);
+        }
+        await connection.query("UPDATE notifications SET status = 'sent' WHERE status = 'delivered'");
+        await connection.query("UPDATE notifications SET status = 'pending' WHERE status = 'failed'");
+        await connection.query("ALTER TABLE notifications MODIFY status ENUM('pending', 'sent') DEFAULT 'pending'");
+
+        await dropColumn(connection, 'attendance', 'reason');
+        await dropColumn(connection, 'attendance', 'check_out_time');
+        await connection.query("UPDATE attendance SET status = 'present' WHERE status = 'late'");
+        await connection.query("UPDATE attendance SET status = 'absent' WHERE status = 'excused'");
+        await connection.query("ALTER TABLE attendance MODIFY status ENUM('present', 'absent') NOT NULL");
+
+        await dropForeignKeys(connection, 'students', 'class_id');
+        await dropColumn(connection, 'students', 'class_id');
+
+        await dropTables(connection, [...NEW_TABLES].reverse());
+    }
+};
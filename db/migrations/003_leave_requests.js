@@ -0,0 +1,36 @@
+// Leave requests: a parent or staff member asks for a student to be excused
+// over a date range; approved leave turns those days into excused attendance.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS leave_requests (
+                id VARCHAR(36) PRIMARY KEY,
+                student_id VARCHAR(36) NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                reason VARCHAR(500) NOT NULL,
+                status ENUM('pending', 'approved', 'rejected', 'cancelled') NOT NULL DEFAULT 'pending',
+                requested_by_type ENUM('parent', 'staff') NOT NULL DEFAULT 'staff',
+                requested_by VARCHAR(36) NULL,
+                requester_name VARCHAR(100) NULL,
+                attachment_name VARCHAR(255) NULL,
+                attachment_type VARCHAR(100) NULL,
+                attachment MEDIUMBLOB NULL,
+                reviewed_by VARCHAR(36) NULL,
+                reviewed_at DATETIME NULL,
+                review_comment VARCHAR(500) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+                INDEX idx_student_dates (student_id, status, start_date, end_date),
+                INDEX idx_status (status)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await dropTables(connection, ['leave_requests']);
+    }
+};
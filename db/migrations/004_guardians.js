@@ -0,0 +1,105 @@
+// Guardians linked many-to-many to students, with their notification
+// preferences and one-time login codes. Existing parent_phone/parent_email
+// values become guardians; students sharing a phone or email share a guardian.
+// Parents can now change things themselves, so they become an audit actor too.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS guardians (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                phone VARCHAR(20) NULL UNIQUE,
+                email VARCHAR(100) NULL UNIQUE,
+                preferred_channel ENUM('email', 'sms', 'both') NOT NULL DEFAULT 'both',
+                language VARCHAR(10) NOT NULL DEFAULT 'en',
+                quiet_hours_start TIME NULL,
+                quiet_hours_end TIME NULL,
+                active BOOLEAN DEFAULT TRUE,
+                last_login_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS student_guardians (
+                student_id VARCHAR(36) NOT NULL,
+                guardian_id VARCHAR(36) NOT NULL,
+                relationship VARCHAR(50) NULL,
+                is_primary BOOLEAN DEFAULT FALSE,
+                receives_notifications BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (student_id, guardian_id),
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+                FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE CASCADE,
+                INDEX idx_guardian (guardian_id)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS guardian_otps (
+                id VARCHAR(36) PRIMARY KEY,
+                guardian_id VARCHAR(36) NOT NULL,
+                channel ENUM('email', 'sms') NOT NULL,
+                code_hash CHAR(64) NOT NULL,
+                attempts INT NOT NULL DEFAULT 0,
+                expires_at DATETIME NOT NULL,
+                consumed_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (guardian_id) REFERENCES guardians(id) ON DELETE CASCADE,
+                INDEX idx_guardian_created (guardian_id, created_at)
+            )
+        `);
+
+        await connection.query(
+            "ALTER TABLE audit_log MODIFY actor_type ENUM('user', 'api_key', 'guardian', 'system') NOT NULL"
+        );
+
+        const [students] = await connection.query(
+            `SELECT id, name, parent_phone, parent_email FROM students 
+             WHERE (parent_phone IS NOT NULL AND parent_phone != '') OR (parent_email IS NOT NULL AND parent_email != '') 
+             ORDER BY created_at`
+        );
+
+        for (const student of students) {
+            const phone = student.parent_phone || null;
+            const email = student.parent_email ? student.parent_email.toLowerCase() : null;
+
+            const [matches] = await connection.query(
+                'SELECT id, phone, email FROM guardians WHERE email = ? OR phone = ? LIMIT 1',
+                [email, phone]
+            );
+            let guardianId = matches.length > 0 ? matches[0].id : null;
+
+            if (!guardianId) {
+                [[{ id: guardianId }]] = await connection.query('SELECT UUID() AS id');
+                await connection.query(
+                    'INSERT INTO guardians (id, name, phone, email) VALUES (?, ?, ?, ?)',
+                    [guardianId, `Parent of ${student.name}`, phone, email]
+                );
+            } else {
+                // Fill in whichever contact the first match was missing, unless another guardian has it
+                await connection.query(
+                    `UPDATE IGNORE guardians SET phone = COALESCE(phone, ?), email = COALESCE(email, ?) WHERE id = ?`,
+                    [phone, email, guardianId]
+                );
+            }
+
+            await connection.query(
+                `INSERT IGNORE INTO student_guardians (student_id, guardian_id, relationship, is_primary) 
+                 VALUES (?, ?, 'parent', TRUE)`,
+                [student.id, guardianId]
+            );
+        }
+    },
+
+    async down(connection) {
+        await connection.query("UPDATE audit_log SET actor_type = 'system' WHERE actor_type = 'guardian'");
+        await connection.query(
+            "ALTER TABLE audit_log MODIFY actor_type ENUM('user', 'api_key', 'system') NOT NULL"
+        );
+        await dropTables(connection, ['guardian_otps', 'student_guardians', 'guardians']);
+    }
+};
@@ -0,0 +1,21 @@
+// Indexes behind the default sort orders and common filters of the paginated
+// list endpoints, so counting and paging does not scan whole tables.
+const { addIndex, dropIndex } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await addIndex(connection, 'students', 'idx_name', 'INDEX idx_name (name)');
+        await addIndex(connection, 'students', 'idx_class', 'INDEX idx_class (class)');
+        await addIndex(connection, 'attendance', 'idx_date_time', 'INDEX idx_date_time (date, timestamp)');
+        await addIndex(connection, 'notifications', 'idx_created', 'INDEX idx_created (created_at)');
+        await addIndex(connection, 'notifications', 'idx_type', 'INDEX idx_type (type)');
+    },
+
+    async down(connection) {
+        await dropIndex(connection, 'notifications', 'idx_type');
+        await dropIndex(connection, 'notifications', 'idx_created');
+        await dropIndex(connection, 'attendance', 'idx_date_time');
+        await dropIndex(connection, 'students', 'idx_class');
+        await dropIndex(connection, 'students', 'idx_name');
+    }
+};
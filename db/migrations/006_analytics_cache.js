@@ -0,0 +1,21 @@
+// Cached analytics results, shared by every instance. Rows are keyed by the
+// endpoint and its parameters and are recomputed once they expire.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS analytics_cache (
+                cache_key VARCHAR(191) PRIMARY KEY,
+                payload LONGTEXT NOT NULL,
+                computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                INDEX idx_expires (expires_at)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await dropTables(connection, ['analytics_cache']);
+    }
+};
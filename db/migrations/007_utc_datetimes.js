@@ -0,0 +1,38 @@
+// The server now keeps every connection in UTC. DATETIME columns were written in
+// the MySQL server's own timezone until now, so existing values are shifted to UTC
+// (TIMESTAMP columns are stored as UTC already and need nothing).
+const DATETIME_COLUMNS = {
+    school_days: ['started_at', 'opens_at', 'late_at', 'cutoff_at', 'ends_at', 'cutoff_processed_at'],
+    alert_states: ['last_alerted_at'],
+    devices: ['last_heartbeat_at'],
+    device_scans: ['scanned_at'],
+    notifications: ['next_attempt_at', 'locked_until'],
+    leave_requests: ['reviewed_at'],
+    guardian_otps: ['expires_at', 'consumed_at'],
+    analytics_cache: ['expires_at']
+};
+
+const shiftDatetimes = async (connection, from, to) => {
+    // CONVERT_TZ gives NULL for a named zone when MySQL's timezone tables are not loaded
+    const [check] = await connection.query(`SELECT CONVERT_TZ('2000-01-01 00:00:00', ${from}, ${to}) AS converted`);
+    if (check[0].converted === null) {
+        console.warn('⚠️  MySQL cannot convert from its global timezone, leaving DATETIME values as they are');
+        return;
+    }
+
+    for (const [table, columns] of Object.entries(DATETIME_COLUMNS)) {
+        await connection.query(
+            `UPDATE ${table} SET ${columns.map(column => `${column} = CONVERT_TZ(${column}, ${from}, ${to})`).join(', ')}`
+        );
+    }
+};
+
+module.exports = {
+    async up(connection) {
+        await shiftDatetimes(connection, '@@global.time_zone', "'+00:00'");
+    },
+
+    async down(connection) {
+        await shiftDatetimes(connection, "'+00:00'", '@@global.time_zone');
+    }
+};
@@ -0,0 +1,36 @@
+// Students are withdrawn or graduated instead of deleted. Their attendance,
+// lesson registers, notifications and leave requests must be kept, so those
+// foreign keys stop cascading: MySQL now refuses to delete a student with history.
+const { addColumn, dropColumn, addIndex, dropIndex, dropForeignKeys } = require('../schema');
+
+const HISTORY_TABLES = ['attendance', 'period_attendance', 'notifications', 'leave_requests'];
+
+const setStudentForeignKeys = async (connection, onDelete) => {
+    for (const table of HISTORY_TABLES) {
+        await dropForeignKeys(connection, table, 'student_id');
+        await connection.query(
+            `ALTER TABLE ${table} ADD FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE ${onDelete}`
+        );
+    }
+};
+
+module.exports = {
+    async up(connection) {
+        await addColumn(connection, 'students', 'status', 
+            "ENUM('active', 'withdrawn', 'graduated') NOT NULL DEFAULT 'active' AFTER class_id");
+        await addColumn(connection, 'students', 'left_at', 'DATE NULL AFTER status');
+        await addColumn(connection, 'students', 'left_reason', 'VARCHAR(255) NULL AFTER left_at');
+        await addIndex(connection, 'students', 'idx_status', 'INDEX idx_status (status)');
+
+        await setStudentForeignKeys(connection, 'RESTRICT');
+    },
+
+    async down(connection) {
+        await setStudentForeignKeys(connection, 'CASCADE');
+
+        await dropIndex(connection, 'students', 'idx_status');
+        await dropColumn(connection, 'students', 'left_reason');
+        await dropColumn(connection, 'students', 'left_at');
+        await dropColumn(connection, 'students', 'status');
+    }
+};
@@ -0,0 +1,57 @@
+// Credentials a student checks in with: RFID cards, QR codes and PINs. A student
+// can hold several at once and rows are never deleted, so the table is also the
+// issue/revoke history. students.card_id stays as the student's current card and
+// becomes optional; attendance records which credential was used (card_id is
+// now empty for PIN check-ins and for students without a card).
+const { addColumn, dropColumn, dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS credentials (
+                id VARCHAR(36) PRIMARY KEY,
+                student_id VARCHAR(36) NOT NULL,
+                type ENUM('card', 'qr', 'pin') NOT NULL,
+                value VARCHAR(100) NOT NULL,
+                status ENUM('active', 'lost', 'blocked', 'revoked') NOT NULL DEFAULT 'active',
+                expires_at DATETIME NULL,
+                issued_by VARCHAR(36) NULL,
+                issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                status_changed_by VARCHAR(36) NULL,
+                status_changed_at DATETIME NULL,
+                status_reason VARCHAR(255) NULL,
+                last_used_at DATETIME NULL,
+                last_rejected_at DATETIME NULL,
+                FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE RESTRICT,
+                INDEX idx_lookup (type, value),
+                INDEX idx_student (student_id)
+            )
+        `);
+
+        await connection.query(`
+            INSERT INTO credentials (id, student_id, type, value, status) 
+            SELECT UUID(), s.id, 'card', s.card_id, 'active' 
+            FROM students s 
+            WHERE s.card_id IS NOT NULL 
+            AND NOT EXISTS (SELECT 1 FROM credentials c WHERE c.student_id = s.id AND c.type = 'card' AND c.value = s.card_id)
+        `);
+
+        await connection.query('ALTER TABLE students MODIFY card_id VARCHAR(50) NULL');
+        // QR codes are longer than card numbers
+        await connection.query('ALTER TABLE attendance MODIFY card_id VARCHAR(100) NULL');
+        await connection.query('ALTER TABLE device_scans MODIFY card_id VARCHAR(100) NOT NULL');
+        await addColumn(connection, 'attendance', 'credential_id', 'VARCHAR(36) NULL AFTER card_id');
+    },
+
+    async down(connection) {
+        await dropColumn(connection, 'attendance', 'credential_id');
+        await connection.query("UPDATE attendance SET card_id = LEFT(COALESCE(card_id, ''), 50)");
+        await connection.query('UPDATE device_scans SET card_id = LEFT(card_id, 50)');
+        await connection.query('ALTER TABLE attendance MODIFY card_id VARCHAR(50) NOT NULL');
+        await connection.query('ALTER TABLE device_scans MODIFY card_id VARCHAR(50) NOT NULL');
+        // Students left without a card get a placeholder so the column can be required again
+        await connection.query('UPDATE students SET card_id = id WHERE card_id IS NULL');
+        await connection.query('ALTER TABLE students MODIFY card_id VARCHAR(50) NOT NULL');
+        await dropTables(connection, ['credentials']);
+    }
+};
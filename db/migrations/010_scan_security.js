@@ -0,0 +1,59 @@
+// Scan log and scan alerts. scan_events records every scan attempt, including
+// unknown credentials, repeats and rate-limited scans; PIN values are stored
+// hashed like in credentials. scan_alerts holds suspicious patterns found in the
+// log until staff acknowledge them.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS scan_events (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                device_id VARCHAR(36) NULL,
+                recorded_by VARCHAR(36) NULL,
+                scan_id VARCHAR(100) NULL,
+                credential_type ENUM('card', 'qr', 'pin') NOT NULL,
+                credential_value VARCHAR(100) NOT NULL,
+                credential_id VARCHAR(36) NULL,
+                student_id VARCHAR(36) NULL,
+                outcome ENUM('check_in', 'check_out', 'rejected', 'unknown', 'refused',
+                             'debounced', 'duplicate', 'rate_limited') NOT NULL,
+                http_status SMALLINT NOT NULL,
+                message VARCHAR(255) NULL,
+                scanned_at DATETIME NOT NULL,
+                received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_credential (credential_type, credential_value, scanned_at),
+                INDEX idx_device (device_id, received_at),
+                INDEX idx_student (student_id, scanned_at),
+                INDEX idx_scanned (scanned_at)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS scan_alerts (
+                id VARCHAR(36) PRIMARY KEY,
+                type ENUM('multi_gate', 'unknown_burst', 'outside_hours', 'blocked_credential') NOT NULL,
+                alert_key VARCHAR(191) NOT NULL,
+                message VARCHAR(255) NOT NULL,
+                device_id VARCHAR(36) NULL,
+                student_id VARCHAR(36) NULL,
+                credential_id VARCHAR(36) NULL,
+                details JSON NULL,
+                occurrences INT NOT NULL DEFAULT 1,
+                first_seen_at DATETIME NOT NULL,
+                last_seen_at DATETIME NOT NULL,
+                status ENUM('open', 'acknowledged') NOT NULL DEFAULT 'open',
+                acknowledged_by VARCHAR(36) NULL,
+                acknowledged_at DATETIME NULL,
+                acknowledge_note VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_open (status, alert_key),
+                INDEX idx_last_seen (last_seen_at)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await dropTables(connection, ['scan_alerts', 'scan_events']);
+    }
+};
@@ -0,0 +1,82 @@
+// Staff members and their attendance. Staff tap the same readers as students
+// with their own cards, have their own late and absence cutoff times (stored on
+// each school day next to the student ones) and their own daily reports.
+const { addColumn, dropColumn, dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS staff (
+                id VARCHAR(36) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                role VARCHAR(100) NOT NULL,
+                department VARCHAR(100) NULL,
+                email VARCHAR(255) NULL,
+                phone VARCHAR(20) NULL,
+                card_id VARCHAR(100) NULL,
+                user_id VARCHAR(36) NULL,
+                status ENUM('active', 'left') NOT NULL DEFAULT 'active',
+                left_at DATETIME NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_card (card_id),
+                INDEX idx_status (status),
+                INDEX idx_department (department)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS staff_attendance (
+                id VARCHAR(36) PRIMARY KEY,
+                staff_id VARCHAR(36) NOT NULL,
+                staff_name VARCHAR(255) NOT NULL,
+                date DATE NOT NULL,
+                check_in_time TIME NULL,
+                check_out_time TIME NULL,
+                status ENUM('present', 'late', 'absent', 'on_leave') NOT NULL,
+                auto_marked BOOLEAN NOT NULL DEFAULT FALSE,
+                notes VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE RESTRICT,
+                UNIQUE KEY unique_staff_date (staff_id, date),
+                INDEX idx_date (date)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS staff_daily_reports (
+                id VARCHAR(36) PRIMARY KEY,
+                date DATE NOT NULL,
+                total_staff INT NOT NULL,
+                present_count INT NOT NULL,
+                late_count INT NOT NULL,
+                absent_count INT NOT NULL,
+                on_leave_count INT NOT NULL,
+                attendance_rate INT NOT NULL,
+                generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY unique_date (date)
+            )
+        `);
+
+        await addColumn(connection, 'school_days', 'staff_late_at', 'DATETIME NULL AFTER cutoff_at');
+        await addColumn(connection, 'school_days', 'staff_cutoff_at', 'DATETIME NULL AFTER staff_late_at');
+        await addColumn(connection, 'school_days', 'staff_cutoff_processed_at', 'DATETIME NULL AFTER cutoff_processed_at');
+        // Days from before staff were tracked run the staff cutoff with the student one
+        await connection.query(`
+            UPDATE school_days
+            SET staff_late_at = late_at, staff_cutoff_at = cutoff_at, staff_cutoff_processed_at = cutoff_processed_at
+            WHERE staff_cutoff_at IS NULL
+        `);
+
+        await addColumn(connection, 'scan_events', 'staff_id', 'VARCHAR(36) NULL AFTER student_id');
+    },
+
+    async down(connection) {
+        await dropColumn(connection, 'scan_events', 'staff_id');
+        await dropColumn(connection, 'school_days', 'staff_cutoff_processed_at');
+        await dropColumn(connection, 'school_days', 'staff_cutoff_at');
+        await dropColumn(connection, 'school_days', 'staff_late_at');
+        await dropTables(connection, ['staff_daily_reports', 'staff_attendance', 'staff']);
+    }
+};
@@ -0,0 +1,65 @@
+// Outbound webhooks. Every live event is queued in webhook_deliveries for each
+// active webhook subscribed to it; webhook_delivery_attempts keeps the response
+// to every try. Removing a webhook removes its delivery log with it.
+const { dropTables } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id VARCHAR(36) PRIMARY KEY,
+                url VARCHAR(2048) NOT NULL,
+                description VARCHAR(255) NULL,
+                events JSON NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by VARCHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id VARCHAR(36) PRIMARY KEY,
+                webhook_id VARCHAR(36) NOT NULL,
+                event_id BIGINT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                payload LONGTEXT NOT NULL,
+                status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+                attempts INT NOT NULL DEFAULT 0,
+                last_status_code INT NULL,
+                last_error VARCHAR(500) NULL,
+                next_attempt_at DATETIME NULL,
+                locked_by VARCHAR(36) NULL,
+                locked_until DATETIME NULL,
+                delivered_at DATETIME NULL,
+                redelivery_of VARCHAR(36) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+                INDEX idx_due (status, next_attempt_at),
+                INDEX idx_webhook (webhook_id, created_at)
+            )
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+                id VARCHAR(36) PRIMARY KEY,
+                delivery_id VARCHAR(36) NOT NULL,
+                attempt_number INT NOT NULL,
+                status ENUM('delivered', 'failed') NOT NULL,
+                status_code INT NULL,
+                error VARCHAR(500) NULL,
+                response_body VARCHAR(1000) NULL,
+                duration_ms INT NOT NULL,
+                attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+                INDEX idx_delivery (delivery_id)
+            )
+        `);
+    },
+
+    async down(connection) {
+        await dropTables(connection, ['webhook_delivery_attempts', 'webhook_deliveries', 'webhooks']);
+    }
+};
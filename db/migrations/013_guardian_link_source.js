@@ -0,0 +1,23 @@
+// Records where each student-guardian link came from. Links made from a
+// student's parent_phone/parent_email are 'contact' links and are replaced when
+// that contact changes; links an admin made by hand are left alone. Existing
+// links that share a phone or email with the student's contact count as contact links.
+const { addColumn, dropColumn } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await addColumn(connection, 'student_guardians', 'source', "ENUM('contact', 'manual') NOT NULL DEFAULT 'manual'");
+
+        await connection.query(
+            `UPDATE student_guardians sg 
+             JOIN students s ON sg.student_id = s.id 
+             JOIN guardians g ON sg.guardian_id = g.id 
+             SET sg.source = 'contact' 
+             WHERE g.phone = NULLIF(s.parent_phone, '') OR g.email = LOWER(NULLIF(s.parent_email, ''))`
+        );
+    },
+
+    async down(connection) {
+        await dropColumn(connection, 'student_guardians', 'source');
+    }
+};
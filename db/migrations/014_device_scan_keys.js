@@ -0,0 +1,32 @@
+// Client scan IDs only have to be unique per client, so device_scans is keyed on
+// (client_id, scan_id): the device that sent the scan, or the account that
+// entered it when no device was named. Each reservation also records which
+// credential it was for (hashed for PINs), so a replay can be checked against it.
+const { addColumn, dropColumn, addIndex, dropIndex } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await addColumn(connection, 'device_scans', 'client_id', "VARCHAR(36) NOT NULL DEFAULT '' AFTER scan_id");
+        await addColumn(connection, 'device_scans', 'credential_type', "ENUM('card', 'qr', 'pin') NULL AFTER device_id");
+        await connection.query("UPDATE device_scans SET client_id = COALESCE(device_id, '')");
+
+        await addIndex(connection, 'device_scans', 'unique_client_scan', 'UNIQUE KEY unique_client_scan (client_id, scan_id)');
+        await dropIndex(connection, 'device_scans', 'scan_id');
+        await addIndex(connection, 'device_scans', 'idx_processing', 'INDEX idx_processing (result, received_at)');
+    },
+
+    async down(connection) {
+        await dropIndex(connection, 'device_scans', 'idx_processing');
+        // Keep the newest row for each scan ID (the highest id among rows received together)
+        // so the old unique key can come back
+        await connection.query(
+            `DELETE older FROM device_scans older 
+             JOIN device_scans newer ON newer.scan_id = older.scan_id AND newer.id != older.id 
+             AND (newer.received_at > older.received_at OR (newer.received_at = older.received_at AND newer.id > older.id))`
+        );
+        await addIndex(connection, 'device_scans', 'scan_id', 'UNIQUE KEY scan_id (scan_id)');
+        await dropIndex(connection, 'device_scans', 'unique_client_scan');
+        await dropColumn(connection, 'device_scans', 'credential_type');
+        await dropColumn(connection, 'device_scans', 'client_id');
+    }
+};
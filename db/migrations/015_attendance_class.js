@@ -0,0 +1,24 @@
+// Each attendance row keeps the class the student was in on that day, so class
+// reports and analytics for past ranges are not rewritten when students are
+// promoted or move class. Existing rows can only be given the current class.
+const { addColumn, dropColumn, addIndex, dropIndex } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await addColumn(connection, 'attendance', 'class_id', 'VARCHAR(36) NULL AFTER student_name');
+        await addColumn(connection, 'attendance', 'class', 'VARCHAR(50) NULL AFTER class_id');
+        await connection.query(
+            `UPDATE attendance a 
+             JOIN students s ON a.student_id = s.id 
+             SET a.class_id = s.class_id, a.class = s.class 
+             WHERE a.class_id IS NULL AND a.class IS NULL`
+        );
+        await addIndex(connection, 'attendance', 'idx_class_date', 'INDEX idx_class_date (class, date)');
+    },
+
+    async down(connection) {
+        await dropIndex(connection, 'attendance', 'idx_class_date');
+        await dropColumn(connection, 'attendance', 'class');
+        await dropColumn(connection, 'attendance', 'class_id');
+    }
+};
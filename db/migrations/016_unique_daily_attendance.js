@@ -0,0 +1,22 @@
+// One attendance record per student per day, enforced by the database so that
+// scans and the absence cutoff racing each other cannot both insert one.
+// Existing duplicates keep a scanned record over an auto-marked one, then the oldest.
+const { addIndex, dropIndex } = require('../schema');
+
+module.exports = {
+    async up(connection) {
+        await connection.query(
+            `DELETE a FROM attendance a 
+             JOIN attendance b ON b.student_id = a.student_id AND b.date = a.date AND b.id != a.id 
+             WHERE b.auto_marked < a.auto_marked 
+             OR (b.auto_marked = a.auto_marked AND (b.created_at < a.created_at OR (b.created_at = a.created_at AND b.id < a.id)))`
+        );
+        await addIndex(connection, 'attendance', 'unique_student_date', 'UNIQUE KEY unique_student_date (student_id, date)');
+        await dropIndex(connection, 'attendance', 'idx_student_date');
+    },
+
+    async down(connection) {
+        await addIndex(connection, 'attendance', 'idx_student_date', 'INDEX idx_student_date (student_id, date)');
+        await dropIndex(connection, 'attendance', 'unique_student_date');
+    }
+};
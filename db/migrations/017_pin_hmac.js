@@ -0,0 +1,16 @@
+// PINs are now stored as an HMAC keyed with PIN_SECRET instead of a plain sha256.
+// The old hashes cannot be converted without the PINs themselves, so PINs still in
+// use are revoked and have to be issued again.
+module.exports = {
+    async up(connection) {
+        await connection.query(
+            `UPDATE credentials 
+             SET status = 'revoked', status_changed_at = NOW(), 
+                 status_reason = 'PIN storage changed, a new PIN must be issued' 
+             WHERE type = 'pin' AND status != 'revoked'`
+        );
+    },
+
+    // Revoked is final; the PINs have to be issued again either way
+    async down() {}
+};
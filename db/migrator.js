@@ -0,0 +1,140 @@
+// Schema Migrations
+// Each file in db/migrations is named <version>_<description>.js and exports
+// up(connection) and down(connection). Applied versions are recorded in
+// schema_migrations. A named MySQL lock makes sure only one server or CLI
+// migrates at a time; the others wait and then find nothing left to do.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'school_attendance_migrations';
+const LOCK_TIMEOUT = 60;
+
+// Every migration file in version order
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/\.js$/, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${migration.name} must export up and down functions`);
+        }
+    });
+
+    return migrations;
+};
+
+const getAppliedVersions = async (connection) => {
+    const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+};
+
+// Runs fn on a dedicated connection while holding the migration lock
+const withMigrationLock = async (pool, fn) => {
+    const connection = await pool.getConnection();
+    try {
+        const [locked] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT]);
+        if (locked[0].acquired !== 1) {
+            throw new Error(`Timed out after ${LOCK_TIMEOUT}s waiting for another instance to finish migrating`);
+        }
+
+        try {
+            await connection.query(
+                `CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INT PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            return await fn(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+const migrator = {
+    // Applies every pending migration (or those up to target) and returns their names
+    async migrate(pool, { target = Infinity, log = console.log } = {}) {
+        return withMigrationLock(pool, async (connection) => {
+            const applied = new Set((await getAppliedVersions(connection)).map(row => row.version));
+            const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= target);
+
+            for (const migration of pending) {
+                log(`⬆️  Applying migration ${migration.name}`);
+                try {
+                    await migration.up(connection);
+                } catch (error) {
+                    throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+                }
+                await connection.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            }
+
+            return pending.map(migration => migration.name);
+        });
+    },
+
+    // Reverts the last `steps` applied migrations, newest first, and returns their names
+    async rollback(pool, { steps = 1, log = console.log } = {}) {
+        return withMigrationLock(pool, async (connection) => {
+            const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+            const toRevert = (await getAppliedVersions(connection)).reverse().slice(0, steps);
+
+            for (const row of toRevert) {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new Error(`Migration ${row.name} was applied but its file no longer exists`);
+                }
+
+                log(`⬇️  Rolling back migration ${migration.name}`);
+                try {
+                    await migration.down(connection);
+                } catch (error) {
+                    throw new Error(`Rolling back ${migration.name} failed: ${error.message}`);
+                }
+                await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+            }
+
+            return toRevert.map(row => row.name);
+        });
+    },
+
+    // Every known migration with when it was applied (null while pending)
+    async status(pool) {
+        return withMigrationLock(pool, async (connection) => {
+            const applied = new Map((await getAppliedVersions(connection)).map(row => [row.version, row]));
+            const migrations = loadMigrations();
+
+            const rows = migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+            }));
+
+            // Applied in the database but missing from disk, e.g. after switching to an older build
+            for (const [version, row] of applied) {
+                if (!migrations.some(migration => migration.version === version)) {
+                    rows.push({ version, name: row.name, appliedAt: row.applied_at, missing: true });
+                }
+            }
+
+            return rows.sort((a, b) => a.version - b.version);
+        });
+    }
+};
+
+module.exports = { migrator, loadMigrations };
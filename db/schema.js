@@ -0,0 +1,84 @@
+// Helpers for migrations that have to cope with tables in more than one shape.
+// Databases created before versioned migrations existed may already have some
+// of the columns a migration adds, so these check information_schema first.
+
+const columnExists = async (connection, table, column) => {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM information_schema.COLUMNS 
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+};
+
+const indexExists = async (connection, table, index) => {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM information_schema.STATISTICS 
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, index]
+    );
+    return rows.length > 0;
+};
+
+const addColumn = async (connection, table, column, definition) => {
+    if (!(await columnExists(connection, table, column))) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+const dropColumn = async (connection, table, column) => {
+    if (await columnExists(connection, table, column)) {
+        await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+};
+
+const addIndex = async (connection, table, index, definition) => {
+    if (!(await indexExists(connection, table, index))) {
+        await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+    }
+};
+
+const dropIndex = async (connection, table, index) => {
+    if (await indexExists(connection, table, index)) {
+        await connection.query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+    }
+};
+
+// Foreign keys created inline get generated names, so they are found by column
+const dropForeignKeys = async (connection, table, column) => {
+    const [rows] = await connection.query(
+        `SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE 
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+        [table, column]
+    );
+    for (const row of rows) {
+        await connection.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${row.CONSTRAINT_NAME}`);
+    }
+};
+
+const foreignKeyExists = async (connection, table, column) => {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM information_schema.KEY_COLUMN_USAGE 
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+        [table, column]
+    );
+    return rows.length > 0;
+};
+
+const dropTables = async (connection, tables) => {
+    for (const table of tables) {
+        await connection.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+};
+
+module.exports = {
+    columnExists,
+    indexExists,
+    addColumn,
+    dropColumn,
+    addIndex,
+    dropIndex,
+    foreignKeyExists,
+    dropForeignKeys,
+    dropTables
+};
@@ -0,0 +1,38 @@
+// Seed Scripts
+// Optional data in db/seeds, run on request with `npm run db:seed`. Seeds are
+// written to be safe to run more than once.
+const fs = require('fs');
+const path = require('path');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+const loadSeeds = () => fs.readdirSync(SEEDS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => ({ name: file.replace(/\.js$/, ''), ...require(path.join(SEEDS_DIR, file)) }));
+
+// Runs the named seeds, or all of them, in file order
+const runSeeds = async (pool, names = [], log = console.log) => {
+    const seeds = loadSeeds();
+    const unknown = names.filter(name => !seeds.some(seed => seed.name === name || seed.name.replace(/^\d+_/, '') === name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown seed: ${unknown.join(', ')} (available: ${seeds.map(seed => seed.name).join(', ')})`);
+    }
+
+    const selected = names.length === 0 ? seeds : 
+        seeds.filter(seed => names.includes(seed.name) || names.includes(seed.name.replace(/^\d+_/, '')));
+
+    const connection = await pool.getConnection();
+    try {
+        for (const seed of selected) {
+            const note = await seed.run(connection);
+            log(`🌱 ${seed.name}: ${note || 'done'}`);
+        }
+    } finally {
+        connection.release();
+    }
+
+    return selected.map(seed => seed.name);
+};
+
+module.exports = { loadSeeds, runSeeds };
@@ -0,0 +1,34 @@
+// Default system settings. The server falls back to the same defaults for any
+// setting without a row, so this only makes them visible in the table.
+module.exports = {
+    description: 'Default system settings (existing values are kept)',
+
+    async run(connection) {
+        await connection.query(`
+            INSERT IGNORE INTO system_settings (setting_key, setting_value, description) VALUES
+            ('schedule_mode', 'prototype', 'prototype uses the durations below, production uses wall-clock times'),
+            ('day_duration', '120', 'Day duration in seconds (2 minutes for prototype)'),
+            ('attendance_time', '60', 'Attendance time in seconds (1 minute for prototype)'),
+            ('checkin_open_time', '07:00', 'Time check-in opens (production mode)'),
+            ('late_after_seconds', '30', 'Seconds after the day starts before a scan counts as late (prototype mode)'),
+            ('late_time', '08:00', 'Time after which a scan counts as late (production mode)'),
+            ('absence_cutoff_time', '08:30', 'Time students without a scan are marked absent (production mode)'),
+            ('staff_late_time', '07:45', 'Time after which a staff scan counts as late (production mode)'),
+            ('staff_absence_cutoff_time', '09:00', 'Time staff without a scan are marked absent (production mode)'),
+            ('non_school_weekdays', '0,6', 'Weekdays with no school (0 = Sunday, 6 = Saturday)'),
+            ('device_offline_after', '300', 'Seconds without a heartbeat before a card reader counts as offline'),
+            ('auto_send_notifications', 'true', 'Deliver new notifications automatically instead of waiting for a manual send'),
+            ('head_teacher_email', '', 'Head teacher email for escalated alerts'),
+            ('head_teacher_phone', '', 'Head teacher phone for escalated alerts'),
+            ('class_teacher_contacts', '{}', 'Class teacher contacts by class, e.g. {"Grade 5A": {"email": "...", "phone": "..."}}'),
+            ('scan_debounce_seconds', '10', 'Repeat scans of the same credential within this many seconds are ignored (0 turns this off)'),
+            ('device_scan_rate_limit', '60', 'Scans a reader may send per minute before further scans are refused (0 for no limit)'),
+            ('multi_gate_window_seconds', '120', 'A credential scanned at two readers within this many seconds raises a scan alert (0 turns this off)'),
+            ('unknown_scan_burst', '5', 'Unknown credentials scanned at one reader within a minute that raise a scan alert (0 turns this off)'),
+            ('school_end_time', '17:00', 'Reader scans after this time, before check-in opens or on non-school days raise a scan alert (production mode)'),
+            ('chronic_absence_threshold', '10', 'Percentage of school days missed at which a student counts as chronically absent'),
+            ('current_day', '1', 'Current day number'),
+            ('last_day_reset', NOW(), 'Last day reset timestamp')
+        `);
+    }
+};
@@ -0,0 +1,36 @@
+// A couple of classes and three students to try the card readers with.
+// Skipped when there are students already.
+const SAMPLE_STUDENTS = [
+    { name: 'John Doe', cardId: 'CARD001', phone: '+1234567890', email: 'parent1@email.com', className: 'Grade 5A' },
+    { name: 'Jane Smith', cardId: 'CARD002', phone: '+1234567891', email: 'parent2@email.com', className: 'Grade 5B' },
+    { name: 'Mike Johnson', cardId: 'CARD003', phone: '+1234567892', email: 'parent3@email.com', className: 'Grade 5A' }
+];
+
+module.exports = {
+    description: 'Sample classes and students for a new database',
+
+    async run(connection) {
+        const [students] = await connection.query('SELECT COUNT(*) AS count FROM students');
+        if (students[0].count > 0) {
+            return 'students already exist, skipped';
+        }
+
+        await connection.query(`
+            INSERT IGNORE INTO classes (id, name, grade_level, section) VALUES
+            (UUID(), 'Grade 5A', 5, 'A'),
+            (UUID(), 'Grade 5B', 5, 'B')
+        `);
+        const [classes] = await connection.query('SELECT id, name FROM classes');
+
+        for (const student of SAMPLE_STUDENTS) {
+            const classRow = classes.find(c => c.name === student.className);
+            await connection.query(
+                `INSERT INTO students (id, name, card_id, parent_phone, parent_email, class, class_id) 
+                 VALUES (UUID(), ?, ?, ?, ?, ?, ?)`,
+                [student.name, student.cardId, student.phone, student.email, classRow.name, classRow.id]
+            );
+        }
+
+        return `${SAMPLE_STUDENTS.length} students added`;
+    }
+};
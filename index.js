@@ -1,146 +1,101 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { Readable } = require('stream');
 require('dotenv').config();
+const { createPool } = require('./db/config');
+const { migrator } = require('./db/migrator');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Authentication Configuration
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+const PARENT_JWT_EXPIRES_IN = process.env.PARENT_JWT_EXPIRES_IN || '30d';
+const BCRYPT_ROUNDS = 10;
+// Keys the PIN hashes, so a leaked credentials table cannot be brute-forced without it
+const PIN_SECRET = process.env.PIN_SECRET || JWT_SECRET;
+
+// A random secret would sign everyone out on every restart and differ between instances
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    console.error('❌ JWT_SECRET must be set when NODE_ENV is production');
+    process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET is not set, using a random secret (tokens will not survive a restart)');
+}
+if (!process.env.PIN_SECRET && !process.env.JWT_SECRET) {
+    console.warn('⚠️  PIN_SECRET is not set, PINs issued now will not work after a restart');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// MySQL Database Configuration
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'school_attendance',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-};
+// Dates in JSON responses are written in school time with the UTC offset instead of UTC
+app.set('json replacer', function (key, value) {
+    return this[key] instanceof Date && !Number.isNaN(this[key].getTime()) ? formatTimestamp(this[key]) : value;
+});
+
+// Uploaded spreadsheets are parsed straight from memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 let pool;
 
 // Initialize Database Connection
 const initializeDatabase = async () => {
     try {
-        pool = mysql.createPool(dbConfig);
+        pool = createPool();
         
         // Test connection
         const connection = await pool.getConnection();
         console.log('✅ MySQL Database connected successfully');
         connection.release();
         
-        // Initialize database tables
-        await initializeTables();
+        // Bring the schema up to date; set MIGRATE_ON_START=false to run `npm run db:migrate` by hand instead
+        if (process.env.MIGRATE_ON_START !== 'false') {
+            const applied = await migrator.migrate(pool);
+            console.log(applied.length > 0 ? 
+                `✅ Applied ${applied.length} database migrations` : 
+                '✅ Database schema is up to date');
+        }
+
+        await ensureAdminAccount();
     } catch (error) {
-        console.error('❌ Database connection failed:', error.message);
+        console.error('❌ Database initialization failed:', error.message);
         process.exit(1);
     }
 };
-// Initialize Database Tables
-const initializeTables = async () => {
-    const createTablesSQL = `
-        -- Students table
-        CREATE TABLE IF NOT EXISTS students (
-            id VARCHAR(36) PRIMARY KEY,
-            name VARCHAR(100) NOT NULL,
-            card_id VARCHAR(50) UNIQUE NOT NULL,
-            parent_phone VARCHAR(20),
-            parent_email VARCHAR(100),
-            class VARCHAR(50),
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-        );
-
-        -- Attendance records table
-        CREATE TABLE IF NOT EXISTS attendance (
-            id VARCHAR(36) PRIMARY KEY,
-            student_id VARCHAR(36) NOT NULL,
-            student_name VARCHAR(100) NOT NULL,
-            card_id VARCHAR(50) NOT NULL,
-            date DATE NOT NULL,
-            timestamp TIME NOT NULL,
-            status ENUM('present', 'absent') NOT NULL,
-            auto_marked BOOLEAN DEFAULT FALSE,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
-            INDEX idx_date (date),
-            INDEX idx_student_date (student_id, date)
-        );
-
-        -- Notifications table
-        CREATE TABLE IF NOT EXISTS notifications (
-            id VARCHAR(36) PRIMARY KEY,
-            student_id VARCHAR(36) NOT NULL,
-            student_name VARCHAR(100) NOT NULL,
-            type VARCHAR(50) NOT NULL,
-            message TEXT,
-            status ENUM('pending', 'sent') DEFAULT 'pending',
-            consecutive_absent_days INT DEFAULT 0,
-            sent_date TIMESTAMP NULL,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE
-        );
-
-        -- Daily reports table
-        CREATE TABLE IF NOT EXISTS daily_reports (
-            id VARCHAR(36) PRIMARY KEY,
-            date DATE NOT NULL,
-            day_number INT NOT NULL,
-            total_students INT NOT NULL,
-            present_count INT NOT NULL,
-            absent_count INT NOT NULL,
-            attendance_rate INT NOT NULL,
-            generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE KEY unique_date (date)
-        );
-
-        -- System settings table
-        CREATE TABLE IF NOT EXISTS system_settings (
-            id INT PRIMARY KEY AUTO_INCREMENT,
-            setting_key VARCHAR(50) UNIQUE NOT NULL,
-            setting_value TEXT,
-            description VARCHAR(255),
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-        );
-    `;
-
-    try {
-        // Split and execute each table creation
-        const statements = createTablesSQL.split(';').filter(stmt => stmt.trim());
-        for (const statement of statements) {
-            if (statement.trim()) {
-                await pool.execute(statement + ';');
-            }
-        }
-
-        // Insert default settings
-        await pool.execute(`
-            INSERT IGNORE INTO system_settings (setting_key, setting_value, description) VALUES
-            ('day_duration', '120', 'Day duration in minutes (2 minutes for prototype)'),
-            ('attendance_time', '60', 'Attendance time in seconds (1 minute for prototype)'),
-            ('current_day', '1', 'Current day number'),
-            ('last_day_reset', NOW(), 'Last day reset timestamp')
-        `);
-
-        // Insert sample students if none exist
-        const [existingStudents] = await pool.execute('SELECT COUNT(*) as count FROM students');
-        if (existingStudents[0].count === 0) {
-            await pool.execute(`
-                INSERT INTO students (id, name, card_id, parent_phone, parent_email, class) VALUES
-                (UUID(), 'John Doe', 'CARD001', '+1234567890', 'parent1@email.com', 'Grade 5A'),
-                (UUID(), 'Jane Smith', 'CARD002', '+1234567891', 'parent2@email.com', 'Grade 5B'),
-                (UUID(), 'Mike Johnson', 'CARD003', '+1234567892', 'parent3@email.com', 'Grade 5A')
-            `);
-            console.log('✅ Sample students inserted');
-        }
-
-        console.log('✅ Database tables initialized successfully');
-    } catch (error) {
-        console.error('❌ Error initializing tables:', error.message);
+
+// Creates the first admin account if there are no users yet
+const ensureAdminAccount = async () => {
+    const [existingUsers] = await pool.execute('SELECT COUNT(*) as count FROM users');
+    if (existingUsers[0].count === 0) {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        // A generated password has to be printed, and production logs are kept
+        if (!process.env.ADMIN_PASSWORD && process.env.NODE_ENV === 'production') {
+            throw new Error('ADMIN_PASSWORD must be set to create the first admin account when NODE_ENV is production');
+        }
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        await pool.execute(
+            `INSERT INTO users (id, username, password_hash, full_name, role) 
+             VALUES (?, ?, ?, 'Administrator', 'admin')`,
+            [generateUUID(), username, await bcrypt.hash(password, BCRYPT_ROUNDS)]
+        );
+        console.log(`✅ Admin account "${username}" created`);
+        if (!process.env.ADMIN_PASSWORD) {
+            console.warn(`⚠️  Generated admin password: ${password} (shown only this once, change it after first login)`);
+        }
     }
 };
 
@@ -153,525 +108,8500 @@ const generateUUID = () => {
     });
 };
 
-const getCurrentDate = () => new Date().toISOString().split('T')[0];
-const getCurrentTime = () => new Date().toTimeString().split(' ')[0];
+// School Timezone
+// Every school date and time (scan days, cutoffs, quiet hours, reports) is taken
+// in SCHOOL_TIMEZONE, whatever the timezone of the server or of MySQL. The
+// database itself works in UTC (see db/config.js) and JSON responses show
+// instants as ISO 8601 with the school's UTC offset.
+const SCHOOL_TIMEZONE = process.env.SCHOOL_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
 
-// Timer Management (In-memory for prototype)
-const timerManager = {
-    timers: new Map(),
-    dayTimer: null,
-    DAY_DURATION: 2 * 60 * 1000, // 2 minutes
-    ATTENDANCE_TIME: 1 * 60 * 1000, // 1 minute
+let schoolTimeFormat;
+try {
+    schoolTimeFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: SCHOOL_TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+} catch (error) {
+    console.error(`❌ SCHOOL_TIMEZONE "${SCHOOL_TIMEZONE}" is not a valid IANA timezone, e.g. Africa/Nairobi`);
+    process.exit(1);
+}
 
-    async startDaySystem() {
-        console.log('🔄 Starting day system...');
-        await this.startNewDay();
+const getSchoolParts = (moment) => Object.fromEntries(
+    schoolTimeFormat.formatToParts(moment)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, part.value])
+);
+
+const getDateOf = (moment) => {
+    const parts = getSchoolParts(moment);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+const getTimeOf = (moment) => {
+    const parts = getSchoolParts(moment);
+    return `${parts.hour}:${parts.minute}:${parts.second}`;
+};
+const getCurrentDate = () => getDateOf(new Date());
+const getCurrentTime = () => getTimeOf(new Date());
+
+// Minutes the school's clocks are ahead of UTC at that moment
+const getSchoolOffset = (moment) => {
+    const parts = getSchoolParts(moment);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(moment.getTime() / 1000) * 1000) / 60000);
+};
+
+// The moment the school's clocks show a date and time (HH:MM or HH:MM:SS). A time
+// skipped when the clocks go forward is moved forward by the same amount.
+const getMomentOf = (date, time) => {
+    const clockTime = time.length === 5 ? `${time}:00` : time;
+    const asUtc = new Date(`${date}T${clockTime}Z`);
+    const guess = new Date(asUtc.getTime() - getSchoolOffset(asUtc) * 60000);
+    const moment = new Date(asUtc.getTime() - getSchoolOffset(guess) * 60000);
+    return getTimeOf(moment) === clockTime ? moment : new Date(Math.max(guess, moment));
+};
+
+// ISO 8601 in school time with its offset, e.g. 2024-03-05T08:01:12+03:00
+const formatTimestamp = (moment) => {
+    const offset = getSchoolOffset(moment);
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${getDateOf(moment)}T${getTimeOf(moment)}${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+};
+
+// Parses an ISO 8601 timestamp; one without an offset is read as school time
+const LOCAL_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?$/;
+const parseTimestamp = (value) => {
+    const local = typeof value === 'string' && value.match(LOCAL_TIMESTAMP_PATTERN);
+    return local ? getMomentOf(local[1], local[2]) : new Date(value);
+};
+
+// Date strings are YYYY-MM-DD; the arithmetic is done in UTC so it never shifts a day
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && addDays(value, 0) === value;
+
+// Attendance statuses; present and late both mean the student came to school
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+const ATTENDED_STATUSES = ['present', 'late'];
+
+// Class names compare without regard to case (the column collation) or extra spaces
+const cleanClassName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+const findClassByName = async (name) => {
+    const [classes] = await pool.execute('SELECT * FROM classes WHERE name = ?', [cleanClassName(name)]);
+    return classes[0] || null;
+};
+
+// "Grade 5A" -> grade 5, section A
+const parseClassName = (name) => {
+    const match = name.match(/(\d+)\s*([A-Za-z]{1,3})?\s*$/);
+    return {
+        gradeLevel: match ? parseInt(match[1], 10) : null,
+        section: match && match[2] ? match[2].toUpperCase() : null
+    };
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// System Settings
+// Every setting stored in system_settings, with its type and validation rules.
+// Values are stored as text and converted with parseSettingValue on read.
+const SETTINGS_SCHEMA = {
+    schedule_mode: {
+        type: 'enum',
+        values: ['prototype', 'production'],
+        default: 'prototype',
+        description: 'prototype uses the durations below, production uses wall-clock times'
+    },
+    day_duration: {
+        type: 'integer',
+        min: 30,
+        max: 86400,
+        default: 120,
+        description: 'Day duration in seconds (prototype mode)'
+    },
+    attendance_time: {
+        type: 'integer',
+        min: 10,
+        max: 86400,
+        default: 60,
+        description: 'Seconds after the day starts before absentees are marked (prototype mode)'
+    },
+    late_after_seconds: {
+        type: 'integer',
+        min: 0,
+        max: 86400,
+        default: 30,
+        description: 'Seconds after the day starts before a scan counts as late (prototype mode)'
+    },
+    checkin_open_time: {
+        type: 'time',
+        default: '07:00',
+        description: 'Time check-in opens (production mode)'
+    },
+    late_time: {
+        type: 'time',
+        default: '08:00',
+        description: 'Time after which a scan counts as late (production mode)'
+    },
+    absence_cutoff_time: {
+        type: 'time',
+        default: '08:30',
+        description: 'Time students without a scan are marked absent (production mode)'
+    },
+    staff_late_time: {
+        type: 'time',
+        default: '07:45',
+        description: 'Time after which a staff scan counts as late (production mode)'
+    },
+    staff_absence_cutoff_time: {
+        type: 'time',
+        default: '09:00',
+        description: 'Time staff without a scan are marked absent (production mode)'
+    },
+    non_school_weekdays: {
+        type: 'weekdays',
+        default: [0, 6],
+        description: 'Weekdays with no school (0 = Sunday, 6 = Saturday)'
+    },
+    device_offline_after: {
+        type: 'integer',
+        min: 30,
+        max: 86400,
+        default: 300,
+        description: 'Seconds without a heartbeat before a card reader counts as offline'
+    },
+    auto_send_notifications: {
+        type: 'boolean',
+        default: true,
+        description: 'Deliver new notifications automatically instead of waiting for a manual send'
     },
+    head_teacher_email: {
+        type: 'string',
+        default: '',
+        description: 'Head teacher email for escalated alerts'
+    },
+    head_teacher_phone: {
+        type: 'string',
+        default: '',
+        description: 'Head teacher phone for escalated alerts'
+    },
+    class_teacher_contacts: {
+        type: 'contacts',
+        default: {},
+        description: 'Class teacher contacts by class, e.g. {"Grade 5A": {"email": "...", "phone": "..."}}'
+    },
+    scan_debounce_seconds: {
+        type: 'integer',
+        min: 0,
+        max: 3600,
+        default: 10,
+        description: 'Repeat scans of the same credential within this many seconds are ignored (0 turns this off)'
+    },
+    device_scan_rate_limit: {
+        type: 'integer',
+        min: 0,
+        max: 10000,
+        default: 60,
+        description: 'Scans a reader may send per minute before further scans are refused (0 for no limit)'
+    },
+    multi_gate_window_seconds: {
+        type: 'integer',
+        min: 0,
+        max: 3600,
+        default: 120,
+        description: 'A credential scanned at two readers within this many seconds raises a scan alert (0 turns this off)'
+    },
+    unknown_scan_burst: {
+        type: 'integer',
+        min: 0,
+        max: 1000,
+        default: 5,
+        description: 'Unknown credentials scanned at one reader within a minute that raise a scan alert (0 turns this off)'
+    },
+    school_end_time: {
+        type: 'time',
+        default: '17:00',
+        description: 'Reader scans after this time, before check-in opens or on non-school days raise a scan alert (production mode)'
+    },
+    chronic_absence_threshold: {
+        type: 'integer',
+        min: 1,
+        max: 100,
+        default: 10,
+        description: 'Percentage of school days missed at which a student counts as chronically absent'
+    },
+    current_day: {
+        type: 'integer',
+        default: 1,
+        readOnly: true,
+        description: 'Current day number'
+    },
+    last_day_reset: {
+        type: 'string',
+        default: null,
+        readOnly: true,
+        description: 'Last day reset timestamp'
+    }
+};
 
-    async startNewDay() {
-        this.clearAllTimers();
-        console.log('🏁 Starting new day timers...');
+// Settings that change when or how the current day's cutoff runs
+const SCHEDULE_SETTINGS = [
+    'schedule_mode', 'day_duration', 'attendance_time', 'late_after_seconds',
+    'checkin_open_time', 'late_time', 'absence_cutoff_time', 'staff_late_time', 'staff_absence_cutoff_time'
+];
 
-        // Get all students and start timers
-        const [students] = await pool.execute('SELECT * FROM students');
-        
-        students.forEach(student => {
-            this.startAbsenceTimer(student);
-        });
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const parseSettingValue = (definition, raw) => {
+    if (raw === null || raw === undefined) {
+        return definition.default;
+    }
+
+    switch (definition.type) {
+        case 'integer': {
+            const value = parseInt(raw, 10);
+            return Number.isNaN(value) ? definition.default : value;
+        }
+        case 'enum':
+            return definition.values.includes(raw) ? raw : definition.default;
+        case 'time':
+            return TIME_PATTERN.test(raw) ? raw : definition.default;
+        case 'weekdays':
+            return raw.split(',').filter(day => day.trim() !== '').map(Number);
+        case 'boolean':
+            return raw === 'true';
+        case 'contacts':
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return definition.default;
+            }
+        default:
+            return raw;
+    }
+};
+
+// Returns { value } with the normalized value, or { error } describing why it is invalid
+const validateSettingValue = (key, value) => {
+    const definition = SETTINGS_SCHEMA[key];
+
+    if (!definition) {
+        return { error: `Unknown setting ${key}` };
+    }
+
+    if (definition.readOnly) {
+        return { error: `${key} is read-only` };
+    }
+
+    switch (definition.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                return { error: `${key} must be a whole number` };
+            }
+            if (number < definition.min || number > definition.max) {
+                return { error: `${key} must be between ${definition.min} and ${definition.max}` };
+            }
+            return { value: number };
+        }
+        case 'enum':
+            if (!definition.values.includes(value)) {
+                return { error: `${key} must be one of: ${definition.values.join(', ')}` };
+            }
+            return { value };
+        case 'time':
+            if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+                return { error: `${key} must be a time in HH:MM format` };
+            }
+            return { value };
+        case 'weekdays':
+            if (!Array.isArray(value) || !value.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                return { error: `${key} must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday)` };
+            }
+            if (new Set(value).size === 7) {
+                return { error: `${key} cannot mark every day as a non-school day` };
+            }
+            return { value: [...new Set(value)].sort() };
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { error: `${key} must be true or false` };
+            }
+            return { value };
+        case 'contacts': {
+            const isContact = (contact) => contact && typeof contact === 'object' &&
+                ['email', 'phone'].every(field => contact[field] === undefined || typeof contact[field] === 'string');
+            if (!value || typeof value !== 'object' || Array.isArray(value) || !Object.values(value).every(isContact)) {
+                return { error: `${key} must map each class to an object with optional email and phone` };
+            }
+            return { value };
+        }
+        case 'string':
+            if (typeof value !== 'string' || value.length > 255) {
+                return { error: `${key} must be text of at most 255 characters` };
+            }
+            return { value };
+        default:
+            return { value: String(value) };
+    }
+};
+
+const getSettings = async () => {
+    const [rows] = await pool.execute('SELECT setting_key, setting_value FROM system_settings');
+    const settings = {};
+
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+        const row = rows.find(r => r.setting_key === key);
+        settings[key] = parseSettingValue(definition, row ? row.setting_value : null);
+    }
+
+    return settings;
+};
 
-        console.log(`⏰ Started ${students.length} absence timers`);
+// School Calendar
+// A date is a school day when it is not covered by a holiday or closure, is not
+// one of the weekly non-school days and, once any terms are defined, falls
+// inside an academic term.
+const schoolCalendar = {
+    async load(from, to) {
+        const [terms] = await pool.execute(
+            `SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date 
+             FROM academic_terms 
+             ORDER BY start_date`
+        );
+        const [closures] = await pool.execute(
+            `SELECT id, name, type, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date 
+             FROM calendar_closures 
+             WHERE start_date <= ? AND end_date >= ?`,
+            [to, from]
+        );
+        const settings = await getSettings();
 
-        // Set timer for next day
-        this.dayTimer = setTimeout(() => {
-            console.log('🔄 Day completed! Starting new day...');
-            this.startNewDay();
-        }, this.DAY_DURATION);
+        return { terms, closures, nonSchoolWeekdays: settings.non_school_weekdays };
     },
 
-    startAbsenceTimer(student) {
-        if (this.timers.has(student.id)) {
-            clearTimeout(this.timers.get(student.id));
+    describeDay(date, calendar) {
+        const closure = calendar.closures.find(c => c.start_date <= date && c.end_date >= date);
+        if (closure) {
+            return { date, schoolDay: false, reason: closure.type, name: closure.name };
         }
 
-        const timer = setTimeout(async () => {
-            try {
-                console.log(`⏰ Timer expired for ${student.name}, marking absent...`);
-                
-                const today = getCurrentDate();
-                const [existing] = await pool.execute(
-                    'SELECT id FROM attendance WHERE student_id = ? AND date = ?',
-                    [student.id, today]
-                );
+        if (calendar.nonSchoolWeekdays.includes(getWeekday(date))) {
+            return { date, schoolDay: false, reason: 'weekend' };
+        }
 
-                if (existing.length === 0) {
-                    const attendanceId = generateUUID();
-                    await pool.execute(
-                        `INSERT INTO attendance (id, student_id, student_name, card_id, date, timestamp, status, auto_marked) 
-                         VALUES (?, ?, ?, ?, ?, ?, 'absent', TRUE)`,
-                        [attendanceId, student.id, student.name, student.card_id, today, getCurrentTime()]
-                    );
+        const term = calendar.terms.find(t => t.start_date <= date && t.end_date >= date);
+        if (calendar.terms.length > 0 && !term) {
+            return { date, schoolDay: false, reason: 'outside_term' };
+        }
+
+        return { date, schoolDay: true, term: term ? term.name : null };
+    },
+
+    async describeDate(date) {
+        return this.describeDay(date, await this.load(date, date));
+    },
+
+    async describeRange(from, to) {
+        const calendar = await this.load(from, to);
+        const days = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            days.push(this.describeDay(date, calendar));
+        }
+        return days;
+    },
+
+    // The most recent school days up to and including date, newest first
+    async getRecentSchoolDays(date, count) {
+        const days = [];
+        let end = date;
+
+        // Walk back a month at a time so long holidays don't cost a query per day
+        for (let month = 0; days.length < count && month < 12; month++) {
+            const start = addDays(end, -30);
+            const calendar = await this.load(start, end);
+            for (let d = end; d >= start && days.length < count; d = addDays(d, -1)) {
+                if (this.describeDay(d, calendar).schoolDay) {
+                    days.push(d);
+                }
+            }
+            end = addDays(start, -1);
+        }
+
+        return days;
+    }
+};
+
+// Live Events
+// Events are written to live_events and streamed to dashboards over SSE. Going
+// through the table means every instance sees events raised by the others, and
+// a client that reconnects with Last-Event-ID gets everything it missed. Each
+// event is also queued for the webhooks subscribed to it.
+const liveEvents = {
+    subscribers: new Set(),
+    pollTimer: null,
+    pruneTimer: null,
+    polling: false,
+    POLL_INTERVAL: 1000, // 1 second
+    BATCH_SIZE: 500,
+    RETENTION_HOURS: 24,
+
+    // Never throws: a failed event must not break the action that raised it
+    async publish(type, payload, className = null) {
+        try {
+            const [result] = await pool.execute(
+                'INSERT INTO live_events (type, class, payload) VALUES (?, ?, ?)',
+                [type, className, JSON.stringify(payload)]
+            );
+            await webhooks.enqueue({ id: result.insertId, type, className, payload });
+        } catch (error) {
+            console.error(`Error publishing ${type} event: ${error.message}`);
+        }
+    },
+
+    start() {
+        this.pollTimer = setInterval(() => this.poll(), this.POLL_INTERVAL);
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    },
+
+    stop() {
+        clearInterval(this.pollTimer);
+        clearInterval(this.pruneTimer);
+        this.subscribers.forEach(subscriber => subscriber.res.end());
+        this.subscribers.clear();
+    },
 
-                    // Check for consecutive absences
-                    const consecutiveAbsences = await this.checkConsecutiveAbsences(student.id);
-                    if (consecutiveAbsences >= 3) {
-                        const notificationId = generateUUID();
-                        await pool.execute(
-                            `INSERT INTO notifications (id, student_id, student_name, type, message, consecutive_absent_days, status) 
-                             VALUES (?, ?, ?, 'consecutive_absence', ?, ?, 'pending')`,
-                            [notificationId, student.id, student.name, 
-                             `Alert: Your child ${student.name} has been absent for ${consecutiveAbsences} consecutive days.`,
-                             consecutiveAbsences]
+    async subscribe(subscriber) {
+        // Without a Last-Event-ID the client only wants what happens from now on
+        if (subscriber.lastId === null) {
+            const [rows] = await pool.execute('SELECT COALESCE(MAX(id), 0) AS id FROM live_events');
+            subscriber.lastId = Number(rows[0].id);
+        }
+        this.subscribers.add(subscriber);
+    },
+
+    unsubscribe(subscriber) {
+        this.subscribers.delete(subscriber);
+    },
+
+    async poll() {
+        if (this.polling || this.subscribers.size === 0) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const fromId = Math.min(...[...this.subscribers].map(subscriber => subscriber.lastId));
+            const [events] = await pool.execute(
+                `SELECT * FROM live_events WHERE id > ? ORDER BY id LIMIT ${this.BATCH_SIZE}`,
+                [fromId]
+            );
+
+            for (const subscriber of this.subscribers) {
+                for (const event of events) {
+                    const id = Number(event.id);
+                    if (id <= subscriber.lastId) {
+                        continue;
+                    }
+
+                    if (!event.class || subscriber.classes.length === 0 || subscriber.classes.includes(event.class)) {
+                        subscriber.res.write(
+                            `id: ${id}\nevent: ${event.type}\n` +
+                            `data: ${JSON.stringify({ ...event.payload, class: event.class, at: event.created_at })}\n\n`
                         );
                     }
+                    subscriber.lastId = id;
                 }
+            }
+        } catch (error) {
+            console.error(`Error polling live events: ${error.message}`);
+        } finally {
+            this.polling = false;
+        }
+    },
 
-                this.timers.delete(student.id);
-            } catch (error) {
-                console.error(`Error marking student absent: ${error.message}`);
+    async prune() {
+        try {
+            await pool.execute(
+                'DELETE FROM live_events WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+                [this.RETENTION_HOURS]
+            );
+        } catch (error) {
+            console.error(`Error pruning live events: ${error.message}`);
+        }
+    }
+};
+
+const publishAttendanceEvent = (student, details) => liveEvents.publish('attendance.recorded', {
+    studentId: student.id,
+    studentName: student.name,
+    date: getCurrentDate(),
+    ...details
+}, student.class);
+
+// Inserts a student's attendance record for a day. Returns false instead of failing
+// when the student already has one for that date: a scan or the absence cutoff can
+// land between a caller's check for an existing record and this insert.
+const insertAttendanceRecord = async (record, connection = pool) => {
+    const columns = Object.keys(record);
+    try {
+        await connection.execute(
+            `INSERT INTO attendance (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            Object.values(record)
+        );
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Audit Log
+// Every change to attendance, students, staff, credentials, settings and notifications is appended
+// to audit_log with who made it and the row before and after. Nothing in the
+// API updates or deletes audit rows.
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system' };
+
+// Who is behind a request: a signed-in user, an API key, a parent, or the server itself
+const getAuditActor = (req) => {
+    if (req && req.user) {
+        return { type: 'user', id: req.user.id, name: req.user.username };
+    }
+    if (req && req.apiKey) {
+        return { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+    }
+    if (req && req.guardian) {
+        return { type: 'guardian', id: req.guardian.id, name: req.guardian.name };
+    }
+    return SYSTEM_ACTOR;
+};
+
+const auditLog = {
+    // Row shapes stored as before/after; dates are formatted so they read the same in every timezone
+    SNAPSHOT_QUERIES: {
+        attendance: `SELECT id, student_id, student_name, card_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, timestamp, 
+                            check_out_time, status, auto_marked, reason 
+                     FROM attendance WHERE id = ?`,
+        student: 'SELECT * FROM students WHERE id = ?',
+        credential: `SELECT id, student_id, type, IF(type = 'pin', NULL, value) AS value, status, expires_at, 
+                            status_reason 
+                     FROM credentials WHERE id = ?`,
+        notification: `SELECT id, student_id, student_name, type, message, status, recipient, alert_rule_id, 
+                              escalation_level, attempts, last_error, sent_date, delivered_at 
+                       FROM notifications WHERE id = ?`,
+        staff: 'SELECT * FROM staff WHERE id = ?',
+        staff_attendance: `SELECT id, staff_id, staff_name, DATE_FORMAT(date, '%Y-%m-%d') AS date, check_in_time, 
+                                  check_out_time, status, auto_marked, notes 
+                           FROM staff_attendance WHERE id = ?`
+    },
+
+    async snapshot(entityType, id, connection = pool) {
+        const [rows] = await connection.execute(this.SNAPSHOT_QUERIES[entityType], [id]);
+        return rows[0] || null;
+    },
+
+    // Pass the transaction's connection so the entry commits or rolls back with the change
+    async record({ actor = SYSTEM_ACTOR, entityType, entityId, action, before = null, after = null, reason = null }, 
+        connection = pool) {
+        await connection.execute(
+            `INSERT INTO audit_log 
+             (entity_type, entity_id, action, actor_type, actor_id, actor_name, reason, before_data, after_data) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entityType, entityId, action, actor.type, actor.id, actor.name, reason, 
+             before === null ? null : JSON.stringify(before), 
+             after === null ? null : JSON.stringify(after)]
+        );
+    },
+
+    // Records a change to a row that is identified by ID, reading the after state from the database
+    async recordChange({ actor, entityType, entityId, action, before = null, reason = null }, connection = pool) {
+        const after = action === 'delete' ? null : await this.snapshot(entityType, entityId, connection);
+        await this.record({ actor, entityType, entityId, action, before, after, reason }, connection);
+    }
+};
+
+// Leave Requests
+// Approved leave excuses a student for every school day in its range. Days up
+// to today are converted when the request is approved; later days are excused
+// by the cutoff job instead of being marked absent.
+const leaveRequests = {
+    // The approved leave covering a student on a date, if any
+    async findApproved(studentId, date) {
+        const [leaves] = await pool.execute(
+            `SELECT id, reason FROM leave_requests 
+             WHERE student_id = ? AND status = 'approved' AND start_date <= ? AND end_date >= ? 
+             LIMIT 1`,
+            [studentId, date, date]
+        );
+        return leaves[0] || null;
+    },
+
+    // Set of dates between from and to that a student has approved leave for
+    async getApprovedDates(studentId, from, to) {
+        const [leaves] = await pool.execute(
+            `SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date 
+             FROM leave_requests 
+             WHERE student_id = ? AND status = 'approved' AND start_date <= ? AND end_date >= ?`,
+            [studentId, to, from]
+        );
+
+        const dates = new Set();
+        for (const leave of leaves) {
+            const start = leave.start_date > from ? leave.start_date : from;
+            const end = leave.end_date < to ? leave.end_date : to;
+            for (let date = start; date <= end; date = addDays(date, 1)) {
+                dates.add(date);
+            }
+        }
+        return dates;
+    },
+
+    reasonFor(leave) {
+        return `Approved leave: ${leave.reason}`.slice(0, 255);
+    },
+
+    // Excuses the school days of an approved request that have already started.
+    // Absences are turned into excused; days the student attended are left alone.
+    // Pass the connection of the transaction that approves the request; returns the
+    // dates excused, for announceExcused once that transaction has committed.
+    async applyApproved(leave, actor = SYSTEM_ACTOR, connection = pool) {
+        const [students] = await connection.execute('SELECT * FROM students WHERE id = ?', [leave.student_id]);
+        if (students.length === 0) {
+            return [];
+        }
+
+        const student = students[0];
+        const today = getCurrentDate();
+        const end = leave.end_date < today ? leave.end_date : today;
+        if (leave.start_date > end) {
+            return [];
+        }
+
+        const days = (await schoolCalendar.describeRange(leave.start_date, end)).filter(day => day.schoolDay);
+        const reason = this.reasonFor(leave);
+        const excused = [];
+
+        for (const { date } of days) {
+            let [existing] = await connection.execute(
+                'SELECT id, status FROM attendance WHERE student_id = ? AND date = ?',
+                [student.id, date]
+            );
+
+            if (existing.length === 0) {
+                const attendanceId = generateUUID();
+                const inserted = await insertAttendanceRecord({
+                    id: attendanceId,
+                    student_id: student.id,
+                    student_name: student.name,
+                    class_id: student.class_id,
+                    class: student.class,
+                    card_id: student.card_id,
+                    date,
+                    timestamp: getCurrentTime(),
+                    status: 'excused',
+                    auto_marked: true,
+                    reason
+                }, connection);
+
+                if (inserted) {
+                    await auditLog.recordChange({ 
+                        actor, 
+                        entityType: 'attendance', 
+                        entityId: attendanceId, 
+                        action: 'leave_excuse', 
+                        reason 
+                    }, connection);
+                    excused.push(date);
+                    continue;
+                }
+
+                // A scan or the absence cutoff recorded the day in the meantime. A locking
+                // read, because the transaction's snapshot predates that record.
+                [existing] = await connection.execute(
+                    'SELECT id, status FROM attendance WHERE student_id = ? AND date = ? FOR UPDATE',
+                    [student.id, date]
+                );
+            }
+
+            if (existing[0].status !== 'absent') {
+                continue;
             }
-        }, this.ATTENDANCE_TIME);
 
-        this.timers.set(student.id, timer);
+            const before = await auditLog.snapshot('attendance', existing[0].id, connection);
+            await connection.execute(
+                `UPDATE attendance SET status = 'excused', reason = ? WHERE id = ?`,
+                [reason, existing[0].id]
+            );
+            await auditLog.recordChange({ 
+                actor, 
+                entityType: 'attendance', 
+                entityId: existing[0].id, 
+                action: 'leave_excuse', 
+                before, 
+                reason 
+            }, connection);
+            excused.push(date);
+        }
+
+        return excused;
+    },
+
+    async announceExcused(leave, dates) {
+        if (dates.length === 0) {
+            return;
+        }
+
+        const [students] = await pool.execute('SELECT * FROM students WHERE id = ?', [leave.student_id]);
+        const reason = this.reasonFor(leave);
+        for (const date of dates) {
+            await publishAttendanceEvent(students[0], { action: 'mark_excused', status: 'excused', date, reason });
+        }
+        await alertEngine.evaluateStudent(students[0]);
+    }
+};
+
+// Credentials
+// Students check in with any of their active credentials: RFID cards, QR codes
+// or PINs. Rows are never deleted, so a credential's issue, loss and revocation
+// stay on record. A lost or blocked credential is still looked up when scanned,
+// so it can be refused and staff alerted. students.card_id mirrors the student's
+// most recently issued active card.
+const CREDENTIAL_TYPES = ['card', 'qr', 'pin'];
+const CREDENTIAL_STATUSES = ['active', 'lost', 'blocked', 'revoked'];
+const CREDENTIAL_LABELS = { card: 'card', qr: 'QR code', pin: 'PIN' };
+
+const credentials = {
+    // PINs are stored as a keyed hash (the same for every student, so a PIN can still be
+    // looked up by value); cards and QR codes as read
+    storedValue(type, value) {
+        const clean = String(value).trim();
+        return type === 'pin' ? crypto.createHmac('sha256', PIN_SECRET).update(clean).digest('hex') : clean;
     },
 
-    clearStudentTimer(studentId) {
-        if (this.timers.has(studentId)) {
-            clearTimeout(this.timers.get(studentId));
-            this.timers.delete(studentId);
+    // Another credential of the same type and value that is still in use (lost and
+    // blocked ones count, so they keep being refused), or a staff member's card.
+    // Returns { id, student_id, staff_id, status, holder_name } or null.
+    async findConflict(type, value, connection = pool) {
+        const [rows] = await connection.execute(
+            `SELECT c.id, c.student_id, NULL AS staff_id, c.status, s.name AS holder_name 
+             FROM credentials c 
+             JOIN students s ON c.student_id = s.id 
+             WHERE c.type = ? AND c.value = ? AND c.status != 'revoked' 
+             LIMIT 1`,
+            [type, this.storedValue(type, value)]
+        );
+        if (rows.length > 0 || type !== 'card') {
+            return rows[0] || null;
         }
+
+        const [staff] = await connection.execute(
+            `SELECT NULL AS id, NULL AS student_id, id AS staff_id, 'active' AS status, name AS holder_name 
+             FROM staff 
+             WHERE card_id = ?`,
+            [this.storedValue(type, value)]
+        );
+        return staff[0] || null;
     },
 
-    clearAllTimers() {
-        this.timers.forEach((timer) => clearTimeout(timer));
-        this.timers.clear();
-        if (this.dayTimer) {
-            clearTimeout(this.dayTimer);
-            this.dayTimer = null;
+    // Checks the caller has ruled out conflicts; returns the new credential's ID
+    async issue({ studentId, type, value, expiresAt = null, actor = SYSTEM_ACTOR, reason = null }, connection = pool) {
+        const credentialId = generateUUID();
+        await connection.execute(
+            `INSERT INTO credentials (id, student_id, type, value, expires_at, issued_by) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [credentialId, studentId, type, this.storedValue(type, value), expiresAt, actor.id]
+        );
+        await auditLog.recordChange({ actor, entityType: 'credential', entityId: credentialId, action: 'issue', reason }, connection);
+
+        if (type === 'card') {
+            await this.syncPrimaryCard(studentId, connection);
         }
+        return credentialId;
     },
 
-    async checkConsecutiveAbsences(studentId) {
-        const [rows] = await pool.execute(
-            `SELECT date, status 
-             FROM attendance 
-             WHERE student_id = ? 
-             AND date >= DATE_SUB(CURDATE(), INTERVAL 5 DAY) 
-             ORDER BY date DESC`,
+    async setStatus(credential, status, { actor = SYSTEM_ACTOR, reason = null } = {}, connection = pool) {
+        const before = await auditLog.snapshot('credential', credential.id, connection);
+        await connection.execute(
+            `UPDATE credentials 
+             SET status = ?, status_changed_by = ?, status_changed_at = NOW(), status_reason = ? 
+             WHERE id = ?`,
+            [status, actor.id, reason, credential.id]
+        );
+        await auditLog.recordChange({ actor, entityType: 'credential', entityId: credential.id, action: status, before, reason }, connection);
+
+        if (credential.type === 'card') {
+            await this.syncPrimaryCard(credential.student_id, connection);
+        }
+    },
+
+    // Points students.card_id at the newest active card, or clears it
+    async syncPrimaryCard(studentId, connection = pool) {
+        const [cards] = await connection.execute(
+            `SELECT value FROM credentials 
+             WHERE student_id = ? AND type = 'card' AND status = 'active' 
+             ORDER BY issued_at DESC 
+             LIMIT 1`,
             [studentId]
         );
-        
-        let consecutiveAbsences = 0;
-        const today = getCurrentDate();
-        let currentDate = new Date(today);
-        
-        for (let i = 0; i < 5; i++) {
-            const dateStr = currentDate.toISOString().split('T')[0];
-            const record = rows.find(r => r.date.toISOString().split('T')[0] === dateStr);
-            
-            if (record && record.status === 'absent') {
-                consecutiveAbsences++;
-            } else if (record && record.status === 'present') {
-                break;
-            } else {
-                consecutiveAbsences++;
-            }
-            
-            currentDate.setDate(currentDate.getDate() - 1);
+        await connection.execute('UPDATE students SET card_id = ? WHERE id = ?', [cards[0] ? cards[0].value : null, studentId]);
+    },
+
+    // Finds who a presented credential belongs to at the moment of the scan. Returns
+    // { student, credential }, or { status, message } to refuse the scan with (plus the
+    // credential when it was found but cannot be used).
+    async resolve(type, value, at) {
+        const [rows] = await pool.execute(
+            `SELECT * FROM credentials 
+             WHERE type = ? AND value = ? AND status != 'revoked' 
+             ORDER BY status = 'active' DESC, issued_at DESC 
+             LIMIT 1`,
+            [type, this.storedValue(type, value)]
+        );
+        const credential = rows[0];
+        const label = CREDENTIAL_LABELS[type];
+        if (!credential) {
+            return { status: 404, message: `No student found with this ${label}` };
         }
-        
-        return consecutiveAbsences;
+
+        const [students] = await pool.execute('SELECT * FROM students WHERE id = ?', [credential.student_id]);
+        const student = students[0];
+
+        if (credential.status !== 'active') {
+            await this.alertRefused(credential, student);
+            return { status: 403, credential, message: `This ${label} has been reported ${credential.status} and cannot be used` };
+        }
+        if (credential.expires_at && credential.expires_at <= at) {
+            return { status: 403, credential, message: `This ${label} expired on ${getDateOf(credential.expires_at)}` };
+        }
+
+        await pool.execute('UPDATE credentials SET last_used_at = NOW() WHERE id = ?', [credential.id]);
+        return { student, credential };
     },
 
-    getActiveTimersCount() {
-        return this.timers.size;
+    // Dashboards hear about every attempt; the class teacher is notified once a day per credential
+    async alertRefused(credential, student) {
+        await liveEvents.publish('credential.refused', {
+            credentialId: credential.id,
+            type: credential.type,
+            status: credential.status,
+            studentId: student.id,
+            studentName: student.name
+        }, student.class);
+
+        const [claimed] = await pool.execute(
+            `UPDATE credentials SET last_rejected_at = NOW() 
+             WHERE id = ? AND (last_rejected_at IS NULL OR last_rejected_at < ?)`,
+            [credential.id, getMomentOf(getCurrentDate(), '00:00')]
+        );
+        if (claimed.affectedRows > 0) {
+            await createNotification({
+                student,
+                type: 'blocked_credential',
+                recipient: 'class_teacher',
+                message: `Someone tried to check in with ${student.name}'s ${credential.status} ` +
+                    `${CREDENTIAL_LABELS[credential.type]} at ${getCurrentTime().slice(0, 5)}.`
+            });
+        }
+
+        await scanGuard.raise({
+            type: 'blocked_credential',
+            key: `blocked_credential:${credential.id}`,
+            message: `Someone tried to check in with ${student.name}'s ${credential.status} ${CREDENTIAL_LABELS[credential.type]}`,
+            studentId: student.id,
+            credentialId: credential.id,
+            details: { status: credential.status }
+        });
+    }
+};
+
+// Scan Guard
+// Every scan attempt is written to scan_events, whatever became of it, so unknown
+// credentials, ignored repeats and refused scans all leave a trace. Live scans are
+// rate limited per reader, and a credential scanned again within the debounce
+// window is ignored instead of checking the student straight back out. Reader
+// scans are then checked for suspicious patterns, which are raised as scan alerts
+// and stay on the dashboard until someone acknowledges them.
+const SCAN_OUTCOMES = ['check_in', 'check_out', 'rejected', 'unknown', 'refused', 'debounced', 'duplicate', 'rate_limited'];
+const SCAN_ALERT_TYPES = ['multi_gate', 'unknown_burst', 'outside_hours', 'blocked_credential'];
+const SCAN_ALERT_STATUSES = ['open', 'acknowledged'];
+
+const scanGuard = {
+    UNKNOWN_BURST_SECONDS: 60,
+
+    // Returns an outcome to answer with instead of processing the scan, or null to go ahead
+    async check({ presented, scannedAt, device, actor, live }, settings) {
+        if (live && settings.device_scan_rate_limit > 0) {
+            // Scans entered by staff without a reader are limited per user
+            const [recent] = await pool.execute(
+                `SELECT COUNT(*) AS count FROM scan_events 
+                 WHERE ${device ? 'device_id = ?' : 'device_id IS NULL AND recorded_by = ?'} 
+                 AND received_at > DATE_SUB(NOW(), INTERVAL 1 MINUTE)`,
+                [device ? device.id : actor.id]
+            );
+            if (recent[0].count >= settings.device_scan_rate_limit) {
+                return {
+                    status: 429,
+                    result: 'rate_limited',
+                    body: { success: false, message: 'Too many scans from this reader, please wait a moment and scan again' }
+                };
+            }
+        }
+
+        if (settings.scan_debounce_seconds > 0) {
+            const [previous] = await pool.execute(
+                `SELECT id FROM scan_events 
+                 WHERE credential_type = ? AND credential_value = ? 
+                 AND outcome NOT IN ('debounced', 'duplicate', 'rate_limited') 
+                 AND scanned_at BETWEEN ? AND ? 
+                 LIMIT 1`,
+                [
+                    presented.type, 
+                    credentials.storedValue(presented.type, presented.value),
+                    new Date(scannedAt.getTime() - settings.scan_debounce_seconds * 1000), 
+                    scannedAt
+                ]
+            );
+            if (previous.length > 0) {
+                return {
+                    status: 200,
+                    result: 'debounced',
+                    body: { 
+                        success: false, 
+                        debounced: true, 
+                        message: `This ${CREDENTIAL_LABELS[presented.type]} was scanned moments ago, scan ignored` 
+                    }
+                };
+            }
+        }
+
+        return null;
+    },
+
+    // Logs an attempt and looks for patterns around it. Never throws: the scan has
+    // already been handled by the time it is logged.
+    async record({ presented, scannedAt, scanId, device, actor }, outcome) {
+        try {
+            const event = {
+                type: presented.type,
+                value: credentials.storedValue(presented.type, presented.value),
+                credentialId: outcome.credentialId || null,
+                studentId: outcome.studentId || null,
+                staffId: outcome.staffId || null,
+                result: outcome.result,
+                scannedAt
+            };
+            await pool.execute(
+                `INSERT INTO scan_events 
+                    (device_id, recorded_by, scan_id, credential_type, credential_value, credential_id, student_id, 
+                     staff_id, outcome, http_status, message, scanned_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [device ? device.id : null, actor.id, scanId, event.type, event.value, event.credentialId, event.studentId,
+                 event.staffId, event.result, outcome.status, outcome.body.message ? outcome.body.message.slice(0, 255) : null, scannedAt]
+            );
+
+            // Staff entering scans by hand are accountable through the log already
+            if (device && event.result !== 'duplicate') {
+                await this.inspect(event, device);
+            }
+        } catch (error) {
+            console.error(`Error recording scan: ${error.message}`);
+        }
+    },
+
+    async inspect(event, device) {
+        const settings = await getSettings();
+        const at = event.scannedAt.getTime();
+
+        // One credential at two readers within moments of each other: a copied card or a shared PIN
+        if (settings.multi_gate_window_seconds > 0) {
+            const window = settings.multi_gate_window_seconds * 1000;
+            const [others] = await pool.execute(
+                `SELECT e.device_id, e.scanned_at, d.name AS device_name 
+                 FROM scan_events e 
+                 JOIN devices d ON e.device_id = d.id 
+                 WHERE e.credential_type = ? AND e.credential_value = ? AND e.device_id != ? 
+                 AND e.scanned_at BETWEEN ? AND ? 
+                 AND e.outcome != 'duplicate' 
+                 ORDER BY e.scanned_at DESC 
+                 LIMIT 1`,
+                [event.type, event.value, device.id, new Date(at - window), new Date(at + window)]
+            );
+            if (others.length > 0) {
+                const other = others[0];
+                const seconds = Math.round(Math.abs(at - other.scanned_at.getTime()) / 1000);
+                await this.raise({
+                    type: 'multi_gate',
+                    key: `multi_gate:${event.type}:${event.value}`,
+                    message: `${await this.describeHolder(event)} was scanned at ${device.name} and ` +
+                        `${other.device_name} ${seconds} seconds apart`,
+                    deviceId: device.id,
+                    studentId: event.studentId,
+                    credentialId: event.credentialId,
+                    details: { 
+                        devices: [{ id: device.id, name: device.name }, { id: other.device_id, name: other.device_name }], 
+                        seconds 
+                    },
+                    at: event.scannedAt
+                });
+            }
+        }
+
+        // Many different unknown credentials in a short time: someone trying cards or PINs
+        if (event.result === 'unknown' && settings.unknown_scan_burst > 0) {
+            const [burst] = await pool.execute(
+                `SELECT COUNT(DISTINCT credential_value) AS count FROM scan_events 
+                 WHERE device_id = ? AND outcome = 'unknown' AND scanned_at BETWEEN ? AND ?`,
+                [device.id, new Date(at - this.UNKNOWN_BURST_SECONDS * 1000), event.scannedAt]
+            );
+            if (burst[0].count >= settings.unknown_scan_burst) {
+                await this.raise({
+                    type: 'unknown_burst',
+                    key: `unknown_burst:${device.id}`,
+                    message: `${burst[0].count} unknown credentials were scanned at ${device.name} within a minute`,
+                    deviceId: device.id,
+                    details: { count: burst[0].count, seconds: this.UNKNOWN_BURST_SECONDS },
+                    at: event.scannedAt
+                });
+            }
+        }
+
+        // Prototype days run on a stopwatch, so only production mode has school hours.
+        // Staff come in early and stay late as a matter of course, so their scans are left out.
+        if (settings.schedule_mode === 'production' && !event.staffId) {
+            const date = getDateOf(event.scannedAt);
+            const time = getTimeOf(event.scannedAt).slice(0, 5);
+            const day = await schoolCalendar.describeDate(date);
+            const reason = !day.schoolDay ? 'not a school day' :
+                time < settings.checkin_open_time ? 'before check-in opens' :
+                    time >= settings.school_end_time ? 'after school hours' : null;
+
+            if (reason) {
+                await this.raise({
+                    type: 'outside_hours',
+                    key: `outside_hours:${device.id}:${date}`,
+                    message: `${await this.describeHolder(event)} was scanned at ${device.name} at ${time}, ${reason}`,
+                    deviceId: device.id,
+                    studentId: event.studentId,
+                    credentialId: event.credentialId,
+                    details: { date, time, reason },
+                    at: event.scannedAt
+                });
+            }
+        }
+    },
+
+    async describeHolder(event) {
+        const label = CREDENTIAL_LABELS[event.type];
+        const [holders] = event.studentId ? 
+            await pool.execute('SELECT name FROM students WHERE id = ?', [event.studentId]) : 
+            event.staffId ? 
+                await pool.execute('SELECT name FROM staff WHERE id = ?', [event.staffId]) : 
+                [[]];
+        return holders.length > 0 ? `${holders[0].name}'s ${label}` : `An unknown ${label}`;
+    },
+
+    // A repeat of an alert that is still open is counted on it rather than raised again
+    async raise({ type, key, message, deviceId = null, studentId = null, credentialId = null, details = null, at = new Date() }) {
+        const [merged] = await pool.execute(
+            `UPDATE scan_alerts 
+             SET occurrences = occurrences + 1, last_seen_at = GREATEST(last_seen_at, ?), message = ?, details = ? 
+             WHERE alert_key = ? AND status = 'open'`,
+            [at, message, JSON.stringify(details), key]
+        );
+        if (merged.affectedRows > 0) {
+            return;
+        }
+
+        const alertId = generateUUID();
+        await pool.execute(
+            `INSERT INTO scan_alerts 
+                (id, type, alert_key, message, device_id, student_id, credential_id, details, first_seen_at, last_seen_at) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [alertId, type, key, message, deviceId, studentId, credentialId, JSON.stringify(details), at, at]
+        );
+        await liveEvents.publish('scan.alert', { id: alertId, type, message, deviceId, studentId });
+    }
+};
+
+// Day Scheduler
+// The state of each day lives in the school_days table, so a restart (or a second
+// server instance) picks up exactly where the last one left off. Instead of one
+// timer per student, every day has a single cutoff job that marks everyone
+// without an attendance record absent.
+const timerManager = {
+    pollTimer: null,
+    POLL_INTERVAL: 15 * 1000, // 15 seconds
+    LOCK_NAME: 'attendance_day_scheduler',
+
+    async startDaySystem() {
+        console.log('🔄 Starting day system...');
+        await this.tick();
+        this.pollTimer = setInterval(() => this.tick(), this.POLL_INTERVAL);
+    },
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    },
+
+    // Runs fn while holding a MySQL named lock so only one instance schedules at a time.
+    // Returns false without running fn if the lock could not be acquired in time.
+    async withLock(fn, waitSeconds = 0) {
+        const connection = await pool.getConnection();
+        try {
+            const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [this.LOCK_NAME, waitSeconds]);
+            if (lock.acquired !== 1) {
+                return false;
+            }
+
+            try {
+                await fn();
+            } finally {
+                await connection.query('SELECT RELEASE_LOCK(?)', [this.LOCK_NAME]);
+            }
+            return true;
+        } finally {
+            connection.release();
+        }
+    },
+
+    async tick() {
+        try {
+            await this.withLock(async () => {
+                await this.processDueCutoffs();
+
+                const currentDay = await this.getCurrentDay();
+                if (!currentDay || currentDay.ended) {
+                    console.log('🔄 Day completed! Starting new day...');
+                    await this.openNewDay();
+                }
+            });
+        } catch (error) {
+            console.error(`Error running day scheduler: ${error.message}`);
+        }
+    },
+
+    async getCurrentDay() {
+        const [days] = await pool.execute(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS day_date, 
+                    opens_at > NOW() AS before_open, late_at <= NOW() AS past_late, ends_at <= NOW() AS ended 
+             FROM school_days 
+             WHERE status = 'open' 
+             ORDER BY day_number DESC 
+             LIMIT 1`
+        );
+        return days[0] || null;
+    },
+
+    // The day a scan at the given moment belongs to (the latest day on that date that had started by then)
+    async getDayAt(moment) {
+        const [days] = await pool.execute(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS day_date 
+             FROM school_days 
+             WHERE date = ? 
+             ORDER BY started_at <= ? DESC, day_number DESC 
+             LIMIT 1`,
+            [getDateOf(moment), moment]
+        );
+        return days[0] || null;
+    },
+
+    async startNewDay() {
+        const started = await this.withLock(() => this.openNewDay(), 10);
+        if (!started) {
+            throw new Error('Day scheduler is busy, please try again');
+        }
+    },
+
+    // Must be called while holding the scheduler lock
+    async openNewDay() {
+        // Close the previous day, running its cutoff first if it never happened
+        const previousDay = await this.getCurrentDay();
+        if (previousDay) {
+            if (!previousDay.cutoff_processed_at) {
+                await this.processCutoff(previousDay);
+            }
+            if (!previousDay.staff_cutoff_processed_at) {
+                await staffAttendance.processCutoff(previousDay);
+            }
+            await pool.execute('UPDATE school_days SET status = "closed" WHERE id = ?', [previousDay.id]);
+        }
+
+        const [lastDay] = await pool.execute('SELECT MAX(day_number) AS day_number FROM school_days');
+        const dayNumber = (lastDay[0].day_number || 0) + 1;
+
+        const dayId = generateUUID();
+        await pool.execute(
+            `INSERT INTO school_days (id, day_number, date, started_at, opens_at, late_at, cutoff_at, ends_at) 
+             VALUES (?, ?, ?, NOW(), NOW(), NOW(), NOW(), NOW())`,
+            [dayId, dayNumber, getCurrentDate()]
+        );
+        await this.applySchedule(dayId, await getSettings());
+
+        await pool.execute(
+            `INSERT INTO system_settings (setting_key, setting_value, description) 
+             VALUES ('current_day', ?, ?), ('last_day_reset', NOW(), ?) 
+             ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+            [String(dayNumber), SETTINGS_SCHEMA.current_day.description, SETTINGS_SCHEMA.last_day_reset.description]
+        );
+
+        await liveEvents.publish('day.started', { dayNumber, date: getCurrentDate() });
+        console.log(`🏁 Started day ${dayNumber}`);
+    },
+
+    // Sets a day's check-in, cutoff and end times from the schedule settings
+    async applySchedule(dayId, settings) {
+        if (settings.schedule_mode === 'production') {
+            // The times are school clock times, so they are converted here rather than by MySQL
+            const [days] = await pool.execute(
+                `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS day_date FROM school_days WHERE id = ?`,
+                [dayId]
+            );
+            const date = days[0].day_date;
+            await pool.execute(
+                `UPDATE school_days 
+                 SET opens_at = ?, late_at = ?, cutoff_at = ?, staff_late_at = ?, staff_cutoff_at = ?, ends_at = ? 
+                 WHERE id = ?`,
+                [
+                    getMomentOf(date, settings.checkin_open_time),
+                    getMomentOf(date, settings.late_time),
+                    getMomentOf(date, settings.absence_cutoff_time),
+                    getMomentOf(date, settings.staff_late_time),
+                    getMomentOf(date, settings.staff_absence_cutoff_time),
+                    getMomentOf(addDays(date, 1), '00:00'),
+                    dayId
+                ]
+            );
+        } else {
+            await pool.execute(
+                `UPDATE school_days 
+                 SET opens_at = started_at, 
+                     late_at = DATE_ADD(started_at, INTERVAL ? SECOND), 
+                     cutoff_at = DATE_ADD(started_at, INTERVAL ? SECOND), 
+                     staff_late_at = late_at, 
+                     staff_cutoff_at = cutoff_at, 
+                     ends_at = DATE_ADD(started_at, INTERVAL ? SECOND) 
+                 WHERE id = ?`,
+                [settings.late_after_seconds, settings.attendance_time, settings.day_duration, dayId]
+            );
+        }
+    },
+
+    // Re-applies the schedule settings to the running day, then lets the
+    // scheduler act on the new times (e.g. a cutoff moved into the past)
+    async reschedule() {
+        const rescheduled = await this.withLock(async () => {
+            const currentDay = await this.getCurrentDay();
+            if (currentDay) {
+                await this.applySchedule(currentDay.id, await getSettings());
+            }
+        }, 10);
+
+        if (!rescheduled) {
+            throw new Error('Day scheduler is busy, please try again');
+        }
+
+        await this.tick();
+    },
+
+    // Runs every cutoff that is due, including ones missed while no instance was running
+    async processDueCutoffs() {
+        const [dueDays] = await pool.execute(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS day_date 
+             FROM school_days 
+             WHERE cutoff_processed_at IS NULL AND cutoff_at <= NOW() 
+             ORDER BY day_number`
+        );
+
+        for (const day of dueDays) {
+            await this.processCutoff(day);
+        }
+
+        const [dueStaffDays] = await pool.execute(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS day_date 
+             FROM school_days 
+             WHERE staff_cutoff_processed_at IS NULL AND staff_cutoff_at <= NOW() 
+             ORDER BY day_number`
+        );
+
+        for (const day of dueStaffDays) {
+            await staffAttendance.processCutoff(day);
+        }
+    },
+
+    async processCutoff(day) {
+        const calendarDay = await schoolCalendar.describeDate(day.day_date);
+        if (!calendarDay.schoolDay) {
+            console.log(`📅 ${day.day_date} is not a school day (${calendarDay.reason}), skipping absence marking`);
+            await pool.execute('UPDATE school_days SET cutoff_processed_at = NOW() WHERE id = ?', [day.id]);
+            return;
+        }
+
+        console.log(`⏰ Attendance cutoff for day ${day.day_number}, marking absentees...`);
+
+        const cutoffTime = getTimeOf(day.cutoff_at);
+        const [students] = await pool.execute(
+            `SELECT s.* 
+             FROM students s 
+             WHERE s.created_at <= ? AND s.status = 'active' 
+             AND NOT EXISTS (SELECT 1 FROM attendance a WHERE a.student_id = s.id AND a.date = ?)`,
+            [day.cutoff_at, day.day_date]
+        );
+
+        let markedCount = 0;
+        for (const student of students) {
+            try {
+                if (await this.markStudentAbsent(student, day.day_date, cutoffTime)) {
+                    markedCount++;
+                }
+            } catch (error) {
+                console.error(`Error marking student absent: ${error.message}`);
+            }
+        }
+
+        await pool.execute('UPDATE school_days SET cutoff_processed_at = NOW() WHERE id = ?', [day.id]);
+        console.log(`⏰ Marked ${markedCount} students absent for day ${day.day_number}`);
+    },
+
+    // Students on approved leave are recorded as excused instead
+    async markStudentAbsent(student, date, time) {
+        const leave = await leaveRequests.findApproved(student.id, date);
+        const status = leave ? 'excused' : 'absent';
+
+        // Guarded insert so a scan that lands at the same moment still wins
+        const attendanceId = generateUUID();
+        const [result] = await pool.execute(
+            `INSERT IGNORE INTO attendance 
+                (id, student_id, student_name, class_id, class, card_id, date, timestamp, status, auto_marked, reason) 
+             SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ? FROM DUAL 
+             WHERE NOT EXISTS (SELECT 1 FROM attendance WHERE student_id = ? AND date = ?)`,
+            [attendanceId, student.id, student.name, student.class_id, student.class, student.card_id, date, time, status, 
+             leave ? leaveRequests.reasonFor(leave) : null, student.id, date]
+        );
+
+        if (result.affectedRows === 0) {
+            return false;
+        }
+
+        if (leave) {
+            await auditLog.recordChange({ 
+                entityType: 'attendance', 
+                entityId: attendanceId, 
+                action: 'leave_excuse', 
+                reason: leaveRequests.reasonFor(leave) 
+            });
+            await publishAttendanceEvent(student, { action: 'mark_excused', status, date, reason: leave.reason });
+            return false;
+        }
+
+        await auditLog.recordChange({ entityType: 'attendance', entityId: attendanceId, action: 'auto_absent' });
+
+        await liveEvents.publish('attendance.auto_absent', {
+            studentId: student.id,
+            studentName: student.name,
+            date,
+            time
+        }, student.class);
+
+        await alertEngine.evaluateStudent(student, date);
+
+        return true;
+    },
+
+    // Students created before the cutoff are picked up by the day's cutoff job,
+    // so a new student only needs a running day to be covered.
+    async startAbsenceTimer(student) {
+        const currentDay = await this.getCurrentDay();
+        if (!currentDay) {
+            await this.tick();
+        }
+    },
+
+    // Counts back over the last school days (5 unless maxDays says otherwise) up to asOf.
+    // Weekends, holidays, closures and days before the student was enrolled are skipped.
+    // A late arrival ends the streak and an excused day neither counts nor ends it.
+    async checkConsecutiveAbsences(studentId, maxDays = 5, asOf = getCurrentDate()) {
+        const [students] = await pool.execute('SELECT created_at FROM students WHERE id = ?', [studentId]);
+        const enrolledDate = students.length > 0 ? getDateOf(students[0].created_at) : asOf;
+
+        const schoolDays = (await schoolCalendar.getRecentSchoolDays(asOf, maxDays))
+            .filter(date => date >= enrolledDate);
+        if (schoolDays.length === 0) {
+            return 0;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS day_date, status 
+             FROM attendance 
+             WHERE student_id = ? 
+             AND date >= ? 
+             AND date <= ? 
+             ORDER BY date DESC`,
+            [studentId, schoolDays[schoolDays.length - 1], asOf]
+        );
+        const leaveDates = await leaveRequests.getApprovedDates(studentId, schoolDays[schoolDays.length - 1], asOf);
+        
+        let consecutiveAbsences = 0;
+        
+        for (const date of schoolDays) {
+            const record = rows.find(r => r.day_date === date);
+            
+            if (record && ATTENDED_STATUSES.includes(record.status)) {
+                break;
+            }
+
+            // Approved leave counts as excused even before the day has a record
+            if ((record && record.status === 'excused') || (!record && leaveDates.has(date))) {
+                continue;
+            }
+            
+            consecutiveAbsences++;
+        }
+        
+        return consecutiveAbsences;
+    },
+
+    // Number of students the current day's cutoff will mark absent if they don't scan in
+    async getActiveTimersCount() {
+        const currentDay = await this.getCurrentDay();
+        if (!currentDay || currentDay.cutoff_processed_at) {
+            return 0;
+        }
+
+        if (!(await schoolCalendar.describeDate(currentDay.day_date)).schoolDay) {
+            return 0;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) AS count 
+             FROM students s 
+             WHERE s.status = 'active' 
+             AND NOT EXISTS (SELECT 1 FROM attendance a WHERE a.student_id = s.id AND a.date = ?) 
+             AND NOT EXISTS (
+                 SELECT 1 FROM leave_requests l 
+                 WHERE l.student_id = s.id AND l.status = 'approved' AND l.start_date <= ? AND l.end_date >= ?
+             )`,
+            [currentDay.day_date, currentDay.day_date, currentDay.day_date]
+        );
+        return rows[0].count;
+    }
+};
+
+// Staff Attendance
+// Staff check in and out with their cards on the same readers as students. Their
+// day has its own late and absence cutoff times, kept on school_days next to the
+// student ones. Staff without a record by the cutoff are marked absent; a day
+// recorded in advance (e.g. as leave) is left alone.
+const STAFF_STATUSES = ['active', 'left'];
+const STAFF_ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'on_leave'];
+
+const staffAttendance = {
+    async findByCard(cardId) {
+        const [staff] = await pool.execute("SELECT * FROM staff WHERE card_id = ? AND status = 'active'", [cardId]);
+        return staff[0] || null;
+    },
+
+    // Returns an outcome shaped like processScan's
+    async processScan(member, { scannedAt, actor = SYSTEM_ACTOR }) {
+        const date = getDateOf(scannedAt);
+        const time = getTimeOf(scannedAt);
+        const day = await timerManager.getDayAt(scannedAt);
+        const arrivalStatus = day && day.staff_late_at && scannedAt >= day.staff_late_at ? 'late' : 'present';
+
+        const accepted = async (action, status, message) => {
+            await liveEvents.publish('staff.attendance', { staffId: member.id, staffName: member.name, action, status, date, time });
+            return { 
+                status: 200, 
+                result: action, 
+                staffId: member.id, 
+                body: { success: true, action, status, message, staff: member } 
+            };
+        };
+
+        const [existing] = await pool.execute(
+            'SELECT * FROM staff_attendance WHERE staff_id = ? AND date = ?',
+            [member.id, date]
+        );
+
+        if (existing.length === 0) {
+            const recordId = generateUUID();
+            await pool.execute(
+                `INSERT INTO staff_attendance (id, staff_id, staff_name, date, check_in_time, status) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [recordId, member.id, member.name, date, time, arrivalStatus]
+            );
+            await auditLog.recordChange({ actor, entityType: 'staff_attendance', entityId: recordId, action: 'check_in' });
+            return accepted('check_in', arrivalStatus, 
+                arrivalStatus === 'late' ? `Late arrival recorded for ${member.name}` : `Attendance recorded for ${member.name}`);
+        }
+
+        const record = existing[0];
+        const before = await auditLog.snapshot('staff_attendance', record.id);
+
+        // Marked absent or on leave but came in after all
+        if (!record.check_in_time || time < record.check_in_time) {
+            await pool.execute(
+                'UPDATE staff_attendance SET status = ?, check_in_time = ?, auto_marked = FALSE WHERE id = ?',
+                [arrivalStatus, time, record.id]
+            );
+            await auditLog.recordChange({ actor, entityType: 'staff_attendance', entityId: record.id, action: 'check_in', before });
+            return accepted('check_in', arrivalStatus, record.check_in_time ? 
+                `Earlier check-in recorded for ${member.name}` : 
+                `${member.name} arrived after being marked ${record.status}, recorded as ${arrivalStatus}`);
+        }
+
+        if (record.check_out_time) {
+            return { 
+                status: 200, 
+                result: 'rejected', 
+                staffId: member.id, 
+                body: { success: false, message: `${member.name} has already checked out today` } 
+            };
+        }
+
+        await pool.execute('UPDATE staff_attendance SET check_out_time = ? WHERE id = ?', [time, record.id]);
+        await auditLog.recordChange({ actor, entityType: 'staff_attendance', entityId: record.id, action: 'check_out', before });
+        return accepted('check_out', record.status, `Check-out recorded for ${member.name}`);
+    },
+
+    async processCutoff(day) {
+        const calendarDay = await schoolCalendar.describeDate(day.day_date);
+        if (!calendarDay.schoolDay) {
+            await pool.execute('UPDATE school_days SET staff_cutoff_processed_at = NOW() WHERE id = ?', [day.id]);
+            return;
+        }
+
+        const [staff] = await pool.execute(
+            `SELECT s.* 
+             FROM staff s 
+             WHERE s.created_at <= ? AND s.status = 'active' 
+             AND NOT EXISTS (SELECT 1 FROM staff_attendance a WHERE a.staff_id = s.id AND a.date = ?)`,
+            [day.staff_cutoff_at, day.day_date]
+        );
+
+        let markedCount = 0;
+        for (const member of staff) {
+            try {
+                // Guarded insert so a scan that lands at the same moment still wins
+                const recordId = generateUUID();
+                const [result] = await pool.execute(
+                    `INSERT INTO staff_attendance (id, staff_id, staff_name, date, status, auto_marked) 
+                     SELECT ?, ?, ?, ?, 'absent', TRUE FROM DUAL 
+                     WHERE NOT EXISTS (SELECT 1 FROM staff_attendance WHERE staff_id = ? AND date = ?)`,
+                    [recordId, member.id, member.name, day.day_date, member.id, day.day_date]
+                );
+                if (result.affectedRows > 0) {
+                    await auditLog.recordChange({ entityType: 'staff_attendance', entityId: recordId, action: 'auto_absent' });
+                    markedCount++;
+                }
+            } catch (error) {
+                console.error(`Error marking staff member absent: ${error.message}`);
+            }
+        }
+
+        await pool.execute('UPDATE school_days SET staff_cutoff_processed_at = NOW() WHERE id = ?', [day.id]);
+        if (markedCount > 0) {
+            await liveEvents.publish('staff.auto_absent', { date: day.day_date, count: markedCount });
+        }
+        console.log(`⏰ Marked ${markedCount} staff absent for day ${day.day_number}`);
+    }
+};
+
+// Notification Delivery
+// Notifications work as an outbox: a row waiting in 'pending' with a
+// next_attempt_at in the past is picked up by notificationWorker and handed to
+// the provider configured for each channel. Failed channels are retried with
+// exponential backoff until MAX_ATTEMPTS is reached.
+const INSTANCE_ID = generateUUID();
+
+const notificationProviders = {
+    console: {
+        async send({ channel, to, subject, text }) {
+            console.log(`📧 [${channel}] to ${to}: ${subject ? `${subject} - ` : ''}${text}`);
+            return {};
+        }
+    },
+
+    file: {
+        async send(message) {
+            // Kept out of the source tree unless configured otherwise
+            const filePath = process.env.NOTIFICATION_FILE_PATH || path.join(os.tmpdir(), 'school-attendance-notifications.log');
+            await fs.promises.appendFile(filePath, JSON.stringify({ ...message, at: formatTimestamp(new Date()) }) + '\n');
+            return {};
+        }
+    },
+
+    smtp: {
+        transport: null,
+
+        async send({ to, subject, text }) {
+            if (!process.env.SMTP_HOST) {
+                throw new Error('SMTP_HOST is not configured');
+            }
+
+            if (!this.transport) {
+                this.transport = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? 
+                        { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : 
+                        undefined
+                });
+            }
+
+            const info = await this.transport.sendMail({
+                from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                to,
+                subject,
+                text
+            });
+            return { messageId: info.messageId };
+        }
+    },
+
+    // Generic SMS gateway: POSTs { to, from, message } as JSON to SMS_GATEWAY_URL
+    http: {
+        async send({ to, text }) {
+            if (!process.env.SMS_GATEWAY_URL) {
+                throw new Error('SMS_GATEWAY_URL is not configured');
+            }
+
+            const response = await fetch(process.env.SMS_GATEWAY_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(process.env.SMS_GATEWAY_TOKEN && { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` })
+                },
+                body: JSON.stringify({ to, from: process.env.SMS_SENDER_ID, message: text }),
+                signal: AbortSignal.timeout(10000)
+            });
+
+            const body = await response.text();
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with ${response.status}: ${body.slice(0, 200)}`);
+            }
+
+            let messageId = null;
+            try {
+                messageId = JSON.parse(body).id || null;
+            } catch (error) {
+                // Gateways that answer with plain text have no message id
+            }
+            return { messageId };
+        }
+    }
+};
+
+// Delivery channels, the contact each one needs, and the provider to use
+const DELIVERY_CHANNELS = {
+    email: {
+        contactField: 'email',
+        provider: process.env.EMAIL_PROVIDER || 'console',
+        supports: ['smtp', 'file', 'console']
+    },
+    sms: {
+        contactField: 'phone',
+        provider: process.env.SMS_PROVIDER || 'console',
+        supports: ['http', 'file', 'console']
+    }
+};
+
+const NOTIFICATION_SUBJECTS = {
+    consecutive_absence: 'Attendance alert',
+    absence_rate: 'Attendance alert',
+    repeated_lateness: 'Lateness alert',
+    first_absence_of_term: 'Absence notice',
+    blocked_credential: 'Blocked credential used'
+};
+
+const createNotification = async ({
+    student,
+    type,
+    message,
+    consecutiveAbsentDays = 0,
+    recipient = 'parent',
+    alertRuleId = null,
+    escalationLevel = null
+}) => {
+    const settings = await getSettings();
+    const notificationId = generateUUID();
+
+    await pool.execute(
+        `INSERT INTO notifications 
+            (id, student_id, student_name, type, message, consecutive_absent_days, recipient, alert_rule_id, 
+             escalation_level, status, next_attempt_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ${settings.auto_send_notifications ? 'NOW()' : 'NULL'})`,
+        [notificationId, student.id, student.name, type, message, consecutiveAbsentDays, recipient, alertRuleId,
+         escalationLevel]
+    );
+    await auditLog.recordChange({ entityType: 'notification', entityId: notificationId, action: 'create' });
+
+    await liveEvents.publish('notification.created', {
+        notificationId,
+        studentId: student.id,
+        studentName: student.name,
+        type,
+        recipient,
+        message
+    }, student.class);
+
+    return notificationId;
+};
+
+// Minutes since midnight for an HH:MM[:SS] time
+const toMinutes = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+
+// When a contact's quiet hours end, or null if they are not in quiet hours at `now`.
+// Quiet hours are school clock times; a start later than the end (22:00-07:00) runs over midnight.
+const getQuietHoursEnd = (contact, now = new Date()) => {
+    if (!contact.quietHoursStart || !contact.quietHoursEnd) {
+        return null;
+    }
+
+    const start = toMinutes(contact.quietHoursStart);
+    const end = toMinutes(contact.quietHoursEnd);
+    const current = toMinutes(getTimeOf(now));
+    const quiet = start <= end ? current >= start && current < end : current >= start || current < end;
+    if (!quiet) {
+        return null;
+    }
+
+    const endTime = contact.quietHoursEnd.slice(0, 5);
+    const endsToday = getMomentOf(getDateOf(now), endTime);
+    return endsToday > now ? endsToday : getMomentOf(addDays(getDateOf(now), 1), endTime);
+};
+
+// Everyone a notification should go to, as [{ email, phone, channels, quietHoursStart, quietHoursEnd }].
+// Parent notifications go to each guardian who receives notifications, on their preferred channels.
+const resolveRecipientContacts = async (notification) => {
+    const allChannels = Object.keys(DELIVERY_CHANNELS);
+
+    if (notification.recipient === 'parent') {
+        const [guardians] = await pool.execute(
+            `SELECT g.* 
+             FROM student_guardians sg 
+             JOIN guardians g ON sg.guardian_id = g.id AND g.active = TRUE 
+             WHERE sg.student_id = ? AND sg.receives_notifications = TRUE 
+             ORDER BY sg.is_primary DESC`,
+            [notification.student_id]
+        );
+
+        // Students without guardian records still have the old contact columns
+        if (guardians.length === 0) {
+            return [{ email: notification.parent_email, phone: notification.parent_phone, channels: allChannels }];
+        }
+
+        return guardians.map(guardian => ({
+            email: guardian.email,
+            phone: guardian.phone,
+            channels: guardian.preferred_channel === 'both' ? allChannels : [guardian.preferred_channel],
+            quietHoursStart: guardian.quiet_hours_start,
+            quietHoursEnd: guardian.quiet_hours_end
+        }));
+    }
+
+    const settings = await getSettings();
+    if (notification.recipient === 'head_teacher') {
+        return [{ email: settings.head_teacher_email, phone: settings.head_teacher_phone, channels: allChannels }];
+    }
+
+    // Class teacher is the homeroom teacher, or the configured contact for classes without one
+    const [teachers] = await pool.execute(
+        `SELECT u.email, u.phone 
+         FROM students s 
+         JOIN classes c ON s.class_id = c.id 
+         JOIN users u ON c.homeroom_teacher_id = u.id AND u.active = TRUE 
+         WHERE s.id = ?`,
+        [notification.student_id]
+    );
+    if (teachers.length > 0) {
+        return [{ email: teachers[0].email, phone: teachers[0].phone, channels: allChannels }];
+    }
+
+    const contact = settings.class_teacher_contacts[notification.class] || {};
+    return [{ email: contact.email, phone: contact.phone, channels: allChannels }];
+};
+
+const notificationWorker = {
+    pollTimer: null,
+    running: false,
+    POLL_INTERVAL: 10 * 1000, // 10 seconds
+    BATCH_SIZE: 20,
+    MAX_ATTEMPTS: 5,
+    BASE_RETRY_DELAY: 30, // seconds, doubled after every failed attempt
+    LOCK_DURATION: 120, // seconds a claimed notification stays reserved for this instance
+
+    start() {
+        for (const [channel, config] of Object.entries(DELIVERY_CHANNELS)) {
+            if (!config.supports.includes(config.provider)) {
+                console.warn(`⚠️  Unknown ${channel} provider "${config.provider}", ${channel} delivery is disabled`);
+            }
+        }
+
+        this.pollTimer = setInterval(() => this.tick(), this.POLL_INTERVAL);
+        this.tick();
+    },
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    },
+
+    async tick() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            for (const notification of await this.claim()) {
+                try {
+                    await this.deliver(notification);
+                } catch (error) {
+                    console.error(`Error delivering notification ${notification.id}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            console.error(`Error running notification worker: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    },
+
+    // Reserves a batch of due notifications for this instance so two servers never send the same one
+    async claim() {
+        await pool.execute(
+            `UPDATE notifications 
+             SET locked_by = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) 
+             WHERE status = 'pending' 
+             AND next_attempt_at <= NOW() 
+             AND (locked_until IS NULL OR locked_until < NOW()) 
+             ORDER BY next_attempt_at 
+             LIMIT ${this.BATCH_SIZE}`,
+            [INSTANCE_ID, this.LOCK_DURATION]
+        );
+
+        const [notifications] = await pool.execute(
+            `SELECT n.*, s.parent_phone, s.parent_email, s.class 
+             FROM notifications n 
+             JOIN students s ON n.student_id = s.id 
+             WHERE n.locked_by = ? AND n.locked_until > NOW() AND n.status = 'pending'`,
+            [INSTANCE_ID]
+        );
+        return notifications;
+    },
+
+    // Reserves and delivers one notification straight away, if it is pending and
+    // not already being sent. Returns false when there was nothing to send.
+    async send(notificationId) {
+        const [locked] = await pool.execute(
+            `UPDATE notifications 
+             SET locked_by = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) 
+             WHERE id = ? AND status = 'pending' AND (locked_until IS NULL OR locked_until < NOW())`,
+            [INSTANCE_ID, this.LOCK_DURATION, notificationId]
+        );
+        if (locked.affectedRows === 0) {
+            return false;
+        }
+
+        const [notifications] = await pool.execute(
+            `SELECT n.*, s.parent_phone, s.parent_email, s.class 
+             FROM notifications n 
+             JOIN students s ON n.student_id = s.id 
+             WHERE n.id = ? AND n.locked_by = ?`,
+            [notificationId, INSTANCE_ID]
+        );
+        if (notifications.length === 0) {
+            return false;
+        }
+
+        try {
+            await this.deliver(notifications[0]);
+        } catch (error) {
+            console.error(`Error delivering notification ${notificationId}: ${error.message}`);
+        }
+        return true;
+    },
+
+    async deliver(notification) {
+        const attemptNumber = notification.attempts + 1;
+
+        // Channel and address pairs that already succeeded on an earlier attempt are not sent again
+        const [delivered] = await pool.execute(
+            'SELECT DISTINCT channel, recipient FROM notification_attempts WHERE notification_id = ? AND status = "delivered"',
+            [notification.id]
+        );
+        const deliveredTo = new Set(delivered.map(row => `${row.channel}:${row.recipient}`));
+
+        // Contacts in their quiet hours are sent to once the quiet hours end
+        const sends = [];
+        let deferUntil = null;
+        for (const contact of await resolveRecipientContacts(notification)) {
+            const quietUntil = getQuietHoursEnd(contact);
+            if (quietUntil) {
+                deferUntil = deferUntil && deferUntil < quietUntil ? deferUntil : quietUntil;
+                continue;
+            }
+
+            for (const channel of contact.channels) {
+                const config = DELIVERY_CHANNELS[channel];
+                const recipient = contact[config.contactField];
+                if (recipient && config.supports.includes(config.provider) && !deliveredTo.has(`${channel}:${recipient}`) &&
+                    !sends.some(send => send.channel === channel && send.recipient === recipient)) {
+                    sends.push({ channel, config, recipient });
+                }
+            }
+        }
+
+        if (sends.length === 0 && deliveredTo.size === 0 && !deferUntil) {
+            await this.finish(notification, 'failed', `No ${notification.recipient.replace('_', ' ')} contact details or delivery provider available`);
+            return;
+        }
+
+        const errors = [];
+        for (const { channel, config, recipient } of sends) {
+            let result = {};
+            let error = null;
+
+            try {
+                result = await notificationProviders[config.provider].send({
+                    channel,
+                    to: recipient,
+                    subject: `${NOTIFICATION_SUBJECTS[notification.type] || 'School notification'}: ${notification.student_name}`,
+                    text: notification.message
+                });
+            } catch (sendError) {
+                error = sendError.message;
+                errors.push(`${channel}: ${error}`);
+            }
+
+            await pool.execute(
+                `INSERT INTO notification_attempts 
+                    (id, notification_id, attempt_number, channel, provider, recipient, status, error, provider_message_id) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [generateUUID(), notification.id, attemptNumber, channel, config.provider, recipient,
+                 error ? 'failed' : 'delivered', error, result.messageId || null]
+            );
+        }
+
+        if (errors.length === 0 && deferUntil) {
+            await pool.execute(
+                'UPDATE notifications SET next_attempt_at = ?, locked_by = NULL, locked_until = NULL WHERE id = ?',
+                [deferUntil, notification.id]
+            );
+        } else if (errors.length === 0) {
+            await this.finish(notification, 'delivered', null);
+        } else if (attemptNumber >= this.MAX_ATTEMPTS) {
+            await this.finish(notification, 'failed', errors.join('; '));
+        } else {
+            const delay = this.BASE_RETRY_DELAY * Math.pow(2, attemptNumber - 1);
+            const before = await auditLog.snapshot('notification', notification.id);
+            await pool.execute(
+                `UPDATE notifications 
+                 SET attempts = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND), 
+                     locked_by = NULL, locked_until = NULL 
+                 WHERE id = ?`,
+                [attemptNumber, errors.join('; '), delay, notification.id]
+            );
+            await auditLog.recordChange({ entityType: 'notification', entityId: notification.id, action: 'retry', before });
+        }
+    },
+
+    async finish(notification, status, error) {
+        const before = await auditLog.snapshot('notification', notification.id);
+        await pool.execute(
+            `UPDATE notifications 
+             SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = NULL, 
+                 locked_by = NULL, locked_until = NULL, 
+                 sent_date = IF(? = 'delivered', NOW(), sent_date), 
+                 delivered_at = IF(? = 'delivered', NOW(), delivered_at) 
+             WHERE id = ?`,
+            [status, error, status, status, notification.id]
+        );
+        await auditLog.recordChange({ entityType: 'notification', entityId: notification.id, action: status, before });
+
+        await liveEvents.publish(status === 'delivered' ? 'notification.sent' : 'notification.failed', {
+            notificationId: notification.id,
+            studentId: notification.student_id,
+            studentName: notification.student_name,
+            type: notification.type,
+            recipient: notification.recipient,
+            error
+        }, notification.class);
+
+        if (status === 'failed') {
+            console.error(`❌ Notification ${notification.id} failed: ${error}`);
+        }
+    }
+};
+
+// Webhooks
+// Admins register endpoints that are sent live events as they happen. Each event
+// a webhook is subscribed to becomes a row in webhook_deliveries, which
+// webhookWorker sends the same way notifications are sent: claimed by one
+// instance, retried with exponential backoff, and every try logged. Requests are
+// signed with the webhook's secret: X-Webhook-Signature is
+// sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>") in hex.
+const WEBHOOK_EVENTS = [
+    'attendance.recorded', 'attendance.auto_absent', 'notification.created', 'notification.sent',
+    'notification.failed', 'day.started', 'report.generated', 'leave.requested', 'leave.reviewed',
+    'credential.refused', 'period.register_taken', 'scan.alert', 'scan.alert_acknowledged',
+    'staff.attendance', 'staff.auto_absent'
+];
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const webhooks = {
+    // Queues an event for every active webhook subscribed to it. Never throws, like liveEvents.publish.
+    async enqueue({ id = null, type, className = null, payload }, webhookId = null) {
+        try {
+            const [hooks] = webhookId ? 
+                await pool.execute('SELECT id, events FROM webhooks WHERE id = ?', [webhookId]) : 
+                await pool.execute('SELECT id, events FROM webhooks WHERE active = TRUE');
+            const subscribed = webhookId ? hooks : hooks.filter(hook => hook.events.includes('*') || hook.events.includes(type));
+            if (subscribed.length === 0) {
+                return [];
+            }
+
+            const body = JSON.stringify({ event: type, eventId: id, occurredAt: formatTimestamp(new Date()), class: className, data: payload });
+            const deliveryIds = [];
+            for (const hook of subscribed) {
+                const deliveryId = generateUUID();
+                await pool.execute(
+                    `INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, next_attempt_at) 
+                     VALUES (?, ?, ?, ?, ?, NOW())`,
+                    [deliveryId, hook.id, id, type, body]
+                );
+                deliveryIds.push(deliveryId);
+            }
+            return deliveryIds;
+        } catch (error) {
+            console.error(`Error queueing ${type} webhooks: ${error.message}`);
+            return [];
+        }
+    }
+};
+
+const webhookWorker = {
+    pollTimer: null,
+    running: false,
+    POLL_INTERVAL: 5 * 1000, // 5 seconds
+    BATCH_SIZE: 20,
+    MAX_ATTEMPTS: 8,
+    BASE_RETRY_DELAY: 30, // seconds, doubled after every failed attempt
+    LOCK_DURATION: 120, // seconds a delivery stays reserved for this instance while it is sent
+    REQUEST_TIMEOUT: 10 * 1000,
+
+    start() {
+        this.pollTimer = setInterval(() => this.tick(), this.POLL_INTERVAL);
+        this.tick();
+    },
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    },
+
+    async tick() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            const [due] = await pool.execute(
+                `SELECT id FROM webhook_deliveries 
+                 WHERE status = 'pending' 
+                 AND next_attempt_at <= NOW() 
+                 AND (locked_until IS NULL OR locked_until < NOW()) 
+                 ORDER BY next_attempt_at 
+                 LIMIT ${this.BATCH_SIZE}`
+            );
+            for (const { id } of due) {
+                await this.send(id);
+            }
+        } catch (error) {
+            console.error(`Error running webhook worker: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    },
+
+    // Locks one pending delivery just before sending it, so the lock only has to
+    // outlast a single request. Returns false if another instance holds it or it
+    // is no longer pending.
+    async send(deliveryId) {
+        const [locked] = await pool.execute(
+            `UPDATE webhook_deliveries 
+             SET locked_by = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) 
+             WHERE id = ? AND status = 'pending' AND (locked_until IS NULL OR locked_until < NOW())`,
+            [INSTANCE_ID, this.LOCK_DURATION, deliveryId]
+        );
+        if (locked.affectedRows === 0) {
+            return false;
+        }
+
+        const [deliveries] = await pool.execute(
+            `SELECT d.*, w.url, w.secret, w.active 
+             FROM webhook_deliveries d 
+             JOIN webhooks w ON d.webhook_id = w.id 
+             WHERE d.id = ? AND d.locked_by = ?`,
+            [deliveryId, INSTANCE_ID]
+        );
+        if (deliveries.length === 0) {
+            return false;
+        }
+
+        try {
+            await this.deliver(deliveries[0]);
+        } catch (error) {
+            console.error(`Error delivering webhook ${deliveryId}: ${error.message}`);
+        }
+        return true;
+    },
+
+    async deliver(delivery) {
+        const attemptNumber = delivery.attempts + 1;
+        if (!delivery.active) {
+            await this.finish(delivery, attemptNumber, 'failed', null, 'Webhook is disabled');
+            return;
+        }
+
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const startedAt = Date.now();
+        let statusCode = null;
+        let responseBody = null;
+        let error = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SchoolAttendance-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.REQUEST_TIMEOUT)
+            });
+            statusCode = response.status;
+            responseBody = (await response.text()).slice(0, 1000);
+            if (!response.ok) {
+                error = `Endpoint responded with ${response.status}`;
+            }
+        } catch (requestError) {
+            error = requestError.message.slice(0, 500);
+        }
+
+        await pool.execute(
+            `INSERT INTO webhook_delivery_attempts 
+                (id, delivery_id, attempt_number, status, status_code, error, response_body, duration_ms) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [generateUUID(), delivery.id, attemptNumber, error ? 'failed' : 'delivered', statusCode, error, responseBody,
+             Date.now() - startedAt]
+        );
+
+        if (!error) {
+            await this.finish(delivery, attemptNumber, 'delivered', statusCode, null);
+        } else if (attemptNumber >= this.MAX_ATTEMPTS) {
+            await this.finish(delivery, attemptNumber, 'failed', statusCode, error);
+        } else {
+            const delay = this.BASE_RETRY_DELAY * Math.pow(2, attemptNumber - 1);
+            await pool.execute(
+                `UPDATE webhook_deliveries 
+                 SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND), 
+                     locked_by = NULL, locked_until = NULL 
+                 WHERE id = ?`,
+                [attemptNumber, statusCode, error, delay, delivery.id]
+            );
+        }
+    },
+
+    async finish(delivery, attemptNumber, status, statusCode, error) {
+        await pool.execute(
+            `UPDATE webhook_deliveries 
+             SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = NULL, 
+                 locked_by = NULL, locked_until = NULL, 
+                 delivered_at = IF(? = 'delivered', NOW(), delivered_at) 
+             WHERE id = ?`,
+            [status, attemptNumber, statusCode, error, status, delivery.id]
+        );
+
+        if (status === 'failed') {
+            console.error(`❌ Webhook delivery ${delivery.id} to ${delivery.url} failed: ${error}`);
+        }
+    }
+};
+
+// Absence Alert Rules
+// Admin-defined rules are evaluated for a student whenever their attendance
+// changes. alert_states remembers when each student was last alerted for a
+// rule: no alert repeats within the rule's cool-down, and while the condition
+// persists each new alert goes one step further along the rule's escalation.
+const ALERT_RECIPIENTS = ['parent', 'class_teacher', 'head_teacher'];
+
+const ALERT_RULE_TYPES = {
+    consecutive_absence: {
+        days: { min: 2, max: 60, default: 3 }
+    },
+    absence_rate: {
+        percent: { min: 1, max: 100, default: 20 },
+        windowDays: { min: 5, max: 200, default: 20 },
+        minDays: { min: 1, max: 200, default: 5 }
+    },
+    repeated_lateness: {
+        count: { min: 2, max: 50, default: 3 },
+        windowDays: { min: 1, max: 200, default: 10 }
+    },
+    first_absence_of_term: {}
+};
+
+// Returns { value } or { error }. Overrides are partial, so missing params are not defaulted.
+const validateAlertParams = (type, params = {}, partial = false) => {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return { error: 'Params must be an object' };
+    }
+
+    const definitions = ALERT_RULE_TYPES[type];
+    const value = {};
+
+    for (const key of Object.keys(params)) {
+        if (!definitions[key]) {
+            return { error: `Unknown parameter ${key} for ${type} rules` };
+        }
+    }
+
+    for (const [key, definition] of Object.entries(definitions)) {
+        if (params[key] === undefined) {
+            if (!partial) {
+                value[key] = definition.default;
+            }
+            continue;
+        }
+
+        if (!Number.isInteger(params[key]) || params[key] < definition.min || params[key] > definition.max) {
+            return { error: `${key} must be a whole number between ${definition.min} and ${definition.max}` };
+        }
+        value[key] = params[key];
+    }
+
+    return { value };
+};
+
+const validateEscalation = (escalation) => {
+    if (!Array.isArray(escalation) || escalation.length === 0 ||
+        !escalation.every(recipient => ALERT_RECIPIENTS.includes(recipient)) ||
+        new Set(escalation).size !== escalation.length) {
+        return `Escalation must be a list of distinct recipients from: ${ALERT_RECIPIENTS.join(', ')}`;
+    }
+    return null;
+};
+
+const alertEngine = {
+    // Enabled rules with the student's class override applied
+    async getRules(student) {
+        const [rules] = await pool.execute(
+            `SELECT r.*, o.params AS override_params, o.cooldown_days AS override_cooldown_days, 
+                    o.enabled AS override_enabled 
+             FROM alert_rules r 
+             LEFT JOIN alert_rule_overrides o ON o.rule_id = r.id AND o.class = ?`,
+            [student.class || '']
+        );
+
+        return rules
+            .map(rule => ({
+                ...rule,
+                params: { ...rule.params, ...(rule.override_params || {}) },
+                cooldown_days: rule.override_cooldown_days ?? rule.cooldown_days,
+                enabled: !!(rule.override_enabled ?? rule.enabled)
+            }))
+            .filter(rule => rule.enabled);
+    },
+
+    async evaluateStudent(student, date = getCurrentDate()) {
+        try {
+            for (const rule of await this.getRules(student)) {
+                try {
+                    const result = await this.evaluate(rule, student, date);
+                    await this.applyResult(rule, student, result);
+                } catch (error) {
+                    console.error(`Error evaluating alert rule "${rule.name}" for ${student.name}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            console.error(`Error loading alert rules: ${error.message}`);
+        }
+    },
+
+    // Returns { triggered, value } plus whatever the message for the rule type needs
+    async evaluate(rule, student, date) {
+        switch (rule.type) {
+            case 'consecutive_absence': {
+                const days = await timerManager.checkConsecutiveAbsences(student.id, Math.max(rule.params.days, 30), date);
+                return { triggered: days >= rule.params.days, value: days };
+            }
+            case 'absence_rate': {
+                const counts = await this.countStatuses(student, date, rule.params.windowDays);
+                const rate = counts.recorded > 0 ? Math.round((counts.absent / counts.recorded) * 100) : 0;
+                return {
+                    triggered: counts.recorded >= rule.params.minDays && rate >= rule.params.percent,
+                    value: rate,
+                    windowDays: counts.days
+                };
+            }
+            case 'repeated_lateness': {
+                const counts = await this.countStatuses(student, date, rule.params.windowDays);
+                return { triggered: counts.late >= rule.params.count, value: counts.late, windowDays: counts.days };
+            }
+            case 'first_absence_of_term': {
+                const [terms] = await pool.execute(
+                    `SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date 
+                     FROM academic_terms 
+                     WHERE start_date <= ? AND end_date >= ?`,
+                    [date, date]
+                );
+                if (terms.length === 0) {
+                    return { triggered: false, value: 0 };
+                }
+
+                const [absences] = await pool.execute(
+                    `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS day_date 
+                     FROM attendance 
+                     WHERE student_id = ? AND status = 'absent' AND date >= ? AND date <= ?`,
+                    [student.id, terms[0].start_date, date]
+                );
+                return {
+                    triggered: absences.length === 1 && absences[0].day_date === date,
+                    value: absences.length
+                };
+            }
+            default:
+                return { triggered: false, value: 0 };
+        }
+    },
+
+    // Attendance status counts over the last windowDays school days
+    async countStatuses(student, date, windowDays) {
+        const schoolDays = await schoolCalendar.getRecentSchoolDays(date, windowDays);
+        const counts = { days: schoolDays.length, recorded: 0, absent: 0, late: 0 };
+        if (schoolDays.length === 0) {
+            return counts;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT status, COUNT(*) AS count 
+             FROM attendance 
+             WHERE student_id = ? AND date IN (${schoolDays.map(() => '?').join(', ')}) 
+             GROUP BY status`,
+            [student.id, ...schoolDays]
+        );
+
+        for (const row of rows) {
+            counts.recorded += row.count;
+            if (row.status === 'absent' || row.status === 'late') {
+                counts[row.status] = row.count;
+            }
+        }
+        return counts;
+    },
+
+    async applyResult(rule, student, result) {
+        const [states] = await pool.execute(
+            `SELECT *, last_alerted_at > DATE_SUB(NOW(), INTERVAL ? DAY) AS cooling_down 
+             FROM alert_states 
+             WHERE rule_id = ? AND student_id = ?`,
+            [rule.cooldown_days, rule.id, student.id]
+        );
+        const state = states[0];
+
+        if (!result.triggered) {
+            if (state && state.active) {
+                await pool.execute(
+                    'UPDATE alert_states SET active = FALSE WHERE rule_id = ? AND student_id = ?',
+                    [rule.id, student.id]
+                );
+            }
+            return;
+        }
+
+        // Inside the cool-down: keep the episode open but don't alert again
+        if (state && state.cooling_down) {
+            if (!state.active) {
+                await pool.execute(
+                    'UPDATE alert_states SET active = TRUE WHERE rule_id = ? AND student_id = ?',
+                    [rule.id, student.id]
+                );
+            }
+            return;
+        }
+
+        const level = state && state.active ? Math.min(state.escalation_level + 1, rule.escalation.length) : 1;
+        const recipient = rule.escalation[level - 1];
+
+        await createNotification({
+            student,
+            type: rule.type,
+            message: this.buildMessage(rule, student, result, recipient),
+            consecutiveAbsentDays: rule.type === 'consecutive_absence' ? result.value : 0,
+            recipient,
+            alertRuleId: rule.id,
+            escalationLevel: level
+        });
+
+        await pool.execute(
+            `INSERT INTO alert_states (rule_id, student_id, escalation_level, last_value, last_alerted_at, active) 
+             VALUES (?, ?, ?, ?, NOW(), TRUE) 
+             ON DUPLICATE KEY UPDATE escalation_level = VALUES(escalation_level), last_value = VALUES(last_value), 
+                                     last_alerted_at = NOW(), active = TRUE`,
+            [rule.id, student.id, level, result.value]
+        );
+    },
+
+    buildMessage(rule, student, result, recipient) {
+        const who = recipient === 'parent' ? 
+            `Your child ${student.name}` : 
+            `${student.name}${student.class ? ` (${student.class})` : ''}`;
+
+        switch (rule.type) {
+            case 'consecutive_absence':
+                return `Alert: ${who} has been absent for ${result.value} consecutive days.`;
+            case 'absence_rate':
+                return `Alert: ${who} has missed ${result.value}% of the last ${result.windowDays} school days.`;
+            case 'repeated_lateness':
+                return `Alert: ${who} has been late ${result.value} times in the last ${result.windowDays} school days.`;
+            default:
+                return `Notice: ${who} is absent today for the first time this term.`;
+        }
+    }
+};
+
+// ==================== AUTH ====================
+
+const ROLES = ['admin', 'teacher', 'viewer'];
+const STAFF_ROLES = ['admin', 'teacher'];
+
+// Routes that can be called without credentials
+const PUBLIC_ROUTES = [
+    'GET /api/health',
+    'POST /api/auth/login',
+    'POST /api/parent/auth/request-code',
+    'POST /api/parent/auth/verify-code'
+];
+
+// Routes each API key scope is allowed to call
+const API_KEY_SCOPES = {
+    card_reader: ['POST /api/attendance/record', 'POST /api/attendance/batch', 'POST /api/devices/heartbeat']
+};
+
+const toPublicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    fullName: user.full_name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    active: !!user.active,
+    lastLoginAt: user.last_login_at,
+    createdAt: user.created_at
+});
+
+// Resolves the caller from a Bearer token or an X-API-Key header
+const authenticate = async (req, res, next) => {
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    if (req.method === 'OPTIONS' || PUBLIC_ROUTES.includes(route)) {
+        return next();
+    }
+
+    try {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const [keys] = await pool.execute(
+                'SELECT * FROM api_keys WHERE key_hash = ? AND active = TRUE',
+                [hashApiKey(apiKey)]
+            );
+
+            if (keys.length === 0) {
+                return res.status(401).json({ success: false, message: 'Invalid API key' });
+            }
+
+            const allowedRoutes = API_KEY_SCOPES[keys[0].scope] || [];
+            if (!allowedRoutes.includes(route)) {
+                return res.status(403).json({ success: false, message: 'API key is not allowed to call this route' });
+            }
+
+            await pool.execute('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [keys[0].id]);
+            req.apiKey = keys[0];
+            return next();
+        }
+
+        // EventSource cannot send headers, so the event stream may pass its token in the query
+        const queryToken = route === 'GET /api/events' && req.query.access_token;
+        const header = req.get('Authorization') || (queryToken ? `Bearer ${queryToken}` : '');
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+        }
+
+        // Parent tokens only open the parent portal
+        if (payload.type === 'guardian') {
+            if (!req.path.startsWith('/parent/')) {
+                return res.status(403).json({ success: false, message: 'Parent accounts can only use the parent portal' });
+            }
+
+            const [guardians] = await pool.execute(
+                'SELECT * FROM guardians WHERE id = ? AND active = TRUE',
+                [payload.sub]
+            );
+            if (guardians.length === 0) {
+                return res.status(401).json({ success: false, message: 'Account not found or disabled' });
+            }
+
+            req.guardian = guardians[0];
+            return next();
+        }
+
+        const [users] = await pool.execute(
+            'SELECT * FROM users WHERE id = ? AND active = TRUE',
+            [payload.sub]
+        );
+
+        if (users.length === 0) {
+            return res.status(401).json({ success: false, message: 'Account not found or disabled' });
+        }
+
+        req.user = users[0];
+        next();
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// Restricts a route to the given user roles. API keys have already been
+// limited to their scope's routes by authenticate.
+const authorize = (...roles) => (req, res, next) => {
+    if (req.apiKey) {
+        return next();
+    }
+
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    next();
+};
+
+// Restricts a route to signed-in parents
+const authorizeGuardian = (req, res, next) => {
+    if (!req.guardian) {
+        return res.status(403).json({ success: false, message: 'Only parent accounts can use the parent portal' });
+    }
+    next();
+};
+
+// ==================== LIST QUERIES ====================
+// List endpoints share the same query parameters: ?limit and ?offset for paging,
+// ?sort=column (or -column for descending, comma-separated for several),
+// ?search matched against the endpoint's search columns, and the endpoint's own
+// filters. They answer with { success, data, pagination: { total, limit, offset, nextOffset } }.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+// Filter builders: each returns (value, name) => { conditions, params } or { error }
+const listFilters = {
+    // Exact match; a comma-separated value matches any of its parts
+    equals: (column, allowed = null) => (value, name) => {
+        const values = String(value).split(',').map(part => part.trim()).filter(Boolean);
+        if (allowed && values.some(part => !allowed.includes(part))) {
+            return { error: `${name} must be one of: ${allowed.join(', ')}` };
+        }
+        return { conditions: [`${column} IN (${values.map(() => '?').join(', ')})`], params: values };
+    },
+    boolean: (column) => (value, name) => {
+        if (!['true', 'false', '1', '0'].includes(value)) {
+            return { error: `${name} must be true or false` };
+        }
+        return { conditions: [`${column} = ?`], params: [value === 'true' || value === '1' ? 1 : 0] };
+    },
+    // Inclusive date bounds; on TIMESTAMP columns the days start at midnight school time
+    from: (column, { timestamp = false } = {}) => (value, name) => isValidDate(value)
+        ? { conditions: [`${column} >= ?`], params: [timestamp ? getMomentOf(value, '00:00') : value] }
+        : { error: `${name} must be in YYYY-MM-DD format` },
+    to: (column, { timestamp = false } = {}) => (value, name) => isValidDate(value)
+        ? { conditions: [`${column} < ?`], params: [timestamp ? getMomentOf(addDays(value, 1), '00:00') : addDays(value, 1)] }
+        : { error: `${name} must be in YYYY-MM-DD format` }
+};
+
+// Turns the request query into SQL pieces for an endpoint described by
+// { sortable: { name: column }, defaultSort, key, search: [columns], filters: { name: builder }, defaultLimit }.
+// Returns { where, params, orderBy, limit, offset } or { error }.
+const parseListQuery = (query, { sortable, defaultSort, key, search = [], filters = {}, defaultLimit = LIST_DEFAULT_LIMIT }) => {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+        return { error: `limit must be between 1 and ${LIST_MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be 0 or more' };
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const [name, build] of Object.entries(filters)) {
+        if (query[name] === undefined || query[name] === '') continue;
+        const filter = build(String(query[name]), name);
+        if (filter.error) {
+            return { error: filter.error };
+        }
+        conditions.push(...filter.conditions);
+        params.push(...filter.params);
+    }
+
+    if (query.search && search.length > 0) {
+        const pattern = `%${String(query.search).replace(/[\\%_]/g, '\\$&')}%`;
+        conditions.push(`(${search.map(column => `${column} LIKE ?`).join(' OR ')})`);
+        params.push(...search.map(() => pattern));
+    }
+
+    const order = [];
+    for (const field of String(query.sort || defaultSort).split(',').map(part => part.trim()).filter(Boolean)) {
+        const descending = field.startsWith('-');
+        const column = sortable[descending ? field.slice(1) : field];
+        if (!column) {
+            return { error: `sort must be one of: ${Object.keys(sortable).join(', ')} (prefix with - for descending)` };
+        }
+        order.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+    }
+    // Ties are broken by the key so rows do not move between pages
+    if (!order.some(clause => clause.startsWith(`${key} `))) {
+        order.push(`${key} ASC`);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy: `ORDER BY ${order.join(', ')}`,
+        limit,
+        offset
+    };
+};
+
+// Runs a parsed list query and returns { data, pagination } ready to spread into the response
+const fetchListPage = async ({ select, from, list }) => {
+    const [rows] = await pool.query(
+        `SELECT ${select} FROM ${from} ${list.where} ${list.orderBy} LIMIT ? OFFSET ?`,
+        [...list.params, list.limit, list.offset]
+    );
+    const [total] = await pool.query(`SELECT COUNT(*) AS count FROM ${from} ${list.where}`, list.params);
+
+    return {
+        data: rows,
+        pagination: {
+            total: total[0].count,
+            limit: list.limit,
+            offset: list.offset,
+            nextOffset: list.offset + rows.length < total[0].count ? list.offset + rows.length : null
+        }
+    };
+};
+
+// ==================== ROUTES ====================
+
+app.use('/api', authenticate);
+
+// Auth Routes
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ success: false, message: 'Username and password are required' });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT * FROM users WHERE username = ? AND active = TRUE',
+            [username]
+        );
+
+        if (users.length === 0 || !(await bcrypt.compare(password, users[0].password_hash))) {
+            return res.status(401).json({ success: false, message: 'Invalid username or password' });
+        }
+
+        const user = users[0];
+        await pool.execute('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
+
+        const token = jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+        res.json({ success: true, data: { token, expiresIn: JWT_EXPIRES_IN, user: toPublicUser(user) } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/auth/me', authorize(...ROLES), (req, res) => {
+    res.json({ success: true, data: toPublicUser(req.user) });
+});
+
+app.post('/api/auth/change-password', authorize(...ROLES), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ success: false, message: 'Current and new password are required' });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({ success: false, message: 'New password must be at least 8 characters' });
+        }
+
+        if (!(await bcrypt.compare(currentPassword, req.user.password_hash))) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+
+        await pool.execute(
+            'UPDATE users SET password_hash = ? WHERE id = ?',
+            [await bcrypt.hash(newPassword, BCRYPT_ROUNDS), req.user.id]
+        );
+
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Users Routes
+app.get('/api/users', authorize('admin'), async (req, res) => {
+    try {
+        const [users] = await pool.execute('SELECT * FROM users ORDER BY username');
+        res.json({ success: true, data: users.map(toPublicUser) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/users', authorize('admin'), async (req, res) => {
+    try {
+        const { username, password, fullName, email, phone, role = 'viewer' } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ success: false, message: 'Username and password are required' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const [existing] = await pool.execute('SELECT id FROM users WHERE username = ?', [username]);
+        if (existing.length > 0) {
+            return res.status(400).json({ success: false, message: `Username ${username} is already taken` });
+        }
+
+        const userId = generateUUID();
+        await pool.execute(
+            `INSERT INTO users (id, username, password_hash, full_name, email, phone, role) 
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, username, await bcrypt.hash(password, BCRYPT_ROUNDS), fullName || null, email || null, phone || null, role]
+        );
+
+        const [created] = await pool.execute('SELECT * FROM users WHERE id = ?', [userId]);
+        res.json({ success: true, message: 'User created successfully', data: toPublicUser(created[0]) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/users/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { fullName, email, phone, role, active, password } = req.body;
+
+        const [users] = await pool.execute('SELECT * FROM users WHERE id = ?', [id]);
+        if (users.length === 0) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const user = users[0];
+
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        if (id === req.user.id && ((role !== undefined && role !== 'admin') || active === false)) {
+            return res.status(400).json({ success: false, message: 'You cannot demote or disable your own account' });
+        }
+
+        if (password !== undefined && password.length < 8) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+        }
+
+        const passwordHash = password !== undefined ? await bcrypt.hash(password, BCRYPT_ROUNDS) : user.password_hash;
+
+        await pool.execute(
+            `UPDATE users 
+             SET full_name = ?, email = ?, phone = ?, role = ?, active = ?, password_hash = ? 
+             WHERE id = ?`,
+            [
+                fullName !== undefined ? fullName : user.full_name,
+                email !== undefined ? email : user.email,
+                phone !== undefined ? phone : user.phone,
+                role !== undefined ? role : user.role,
+                active !== undefined ? !!active : !!user.active,
+                passwordHash,
+                id
+            ]
+        );
+
+        res.json({ success: true, message: 'User updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/users/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (id === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+        }
+
+        const [result] = await pool.execute('DELETE FROM users WHERE id = ?', [id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        await pool.execute('UPDATE classes SET homeroom_teacher_id = NULL WHERE homeroom_teacher_id = ?', [id]);
+
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// API Key Routes
+app.get('/api/api-keys', authorize('admin'), async (req, res) => {
+    try {
+        const [keys] = await pool.execute(
+            `SELECT id, name, key_prefix, scope, active, last_used_at, created_by, created_at 
+             FROM api_keys 
+             ORDER BY created_at DESC`
+        );
+        res.json({ success: true, data: keys });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/api-keys', authorize('admin'), async (req, res) => {
+    try {
+        const { name, scope = 'card_reader' } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        if (!API_KEY_SCOPES[scope]) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}` 
+            });
+        }
+
+        const key = `ak_${crypto.randomBytes(24).toString('hex')}`;
+        const keyId = generateUUID();
+        await pool.execute(
+            `INSERT INTO api_keys (id, name, key_prefix, key_hash, scope, created_by) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [keyId, name, key.slice(0, 10), hashApiKey(key), scope, req.user.id]
+        );
+
+        // The plain key is only ever returned here
+        res.json({ 
+            success: true, 
+            message: 'API key created. Store it now, it will not be shown again.',
+            data: { id: keyId, name, scope, key }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/api-keys/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'UPDATE api_keys SET active = FALSE WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        res.json({ success: true, message: 'API key revoked successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Students Routes
+const STUDENT_STATUSES = ['active', 'withdrawn', 'graduated'];
+
+// ?search= matches name or card ID; filter by ?class, ?classId or ?status (active unless given)
+app.get('/api/students', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery({ status: 'active', ...req.query }, {
+            sortable: { name: 's.name', card_id: 's.card_id', class: 's.class', created_at: 's.created_at', left_at: 's.left_at' },
+            defaultSort: 'name',
+            key: 's.id',
+            search: ['s.name', 's.card_id'],
+            filters: {
+                class: listFilters.equals('s.class'),
+                classId: listFilters.equals('s.class_id'),
+                status: listFilters.equals('s.status', STUDENT_STATUSES)
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ success: true, ...(await fetchListPage({ select: 's.*', from: 'students s', list })) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Finds the class a student is being placed in, by ID or by name, and checks it has room.
+// Returns { classRow } or { error }.
+const resolveStudentClass = async ({ classId, className }, studentId = null) => {
+    let classRow = null;
+    if (classId) {
+        const [classes] = await pool.execute('SELECT * FROM classes WHERE id = ?', [classId]);
+        classRow = classes[0] || null;
+    } else if (className) {
+        classRow = await findClassByName(className);
+    }
+
+    if (!classRow) {
+        return { error: `Class ${classId || className} does not exist` };
+    }
+
+    if (classRow.capacity) {
+        const [enrolled] = await pool.execute(
+            "SELECT COUNT(*) AS count FROM students WHERE class_id = ? AND id != ? AND status = 'active'",
+            [classRow.id, studentId || '']
+        );
+        const [current] = studentId ? 
+            await pool.execute('SELECT class_id FROM students WHERE id = ?', [studentId]) : 
+            [[]];
+        const alreadyInClass = current.length > 0 && current[0].class_id === classRow.id;
+
+        if (!alreadyInClass && enrolled[0].count >= classRow.capacity) {
+            return { error: `Class ${classRow.name} is full (capacity ${classRow.capacity})` };
+        }
+    }
+
+    return { classRow };
+};
+
+app.post('/api/students', authorize('admin'), async (req, res) => {
+    try {
+        const { name, cardId, parentPhone, parentEmail, classId, class: studentClass } = req.body;
+        
+        if (!name || !cardId || (!classId && !studentClass)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Name, card ID, and class are required' 
+            });
+        }
+
+        const { classRow, error: classError } = await resolveStudentClass({ classId, className: studentClass });
+        if (classError) {
+            return res.status(400).json({ success: false, message: classError });
+        }
+
+        // Lost and blocked cards stay taken so they keep being refused
+        const conflict = await credentials.findConflict('card', cardId);
+        if (conflict) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Card ID ${cardId} is already assigned to ${conflict.holder_name}` 
+            });
+        }
+
+        const studentId = generateUUID();
+        await pool.execute(
+            `INSERT INTO students (id, name, card_id, parent_phone, parent_email, class, class_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [studentId, name, cardId, parentPhone, parentEmail, classRow.name, classRow.id]
+        );
+        await auditLog.recordChange({ actor: getAuditActor(req), entityType: 'student', entityId: studentId, action: 'create' });
+        await credentials.issue({ studentId, type: 'card', value: cardId, actor: getAuditActor(req) });
+
+        // Start timer for new student
+        const [newStudent] = await pool.execute('SELECT * FROM students WHERE id = ?', [studentId]);
+        const { warning } = await syncParentGuardian(newStudent[0]);
+        await timerManager.startAbsenceTimer(newStudent[0]);
+
+        res.json({ 
+            success: true, 
+            message: 'Student added successfully',
+            ...(warning && { warning }),
+            data: { id: studentId, ...req.body, classId: classRow.id, class: classRow.name }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/students/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, cardId, parentPhone, parentEmail, classId, class: studentClass } = req.body;
+
+        const [existingStudent] = await pool.execute(
+            'SELECT * FROM students WHERE id = ?',
+            [id]
+        );
+
+        if (existingStudent.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        // Without a class in the body the student stays where they are
+        const { classRow, error: classError } = classId || studentClass ? 
+            await resolveStudentClass({ classId, className: studentClass }, id) : 
+            { classRow: { id: existingStudent[0].class_id, name: existingStudent[0].class } };
+        if (classError) {
+            return res.status(400).json({ success: false, message: classError });
+        }
+
+        // A new card replaces the current one; the old card is revoked, not forgotten
+        const cardChanged = cardId && cardId !== existingStudent[0].card_id;
+        const conflict = cardChanged ? await credentials.findConflict('card', cardId) : null;
+        if (conflict && conflict.student_id !== id) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Card ID ${cardId} is already assigned to ${conflict.holder_name}` 
+            });
+        }
+        if (conflict && conflict.status !== 'active') {
+            return res.status(400).json({ success: false, message: `Card ID ${cardId} has been reported ${conflict.status}` });
+        }
+
+        await pool.execute(
+            `UPDATE students 
+             SET name = ?, parent_phone = ?, parent_email = ?, class = ?, class_id = ? 
+             WHERE id = ?`,
+            [name, parentPhone, parentEmail, classRow.name, classRow.id, id]
+        );
+        if (cardChanged) {
+            const actor = getAuditActor(req);
+            const [oldCards] = await pool.execute(
+                `SELECT * FROM credentials WHERE student_id = ? AND type = 'card' AND value = ? AND status = 'active'`,
+                [id, existingStudent[0].card_id || '']
+            );
+            for (const oldCard of oldCards) {
+                await credentials.setStatus(oldCard, 'revoked', { actor, reason: `Replaced by card ${cardId}` });
+            }
+            if (conflict) {
+                await credentials.syncPrimaryCard(id);
+            } else {
+                await credentials.issue({ studentId: id, type: 'card', value: cardId, actor });
+            }
+        }
+        await auditLog.recordChange({ 
+            actor: getAuditActor(req), 
+            entityType: 'student', 
+            entityId: id, 
+            action: 'update', 
+            before: existingStudent[0] 
+        });
+
+        let warning = null;
+        if (parentPhone !== existingStudent[0].parent_phone || parentEmail !== existingStudent[0].parent_email) {
+            ({ warning } = await syncParentGuardian({ id, name, parent_phone: parentPhone, parent_email: parentEmail }));
+        }
+
+        res.json({ success: true, message: 'Student updated successfully', ...(warning && { warning }) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Withdraws a student. Nothing is deleted: attendance, notifications and leave stay
+// linked to the student, who drops out of rosters, scans and absence marking.
+app.delete('/api/students/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const reason = (req.body && req.body.reason) || null;
+
+        const before = await auditLog.snapshot('student', id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+        if (before.status !== 'active') {
+            return res.status(400).json({ success: false, message: `Student is already ${before.status}` });
+        }
+
+        await pool.execute(
+            `UPDATE students SET status = 'withdrawn', left_at = ?, left_reason = ? WHERE id = ?`,
+            [getCurrentDate(), reason, id]
+        );
+        await auditLog.recordChange({ actor: getAuditActor(req), entityType: 'student', entityId: id, action: 'withdraw', before, reason });
+
+        res.json({ success: true, message: 'Student withdrawn; their attendance history has been kept' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Brings a withdrawn or graduated student back into their class, if it still has room
+app.post('/api/students/:id/restore', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const before = await auditLog.snapshot('student', id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+        if (before.status === 'active') {
+            return res.status(400).json({ success: false, message: 'Student is already active' });
+        }
+
+        if (before.class_id) {
+            const { error } = await resolveStudentClass({ classId: before.class_id }, id);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+        }
+
+        await pool.execute(
+            `UPDATE students SET status = 'active', left_at = NULL, left_reason = NULL WHERE id = ?`,
+            [id]
+        );
+        await auditLog.recordChange({ 
+            actor: getAuditActor(req), 
+            entityType: 'student', 
+            entityId: id, 
+            action: 'restore', 
+            before, 
+            reason: (req.body && req.body.reason) || null 
+        });
+
+        res.json({ success: true, message: 'Student restored' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Year-End Promotion
+// Every class with active students moves up to the class one grade higher with the
+// same section (Grade 5A -> Grade 6A), and classes in the final grade graduate.
+// mappings overrides that per class: [{ fromClassId, toClassId }] or [{ fromClassId, graduate: true }].
+// Returns { steps, errors } or { error } for a malformed request.
+const buildPromotionPlan = async ({ mappings = [], finalGrade } = {}) => {
+    const [classes] = await pool.execute(
+        `SELECT c.id, c.name, c.grade_level, c.section, c.capacity, COUNT(s.id) AS student_count 
+         FROM classes c 
+         LEFT JOIN students s ON s.class_id = c.id AND s.status = 'active' 
+         GROUP BY c.id 
+         ORDER BY c.grade_level, c.section, c.name`
+    );
+    const classById = new Map(classes.map(classRow => [classRow.id, classRow]));
+
+    if (!Array.isArray(mappings)) {
+        return { error: 'mappings must be an array' };
+    }
+    for (const mapping of mappings) {
+        if (!mapping || !classById.has(mapping.fromClassId)) {
+            return { error: `Class ${mapping && mapping.fromClassId} does not exist` };
+        }
+        if (!mapping.graduate && !classById.has(mapping.toClassId)) {
+            return { error: `Class ${mapping.toClassId} does not exist` };
+        }
+    }
+
+    const gradeLevels = classes.map(classRow => classRow.grade_level).filter(grade => grade !== null);
+    const topGrade = finalGrade === undefined ? Math.max(...gradeLevels) : parseInt(finalGrade, 10);
+    if (finalGrade !== undefined && !Number.isInteger(topGrade)) {
+        return { error: 'finalGrade must be a whole number' };
+    }
+
+    const steps = classes.filter(classRow => classRow.student_count > 0).map(classRow => {
+        const step = { fromClassId: classRow.id, fromClass: classRow.name, students: classRow.student_count };
+        const mapping = mappings.find(m => m.fromClassId === classRow.id);
+
+        if (mapping) {
+            const target = mapping.graduate ? null : classById.get(mapping.toClassId);
+            return { ...step, action: target ? 'promote' : 'graduate', toClassId: target ? target.id : null, toClass: target ? target.name : null };
+        }
+        if (classRow.grade_level === null) {
+            return { ...step, action: 'skip', reason: 'Class has no grade level' };
+        }
+        if (classRow.grade_level >= topGrade) {
+            return { ...step, action: 'graduate', toClassId: null, toClass: null };
+        }
+
+        const target = classes.find(t => t.grade_level === classRow.grade_level + 1 && (t.section || '') === (classRow.section || ''));
+        if (!target) {
+            return { 
+                ...step, 
+                action: 'skip', 
+                reason: `No grade ${classRow.grade_level + 1} class${classRow.section ? ` for section ${classRow.section}` : ''}` 
+            };
+        }
+        return { ...step, action: 'promote', toClassId: target.id, toClass: target.name };
+    });
+
+    // A class's current students are only gone if their own class moves on as well
+    const errors = [];
+    const movingOut = new Set(steps.filter(step => step.action !== 'skip').map(step => step.fromClassId));
+    for (const target of classes.filter(classRow => classRow.capacity)) {
+        const incoming = steps
+            .filter(step => step.action === 'promote' && step.toClassId === target.id)
+            .reduce((sum, step) => sum + step.students, 0);
+        const staying = movingOut.has(target.id) ? 0 : target.student_count;
+        if (incoming > 0 && incoming + staying > target.capacity) {
+            errors.push({ 
+                classId: target.id, 
+                message: `${target.name} would have ${incoming + staying} students but its capacity is ${target.capacity}` 
+            });
+        }
+    }
+
+    return { steps, errors };
+};
+
+// Previews the promotion; ?commit=true applies it
+app.post('/api/students/promotions', authorize('admin'), async (req, res) => {
+    try {
+        const plan = await buildPromotionPlan(req.body);
+        if (plan.error) {
+            return res.status(400).json({ success: false, message: plan.error });
+        }
+
+        const summary = {
+            promoted: plan.steps.filter(step => step.action === 'promote').reduce((sum, step) => sum + step.students, 0),
+            graduated: plan.steps.filter(step => step.action === 'graduate').reduce((sum, step) => sum + step.students, 0),
+            skipped: plan.steps.filter(step => step.action === 'skip').reduce((sum, step) => sum + step.students, 0)
+        };
+        const data = { ...summary, steps: plan.steps, errors: plan.errors };
+
+        if (req.query.commit !== 'true') {
+            return res.json({ success: true, dryRun: true, message: 'Promotion preview, nothing was changed', data });
+        }
+        if (plan.errors.length > 0) {
+            return res.status(400).json({ success: false, dryRun: false, message: 'The promotion has errors, nothing was changed', data });
+        }
+
+        const today = getCurrentDate();
+        const actor = getAuditActor(req);
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Read every class's students before moving anyone, so nobody moves twice
+            const moves = [];
+            for (const step of plan.steps.filter(s => s.action !== 'skip')) {
+                const [students] = await connection.execute(
+                    `SELECT id FROM students WHERE class_id = ? AND status = 'active'`,
+                    [step.fromClassId]
+                );
+                moves.push({ step, studentIds: students.map(student => student.id) });
+            }
+
+            for (const { step, studentIds } of moves) {
+                for (const studentId of studentIds) {
+                    const before = await auditLog.snapshot('student', studentId, connection);
+                    if (step.action === 'promote') {
+                        await connection.execute(
+                            'UPDATE students SET class = ?, class_id = ? WHERE id = ?',
+                            [step.toClass, step.toClassId, studentId]
+                        );
+                    } else {
+                        await connection.execute(
+                            `UPDATE students SET status = 'graduated', left_at = ?, left_reason = 'Graduated' WHERE id = ?`,
+                            [today, studentId]
+                        );
+                    }
+                    await auditLog.recordChange({ 
+                        actor, 
+                        entityType: 'student', 
+                        entityId: studentId, 
+                        action: step.action, 
+                        before, 
+                        reason: 'Year-end promotion' 
+                    }, connection);
+                }
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.json({ 
+            success: true, 
+            dryRun: false, 
+            message: `Promoted ${summary.promoted} and graduated ${summary.graduated} students`, 
+            data 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Student Import/Export
+// Columns used by both import and export, so an exported file can be edited and re-imported
+const STUDENT_FILE_COLUMNS = [
+    { key: 'name', header: 'name' },
+    { key: 'card_id', header: 'card_id' },
+    { key: 'class', header: 'class' },
+    { key: 'parent_phone', header: 'parent_phone' },
+    { key: 'parent_email', header: 'parent_email' }
+];
+
+const PHONE_PATTERN = /^\+?[0-9\s\-()]{7,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "Card ID", "cardId" and "card_id" all name the same column
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+const getSpreadsheetFormat = (file) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (extension === '.csv' || file.mimetype === 'text/csv') {
+        return 'csv';
+    }
+    if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        return 'xlsx';
+    }
+    return null;
+};
+
+// The file the export sends, read back by parseStudentFile
+const buildStudentFile = async (students, format) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Students');
+    worksheet.columns = STUDENT_FILE_COLUMNS.map(column => ({ ...column, width: 24 }));
+    students.forEach(student => {
+        worksheet.addRow(Object.fromEntries(STUDENT_FILE_COLUMNS.map(column => [column.key, student[column.key] || ''])));
+    });
+
+    return Buffer.from(format === 'csv' ? await workbook.csv.writeBuffer() : await workbook.xlsx.writeBuffer());
+};
+
+// Returns the rows of the first worksheet as objects keyed by STUDENT_FILE_COLUMNS
+const parseStudentFile = async (file, format) => {
+    const workbook = new ExcelJS.Workbook();
+    // CSV cells are kept as text: exceljs would otherwise turn card ID 00123 into 123
+    const worksheet = format === 'csv' ? 
+        await workbook.csv.read(Readable.from(file.buffer), { map: value => value }) : 
+        (await workbook.xlsx.load(file.buffer)).worksheets[0];
+
+    if (!worksheet || worksheet.rowCount === 0) {
+        return { error: 'The file is empty' };
+    }
+
+    const columns = {};
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+        const column = STUDENT_FILE_COLUMNS.find(c => normalizeHeader(c.key) === normalizeHeader(cell.text));
+        if (column) {
+            columns[column.key] = columnNumber;
+        }
+    });
+
+    const missing = ['name', 'card_id', 'class'].filter(key => !columns[key]);
+    if (missing.length > 0) {
+        return { error: `Missing required column(s): ${missing.join(', ')}` };
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) {
+            return;
+        }
+
+        const values = { rowNumber };
+        for (const column of STUDENT_FILE_COLUMNS) {
+            values[column.key] = columns[column.key] ? row.getCell(columns[column.key]).text.trim() : '';
+        }
+
+        if (STUDENT_FILE_COLUMNS.some(column => values[column.key])) {
+            rows.push(values);
+        }
+    });
+
+    return { rows };
+};
+
+// Dry-run report: what each row would do and every problem found
+const validateStudentImport = async (rows) => {
+    const [students] = await pool.execute('SELECT id, card_id, class_id, status FROM students WHERE card_id IS NOT NULL');
+    const existingByCard = new Map(students.map(student => [student.card_id, student.id]));
+    const studentsById = new Map(students.map(student => [student.id, student]));
+    // Cards that are not anyone's current card but are still held, lost or blocked
+    const [heldCards] = await pool.execute(
+        `SELECT value, status FROM credentials WHERE type = 'card' AND status != 'revoked'`
+    );
+    const heldCardStatus = new Map(heldCards.map(card => [card.value, card.status]));
+    const [staffCards] = await pool.execute('SELECT card_id FROM staff WHERE card_id IS NOT NULL');
+    const staffCardIds = new Set(staffCards.map(member => member.card_id));
+    const [classes] = await pool.execute(
+        `SELECT c.id, c.name, c.capacity, COUNT(s.id) AS enrolled 
+         FROM classes c 
+         LEFT JOIN students s ON s.class_id = c.id AND s.status = 'active' 
+         GROUP BY c.id`
+    );
+    const classesByName = new Map(classes.map(c => [cleanClassName(c.name).toLowerCase(), c]));
+
+    const errors = [];
+    const seenCards = new Map();
+    const plan = rows.map(row => {
+        const rowErrors = [];
+
+        if (!row.name) {
+            rowErrors.push({ field: 'name', message: 'Name is required' });
+        }
+        if (!row.card_id) {
+            rowErrors.push({ field: 'card_id', message: 'Card ID is required' });
+        } else if (seenCards.has(row.card_id)) {
+            rowErrors.push({ field: 'card_id', message: `Duplicate card ID, also used on row ${seenCards.get(row.card_id)}` });
+        } else if (staffCardIds.has(row.card_id)) {
+            rowErrors.push({ field: 'card_id', message: 'Card ID belongs to a staff member' });
+        } else if (!existingByCard.has(row.card_id) && heldCardStatus.has(row.card_id)) {
+            rowErrors.push({ 
+                field: 'card_id', 
+                message: heldCardStatus.get(row.card_id) === 'active' ? 
+                    'Card ID is already one of another student\'s cards' : 
+                    `Card ID has been reported ${heldCardStatus.get(row.card_id)}` 
+            });
+        } else {
+            seenCards.set(row.card_id, row.rowNumber);
+        }
+        const classRow = row.class ? classesByName.get(cleanClassName(row.class).toLowerCase()) : null;
+        if (!row.class) {
+            rowErrors.push({ field: 'class', message: 'Class is required' });
+        } else if (!classRow) {
+            rowErrors.push({ field: 'class', message: `Class "${row.class}" does not exist` });
+        }
+        if (row.parent_phone && !PHONE_PATTERN.test(row.parent_phone)) {
+            rowErrors.push({ field: 'parent_phone', message: `Malformed phone number "${row.parent_phone}"` });
+        }
+        if (row.parent_email && !EMAIL_PATTERN.test(row.parent_email)) {
+            rowErrors.push({ field: 'parent_email', message: `Malformed email "${row.parent_email}"` });
+        }
+
+        errors.push(...rowErrors.map(error => ({ row: row.rowNumber, ...error })));
+
+        return {
+            ...row,
+            studentId: existingByCard.get(row.card_id) || null,
+            classId: classRow ? classRow.id : null,
+            class: classRow ? classRow.name : row.class,
+            action: rowErrors.length > 0 ? 'skip' : existingByCard.has(row.card_id) ? 'update' : 'create'
+        };
+    });
+
+    // Same capacity rule as single creates and updates: new students, and active students
+    // moving in from another class, take the free places in file order
+    for (const classRow of classes.filter(c => c.capacity)) {
+        let free = classRow.capacity - classRow.enrolled;
+        for (const row of plan.filter(r => r.action !== 'skip' && r.classId === classRow.id)) {
+            const current = row.studentId ? studentsById.get(row.studentId) : null;
+            if (current && (current.status !== 'active' || current.class_id === classRow.id)) {
+                continue;
+            }
+            if (free > 0) {
+                free--;
+                continue;
+            }
+            row.action = 'skip';
+            errors.push({ 
+                row: row.rowNumber, 
+                field: 'class', 
+                message: `Class ${classRow.name} is full (capacity ${classRow.capacity})` 
+            });
+        }
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    return {
+        plan,
+        report: {
+            totalRows: rows.length,
+            validRows: plan.filter(row => row.action !== 'skip').length,
+            invalidRows: plan.filter(row => row.action === 'skip').length,
+            toCreate: plan.filter(row => row.action === 'create').length,
+            toUpdate: plan.filter(row => row.action === 'update').length,
+            errors,
+            rows: plan.map(row => ({ row: row.rowNumber, action: row.action, cardId: row.card_id, name: row.name }))
+        }
+    };
+};
+
+// Validates by default; pass ?commit=true to write the file in a single transaction.
+// Rows are matched to existing students by card ID and updated in place.
+app.post('/api/students/import', authorize('admin'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'A CSV or XLSX file is required in the "file" field' });
+        }
+
+        const format = getSpreadsheetFormat(req.file);
+        if (!format) {
+            return res.status(400).json({ success: false, message: 'Only .csv and .xlsx files are supported' });
+        }
+
+        const parsed = await parseStudentFile(req.file, format);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const { plan, report } = await validateStudentImport(parsed.rows);
+        const commit = req.query.commit === 'true';
+
+        if (!commit) {
+            return res.json({ success: true, dryRun: true, message: 'Validation completed, nothing was saved', data: report });
+        }
+
+        if (report.errors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                dryRun: false,
+                message: 'The file has errors, nothing was imported', 
+                data: report 
+            });
+        }
+
+        const created = [];
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            report.warnings = [];
+            const actor = getAuditActor(req);
+            for (const row of plan) {
+                if (row.action === 'update') {
+                    const before = await auditLog.snapshot('student', row.studentId, connection);
+                    await connection.execute(
+                        `UPDATE students 
+                         SET name = ?, parent_phone = ?, parent_email = ?, class = ?, class_id = ? 
+                         WHERE id = ?`,
+                        [row.name, row.parent_phone || null, row.parent_email || null, row.class, row.classId, row.studentId]
+                    );
+                    await auditLog.recordChange({ 
+                        actor, 
+                        entityType: 'student', 
+                        entityId: row.studentId, 
+                        action: 'import_update', 
+                        before 
+                    }, connection);
+                    const { warning } = await syncParentGuardian({ id: row.studentId, ...row }, connection);
+                    if (warning) {
+                        report.warnings.push({ row: row.rowNumber, message: warning });
+                    }
+                } else {
+                    const studentId = generateUUID();
+                    await connection.execute(
+                        `INSERT INTO students (id, name, card_id, parent_phone, parent_email, class, class_id) 
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [studentId, row.name, row.card_id, row.parent_phone || null, row.parent_email || null, row.class, row.classId]
+                    );
+                    await auditLog.recordChange({ actor, entityType: 'student', entityId: studentId, action: 'import_create' }, connection);
+                    await credentials.issue({ studentId, type: 'card', value: row.card_id, actor }, connection);
+                    const { warning } = await syncParentGuardian({ id: studentId, ...row }, connection);
+                    if (warning) {
+                        report.warnings.push({ row: row.rowNumber, message: warning });
+                    }
+                    created.push(studentId);
+                }
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        // Same absence tracking set-up as POST /api/students
+        for (const studentId of created) {
+            const [newStudent] = await pool.execute('SELECT * FROM students WHERE id = ?', [studentId]);
+            await timerManager.startAbsenceTimer(newStudent[0]);
+        }
+
+        res.json({ 
+            success: true, 
+            dryRun: false,
+            message: `Imported ${report.toCreate} new and ${report.toUpdate} updated students`,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/students/export', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Format must be csv or xlsx' });
+        }
+
+        const [students] = await pool.execute("SELECT * FROM students WHERE status = 'active' ORDER BY class, name");
+
+        const buffer = await buildStudentFile(students, format);
+        const filename = `students-${getCurrentDate()}.${format}`;
+
+        res.setHeader('Content-Type', format === 'csv' ? 
+            'text/csv' : 
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(buffer);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Credential Routes
+// PIN values are never returned except once, when the PIN is issued
+const toPublicCredential = (credential) => ({
+    ...credential,
+    value: credential.type === 'pin' ? null : credential.value,
+    expired: !!credential.expires_at && credential.expires_at <= new Date()
+});
+
+// Every credential, newest first; filter by ?type, status, studentId, ?search= matches student name or card/QR value
+app.get('/api/credentials', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { issued_at: 'c.issued_at', status_changed_at: 'c.status_changed_at', student_name: 's.name' },
+            defaultSort: '-issued_at',
+            key: 'c.id',
+            search: ['s.name', "IF(c.type = 'pin', NULL, c.value)"],
+            filters: {
+                type: listFilters.equals('c.type', CREDENTIAL_TYPES),
+                status: listFilters.equals('c.status', CREDENTIAL_STATUSES),
+                studentId: listFilters.equals('c.student_id')
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        const page = await fetchListPage({
+            select: 'c.*, s.name AS student_name, s.class',
+            from: 'credentials c JOIN students s ON c.student_id = s.id',
+            list
+        });
+        res.json({ success: true, ...page, data: page.data.map(toPublicCredential) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The student's full credential history, active ones first
+app.get('/api/students/:id/credentials', authorize(...ROLES), async (req, res) => {
+    try {
+        const [students] = await pool.execute('SELECT id FROM students WHERE id = ?', [req.params.id]);
+        if (students.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT c.*, ui.full_name AS issued_by_name, uc.full_name AS status_changed_by_name 
+             FROM credentials c 
+             LEFT JOIN users ui ON c.issued_by = ui.id 
+             LEFT JOIN users uc ON c.status_changed_by = uc.id 
+             WHERE c.student_id = ? 
+             ORDER BY c.status = 'active' DESC, c.issued_at DESC`,
+            [req.params.id]
+        );
+        res.json({ success: true, data: rows.map(toPublicCredential) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Reads an expiry given as a date (valid through that day) or a timestamp. Returns { expiresAt } or { error }.
+const parseCredentialExpiry = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { expiresAt: null };
+    }
+    const expiresAt = isValidDate(value) ? getMomentOf(addDays(value, 1), '00:00') : parseTimestamp(value);
+    if (Number.isNaN(expiresAt.getTime())) {
+        return { error: 'expiresAt must be a date (YYYY-MM-DD) or an ISO 8601 timestamp' };
+    }
+    if (expiresAt <= new Date()) {
+        return { error: 'expiresAt must be in the future' };
+    }
+    return { expiresAt };
+};
+
+// Issues a card, QR code or PIN. QR codes are generated when no value is given, PINs always are.
+// Pass expiresAt for a temporary credential.
+app.post('/api/students/:id/credentials', authorize('admin'), async (req, res) => {
+    try {
+        const { type, reason } = req.body;
+        let value = req.body.value === undefined || req.body.value === null ? '' : String(req.body.value).trim();
+
+        const [students] = await pool.execute('SELECT * FROM students WHERE id = ?', [req.params.id]);
+        if (students.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+        if (students[0].status !== 'active') {
+            return res.status(400).json({ success: false, message: `Student is ${students[0].status}` });
+        }
+
+        if (!CREDENTIAL_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `type must be one of: ${CREDENTIAL_TYPES.join(', ')}` });
+        }
+        if (type === 'card' && (!value || value.length > 50)) {
+            return res.status(400).json({ success: false, message: 'A card ID of up to 50 characters is required' });
+        }
+        if (type === 'qr' && value.length > 100) {
+            return res.status(400).json({ success: false, message: 'QR codes can be at most 100 characters' });
+        }
+        // A chosen PIN that clashed would tell the caller whose PIN it is, so PINs are always generated
+        if (type === 'pin' && value) {
+            return res.status(400).json({ success: false, message: 'PINs are generated by the server, leave value empty' });
+        }
+
+        const { expiresAt, error } = parseCredentialExpiry(req.body.expiresAt);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (!value) {
+            // Generated values are retried until one is free
+            for (let attempt = 0; attempt < 20 && !value; attempt++) {
+                const candidate = type === 'qr' ? 
+                    `qr_${crypto.randomBytes(16).toString('hex')}` : 
+                    String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+                if (!(await credentials.findConflict(type, candidate))) {
+                    value = candidate;
+                }
+            }
+            if (!value) {
+                return res.status(500).json({ success: false, message: `Could not generate a free ${CREDENTIAL_LABELS[type]}` });
+            }
+        } else {
+            const conflict = await credentials.findConflict(type, value);
+            if (conflict) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: conflict.status === 'active' ? 
+                        `This ${CREDENTIAL_LABELS[type]} is already assigned to ${conflict.holder_name}` : 
+                        `This ${CREDENTIAL_LABELS[type]} has been reported ${conflict.status}` 
+                });
+            }
+        }
+
+        const credentialId = await credentials.issue({ 
+            studentId: req.params.id, 
+            type, 
+            value, 
+            expiresAt, 
+            actor: getAuditActor(req), 
+            reason: reason || null 
+        });
+
+        res.json({ 
+            success: true, 
+            message: 'Credential issued', 
+            data: { id: credentialId, studentId: req.params.id, type, value, expiresAt } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Which status changes are allowed; revoked is final
+const CREDENTIAL_TRANSITIONS = {
+    active: ['lost', 'blocked', 'revoked'],
+    lost: ['active', 'revoked'],
+    blocked: ['active', 'revoked'],
+    revoked: []
+};
+
+// Reports a credential lost, blocks or revokes it, or reactivates a lost or blocked one
+app.put('/api/credentials/:id/status', authorize('admin'), async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        const [rows] = await pool.execute('SELECT * FROM credentials WHERE id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Credential not found' });
+        }
+
+        const credential = rows[0];
+        if (!CREDENTIAL_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${CREDENTIAL_STATUSES.join(', ')}` });
+        }
+        if (!CREDENTIAL_TRANSITIONS[credential.status].includes(status)) {
+            return res.status(400).json({ success: false, message: `A ${credential.status} credential cannot be made ${status}` });
+        }
+
+        await credentials.setStatus(credential, status, { actor: getAuditActor(req), reason: reason || null });
+
+        const [updated] = await pool.execute('SELECT * FROM credentials WHERE id = ?', [credential.id]);
+        res.json({ success: true, message: `Credential is now ${status}`, data: toPublicCredential(updated[0]) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Guardian Routes
+const GUARDIAN_CHANNELS = ['email', 'sms', 'both'];
+const GUARDIAN_LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const toPublicGuardian = (guardian) => ({
+    id: guardian.id,
+    name: guardian.name,
+    phone: guardian.phone,
+    email: guardian.email,
+    preferences: {
+        channel: guardian.preferred_channel,
+        language: guardian.language,
+        quietHoursStart: guardian.quiet_hours_start ? guardian.quiet_hours_start.slice(0, 5) : null,
+        quietHoursEnd: guardian.quiet_hours_end ? guardian.quiet_hours_end.slice(0, 5) : null
+    },
+    active: !!guardian.active,
+    lastLoginAt: guardian.last_login_at,
+    createdAt: guardian.created_at
+});
+
+// Notification preferences a guardian or staff member can change. Returns { values } or { error }.
+const validateGuardianPreferences = (body) => {
+    const values = {};
+
+    if (body.channel !== undefined) {
+        if (!GUARDIAN_CHANNELS.includes(body.channel)) {
+            return { error: `channel must be one of: ${GUARDIAN_CHANNELS.join(', ')}` };
+        }
+        values.preferred_channel = body.channel;
+    }
+
+    if (body.language !== undefined) {
+        if (!GUARDIAN_LANGUAGE_PATTERN.test(body.language || '')) {
+            return { error: 'language must be a language code such as en or fr-CA' };
+        }
+        values.language = body.language;
+    }
+
+    // Quiet hours are set or cleared together
+    if (body.quietHoursStart !== undefined || body.quietHoursEnd !== undefined) {
+        const { quietHoursStart: start = null, quietHoursEnd: end = null } = body;
+        if ((start === null) !== (end === null)) {
+            return { error: 'quietHoursStart and quietHoursEnd must be set or cleared together' };
+        }
+        if (start !== null && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end)) {
+            return { error: 'Quiet hours must be two different times in HH:MM format' };
+        }
+        values.quiet_hours_start = start;
+        values.quiet_hours_end = end;
+    }
+
+    return { values };
+};
+
+// Validates a guardian body for staff; partial skips fields that were not sent
+const validateGuardian = async (body, guardianId = null) => {
+    const partial = guardianId !== null;
+    const prefs = validateGuardianPreferences(body.preferences || {});
+    if (prefs.error) {
+        return prefs;
+    }
+    const values = { ...prefs.values };
+
+    if (body.name !== undefined || !partial) {
+        if (!body.name || !String(body.name).trim()) {
+            return { error: 'Name is required' };
+        }
+        values.name = String(body.name).trim();
+    }
+
+    for (const [field, pattern] of [['phone', PHONE_PATTERN], ['email', EMAIL_PATTERN]]) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        const value = body[field] ? String(body[field]).trim() : null;
+        if (value && !pattern.test(value)) {
+            return { error: `${field} is not valid` };
+        }
+        values[field] = field === 'email' && value ? value.toLowerCase() : value;
+
+        if (value) {
+            const [taken] = await pool.execute(
+                `SELECT id FROM guardians WHERE ${field} = ? AND id != ?`,
+                [values[field], guardianId || '']
+            );
+            if (taken.length > 0) {
+                return { error: `Another guardian already has ${field} ${value}` };
+            }
+        }
+    }
+
+    if (!partial && !values.phone && !values.email) {
+        return { error: 'A phone number or email address is required so the guardian can sign in' };
+    }
+
+    return { values };
+};
+
+// Keeps a guardian record behind the parent_phone/parent_email columns that
+// the student form and spreadsheet import still fill in. Only a guardian with
+// exactly the same phone and email is reused; if someone else already has one
+// of them, nothing is linked and the returned warning asks for a manual link.
+// Earlier contact links that no longer match are removed.
+const syncParentGuardian = async (student, connection = pool) => {
+    const phone = student.parent_phone || null;
+    const email = student.parent_email ? student.parent_email.toLowerCase() : null;
+    let guardianId = null;
+    let warning = null;
+
+    if (phone || email) {
+        const [matches] = await connection.execute(
+            'SELECT id, phone, email FROM guardians WHERE phone = ? OR email = ?',
+            [phone, email]
+        );
+        const exact = matches.find(guardian => guardian.phone === phone && guardian.email === email);
+
+        if (exact) {
+            guardianId = exact.id;
+        } else if (matches.length > 0) {
+            warning = 'The parent phone or email belongs to another guardian, link the right guardian to this student manually';
+        } else {
+            guardianId = generateUUID();
+            await connection.execute(
+                'INSERT INTO guardians (id, name, phone, email) VALUES (?, ?, ?, ?)',
+                [guardianId, `Parent of ${student.name}`, phone, email]
+            );
+        }
+    }
+
+    await connection.execute(
+        `DELETE FROM student_guardians WHERE student_id = ? AND source = 'contact' AND guardian_id != ?`,
+        [student.id, guardianId || '']
+    );
+
+    if (guardianId) {
+        const [linked] = await connection.execute(
+            'SELECT COUNT(*) AS count FROM student_guardians WHERE student_id = ?',
+            [student.id]
+        );
+        await connection.execute(
+            `INSERT IGNORE INTO student_guardians (student_id, guardian_id, relationship, is_primary, source) 
+             VALUES (?, ?, 'parent', ?, 'contact')`,
+            [student.id, guardianId, linked[0].count === 0]
+        );
+    }
+
+    return { guardianId, warning };
+};
+
+const getGuardianChildren = async (guardianId) => {
+    const [children] = await pool.execute(
+        `SELECT s.id, s.name, s.class, s.class_id, s.status, sg.relationship, sg.is_primary, sg.receives_notifications 
+         FROM student_guardians sg 
+         JOIN students s ON sg.student_id = s.id 
+         WHERE sg.guardian_id = ? 
+         ORDER BY s.name`,
+        [guardianId]
+    );
+    return children.map(child => ({
+        ...child,
+        is_primary: !!child.is_primary,
+        receives_notifications: !!child.receives_notifications
+    }));
+};
+
+// Sorted by name; filter by ?active, ?search= matches name, phone or email
+app.get('/api/guardians', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { name: 'g.name', created_at: 'g.created_at', last_login_at: 'g.last_login_at' },
+            defaultSort: 'name',
+            key: 'g.id',
+            search: ['g.name', 'g.phone', 'g.email'],
+            filters: {
+                active: listFilters.boolean('g.active')
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        const page = await fetchListPage({
+            select: 'g.*, (SELECT COUNT(*) FROM student_guardians sg WHERE sg.guardian_id = g.id) AS children',
+            from: 'guardians g',
+            list
+        });
+        res.json({ 
+            success: true, 
+            ...page, 
+            data: page.data.map(guardian => ({ ...toPublicGuardian(guardian), children: guardian.children })) 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/guardians/:id', authorize(...ROLES), async (req, res) => {
+    try {
+        const [guardians] = await pool.execute('SELECT * FROM guardians WHERE id = ?', [req.params.id]);
+
+        if (guardians.length === 0) {
+            return res.status(404).json({ success: false, message: 'Guardian not found' });
+        }
+
+        res.json({ 
+            success: true, 
+            data: { ...toPublicGuardian(guardians[0]), children: await getGuardianChildren(req.params.id) } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/guardians', authorize('admin'), async (req, res) => {
+    try {
+        const { values, error } = await validateGuardian(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const guardianId = generateUUID();
+        const columns = ['id', ...Object.keys(values)];
+        await pool.execute(
+            `INSERT INTO guardians (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            [guardianId, ...Object.values(values)]
+        );
+
+        const [created] = await pool.execute('SELECT * FROM guardians WHERE id = ?', [guardianId]);
+        res.json({ success: true, message: 'Guardian created successfully', data: toPublicGuardian(created[0]) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/guardians/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const [guardians] = await pool.execute('SELECT * FROM guardians WHERE id = ?', [id]);
+
+        if (guardians.length === 0) {
+            return res.status(404).json({ success: false, message: 'Guardian not found' });
+        }
+
+        const { values, error } = await validateGuardian(req.body, id);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (req.body.active !== undefined) {
+            values.active = !!req.body.active;
+        }
+
+        const merged = { ...guardians[0], ...values };
+        if (!merged.phone && !merged.email) {
+            return res.status(400).json({ success: false, message: 'A guardian needs a phone number or email address' });
+        }
+
+        const columns = Object.keys(values);
+        if (columns.length > 0) {
+            await pool.execute(
+                `UPDATE guardians SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...Object.values(values), id]
+            );
+        }
+
+        const [updated] = await pool.execute('SELECT * FROM guardians WHERE id = ?', [id]);
+        res.json({ success: true, message: 'Guardian updated successfully', data: toPublicGuardian(updated[0]) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/guardians/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM guardians WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Guardian not found' });
+        }
+
+        res.json({ success: true, message: 'Guardian deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/students/:id/guardians', authorize(...ROLES), async (req, res) => {
+    try {
+        const [guardians] = await pool.execute(
+            `SELECT g.*, sg.relationship, sg.is_primary, sg.receives_notifications 
+             FROM student_guardians sg 
+             JOIN guardians g ON sg.guardian_id = g.id 
+             WHERE sg.student_id = ? 
+             ORDER BY sg.is_primary DESC, g.name`,
+            [req.params.id]
+        );
+
+        res.json({ 
+            success: true, 
+            data: guardians.map(guardian => ({
+                ...toPublicGuardian(guardian),
+                relationship: guardian.relationship,
+                isPrimary: !!guardian.is_primary,
+                receivesNotifications: !!guardian.receives_notifications
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Links a guardian to a student, or updates an existing link
+app.put('/api/students/:id/guardians/:guardianId', authorize('admin'), async (req, res) => {
+    try {
+        const { id, guardianId } = req.params;
+        const { relationship = 'parent', isPrimary = false, receivesNotifications = true } = req.body;
+
+        const [students] = await pool.execute('SELECT id FROM students WHERE id = ?', [id]);
+        const [guardians] = await pool.execute('SELECT id FROM guardians WHERE id = ?', [guardianId]);
+        if (students.length === 0 || guardians.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student or guardian not found' });
+        }
+
+        // A student has one primary guardian
+        if (isPrimary) {
+            await pool.execute('UPDATE student_guardians SET is_primary = FALSE WHERE student_id = ?', [id]);
+        }
+
+        await pool.execute(
+            `INSERT INTO student_guardians (student_id, guardian_id, relationship, is_primary, receives_notifications) 
+             VALUES (?, ?, ?, ?, ?) 
+             ON DUPLICATE KEY UPDATE relationship = VALUES(relationship), is_primary = VALUES(is_primary), 
+                                     receives_notifications = VALUES(receives_notifications), source = 'manual'`,
+            [id, guardianId, relationship, !!isPrimary, !!receivesNotifications]
+        );
+
+        res.json({ success: true, message: 'Guardian linked to student' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/students/:id/guardians/:guardianId', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM student_guardians WHERE student_id = ? AND guardian_id = ?',
+            [req.params.id, req.params.guardianId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Guardian is not linked to this student' });
+        }
+
+        res.json({ success: true, message: 'Guardian unlinked from student' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Staff Routes
+// ?search= matches name, email or card ID; filter by ?role, ?department or ?status (active unless given)
+app.get('/api/staff', authorize('admin'), async (req, res) => {
+    try {
+        const list = parseListQuery({ status: 'active', ...req.query }, {
+            sortable: { name: 'name', role: 'role', department: 'department', created_at: 'created_at' },
+            defaultSort: 'name',
+            key: 'id',
+            search: ['name', 'email', 'card_id'],
+            filters: {
+                role: listFilters.equals('role'),
+                department: listFilters.equals('department'),
+                status: listFilters.equals('status', STAFF_STATUSES)
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ success: true, ...(await fetchListPage({ select: '*', from: 'staff', list })) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Checks a staff member's fields; the card must not be anyone else's.
+// Returns { fields } ready for the staff table or { error }.
+const readStaffFields = async (body, staffId = null) => {
+    const { name, role, department, email, phone, cardId, userId } = body || {};
+
+    if (!name || !role) {
+        return { error: 'Name and role are required' };
+    }
+
+    if (cardId) {
+        const conflict = await credentials.findConflict('card', cardId);
+        if (conflict && (!staffId || conflict.staff_id !== staffId)) {
+            return { 
+                error: conflict.status === 'active' ? 
+                    `Card ID ${cardId} is already assigned to ${conflict.holder_name}` : 
+                    `Card ID ${cardId} has been reported ${conflict.status}` 
+            };
+        }
+    }
+
+    if (userId) {
+        const [users] = await pool.execute('SELECT id FROM users WHERE id = ?', [userId]);
+        if (users.length === 0) {
+            return { error: `User ${userId} does not exist` };
+        }
+    }
+
+    return { 
+        fields: { 
+            name, 
+            role, 
+            department: department || null, 
+            email: email || null, 
+            phone: phone || null, 
+            card_id: cardId ? String(cardId).trim() : null, 
+            user_id: userId || null 
+        } 
+    };
+};
+
+app.post('/api/staff', authorize('admin'), async (req, res) => {
+    try {
+        const { fields, error } = await readStaffFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const staffId = generateUUID();
+        await pool.execute(
+            `INSERT INTO staff (id, name, role, department, email, phone, card_id, user_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [staffId, fields.name, fields.role, fields.department, fields.email, fields.phone, fields.card_id, fields.user_id]
+        );
+        await auditLog.recordChange({ actor: getAuditActor(req), entityType: 'staff', entityId: staffId, action: 'create' });
+
+        const [created] = await pool.execute('SELECT * FROM staff WHERE id = ?', [staffId]);
+        res.json({ success: true, message: 'Staff member added successfully', data: created[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/staff/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const before = await auditLog.snapshot('staff', id);
+        if (!before || before.status !== 'active') {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        const { fields, error } = await readStaffFields(req.body, id);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await pool.execute(
+            `UPDATE staff 
+             SET name = ?, role = ?, department = ?, email = ?, phone = ?, card_id = ?, user_id = ? 
+             WHERE id = ?`,
+            [fields.name, fields.role, fields.department, fields.email, fields.phone, fields.card_id, fields.user_id, id]
+        );
+        await auditLog.recordChange({ actor: getAuditActor(req), entityType: 'staff', entityId: id, action: 'update', before });
+
+        res.json({ success: true, message: 'Staff member updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Marks a staff member as having left and frees their card; their attendance is kept
+app.delete('/api/staff/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const before = await auditLog.snapshot('staff', id);
+        if (!before || before.status !== 'active') {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        await pool.execute(
+            `UPDATE staff SET status = 'left', left_at = NOW(), card_id = NULL WHERE id = ?`,
+            [id]
+        );
+        await auditLog.recordChange({ 
+            actor: getAuditActor(req), 
+            entityType: 'staff', 
+            entityId: id, 
+            action: 'withdraw', 
+            before, 
+            reason: (req.body && req.body.reason) || null 
+        });
+
+        res.json({ success: true, message: 'Staff member removed successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Newest first; filter by ?staffId, status, role, department and a from/to date range
+app.get('/api/staff/attendance', authorize('admin'), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { date: 'a.date', staff_name: 'a.staff_name', check_in_time: 'a.check_in_time', status: 'a.status' },
+            defaultSort: '-date',
+            key: 'a.id',
+            search: ['a.staff_name'],
+            filters: {
+                staffId: listFilters.equals('a.staff_id'),
+                status: listFilters.equals('a.status', STAFF_ATTENDANCE_STATUSES),
+                role: listFilters.equals('s.role'),
+                department: listFilters.equals('s.department'),
+                from: listFilters.from('a.date'),
+                to: listFilters.to('a.date')
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: 'a.*, s.role, s.department',
+                from: 'staff_attendance a JOIN staff s ON a.staff_id = s.id',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Records or corrects a staff member's day. Days ahead can be recorded too, e.g.
+// as leave, and the cutoff then leaves them alone.
+app.put('/api/staff/:id/attendance/:date', authorize('admin'), async (req, res) => {
+    try {
+        const { id, date } = req.params;
+        const { status, checkInTime, checkOutTime, notes } = req.body || {};
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+        }
+        if (!STAFF_ATTENDANCE_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Status must be one of: ${STAFF_ATTENDANCE_STATUSES.join(', ')}` 
+            });
+        }
+
+        const attended = ['present', 'late'].includes(status);
+        if (attended && !TIME_PATTERN.test(checkInTime || '')) {
+            return res.status(400).json({ success: false, message: 'checkInTime (HH:MM) is required for present and late' });
+        }
+        if (checkOutTime && (!attended || !TIME_PATTERN.test(checkOutTime) || checkOutTime < checkInTime)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'checkOutTime must be an HH:MM time after checkInTime, for present and late only' 
+            });
+        }
+        if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 255)) {
+            return res.status(400).json({ success: false, message: 'notes must be text of at most 255 characters' });
+        }
+
+        const [staff] = await pool.execute('SELECT * FROM staff WHERE id = ?', [id]);
+        if (staff.length === 0) {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT id FROM staff_attendance WHERE staff_id = ? AND date = ?',
+            [id, date]
+        );
+        const recordId = existing.length > 0 ? existing[0].id : generateUUID();
+        const before = existing.length > 0 ? await auditLog.snapshot('staff_attendance', recordId) : null;
+
+        await pool.execute(
+            `INSERT INTO staff_attendance (id, staff_id, staff_name, date, check_in_time, check_out_time, status, notes) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?) 
+             ON DUPLICATE KEY UPDATE 
+                check_in_time = VALUES(check_in_time), check_out_time = VALUES(check_out_time), 
+                status = VALUES(status), notes = VALUES(notes), auto_marked = FALSE`,
+            [recordId, id, staff[0].name, date, attended ? `${checkInTime}:00` : null, 
+             attended && checkOutTime ? `${checkOutTime}:00` : null, status, notes || null]
+        );
+        await auditLog.recordChange({ 
+            actor: getAuditActor(req), 
+            entityType: 'staff_attendance', 
+            entityId: recordId, 
+            action: before ? 'correct' : 'create', 
+            before 
+        });
+
+        const updated = await auditLog.snapshot('staff_attendance', recordId);
+        res.json({ success: true, message: `${staff[0].name} recorded as ${status} on ${date}`, data: updated });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Newest first; filter by a ?from/?to date range
+app.get('/api/staff/reports', authorize('admin'), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { date: 'date', attendance_rate: 'attendance_rate' },
+            defaultSort: '-date',
+            key: 'id',
+            filters: { from: listFilters.from('date'), to: listFilters.to('date') }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ success: true, ...(await fetchListPage({ select: '*', from: 'staff_daily_reports', list })) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/staff/reports/generate', authorize('admin'), async (req, res) => {
+    try {
+        const today = getCurrentDate();
+
+        const calendarDay = await schoolCalendar.describeDate(today);
+        if (!calendarDay.schoolDay) {
+            return res.json({ success: false, message: `Today is not a school day (${calendarDay.name || calendarDay.reason})` });
+        }
+
+        const report = await generateStaffDailyReport(today);
+        if (!report) {
+            return res.json({ success: false, message: 'Staff report already exists for today' });
+        }
+
+        res.json({ success: true, message: 'Staff report generated successfully', data: report });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Classes Routes
+const CLASS_LIST_QUERY = 
+    `SELECT c.*, u.full_name AS homeroom_teacher_name, COUNT(s.id) AS student_count 
+     FROM classes c 
+     LEFT JOIN users u ON c.homeroom_teacher_id = u.id 
+     LEFT JOIN students s ON s.class_id = c.id AND s.status = 'active'`;
+
+// Validates a class body; partial skips fields that were not sent. Returns { values } or { error }.
+const validateClass = async (body, partial = false) => {
+    const values = {};
+
+    if (body.name !== undefined || !partial) {
+        if (!body.name || !cleanClassName(body.name)) {
+            return { error: 'Name is required' };
+        }
+        values.name = cleanClassName(body.name);
+    }
+
+    for (const [field, column] of [['gradeLevel', 'grade_level'], ['capacity', 'capacity']]) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 1)) {
+            return { error: `${field} must be a positive whole number` };
+        }
+        values[column] = body[field];
+    }
+
+    if (body.section !== undefined) {
+        values.section = body.section ? String(body.section).trim().toUpperCase() : null;
+    }
+
+    if (body.homeroomTeacherId !== undefined) {
+        if (body.homeroomTeacherId !== null) {
+            const [teachers] = await pool.execute(
+                "SELECT id FROM users WHERE id = ? AND role IN ('admin', 'teacher') AND active = TRUE",
+                [body.homeroomTeacherId]
+            );
+            if (teachers.length === 0) {
+                return { error: 'Homeroom teacher must be an active teacher or admin account' };
+            }
+        }
+        values.homeroom_teacher_id = body.homeroomTeacherId;
+    }
+
+    // Fill grade and section from names like "Grade 5A" when they were not given
+    if (values.name && !partial) {
+        const parsed = parseClassName(values.name);
+        if (values.grade_level === undefined) values.grade_level = parsed.gradeLevel;
+        if (values.section === undefined) values.section = parsed.section;
+    }
+
+    return { values };
+};
+
+// Teachers only see rosters of the classes they are homeroom teacher for
+const canViewClass = (user, classRow) =>
+    !user || user.role !== 'teacher' || classRow.homeroom_teacher_id === user.id;
+
+app.get('/api/classes', authorize(...ROLES), async (req, res) => {
+    try {
+        const [classes] = await pool.execute(`${CLASS_LIST_QUERY} GROUP BY c.id ORDER BY c.grade_level, c.name`);
+        res.json({ success: true, data: classes });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/classes/mine', authorize(...ROLES), async (req, res) => {
+    try {
+        const [classes] = await pool.execute(
+            `${CLASS_LIST_QUERY} WHERE c.homeroom_teacher_id = ? GROUP BY c.id ORDER BY c.grade_level, c.name`,
+            [req.user ? req.user.id : '']
+        );
+        res.json({ success: true, data: classes });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/classes/:id', authorize(...ROLES), async (req, res) => {
+    try {
+        const [classes] = await pool.execute(`${CLASS_LIST_QUERY} WHERE c.id = ? GROUP BY c.id`, [req.params.id]);
+
+        if (classes.length === 0) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        res.json({ success: true, data: classes[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/classes', authorize('admin'), async (req, res) => {
+    try {
+        const { values, error } = await validateClass(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (await findClassByName(values.name)) {
+            return res.status(400).json({ success: false, message: `Class ${values.name} already exists` });
+        }
+
+        const classId = generateUUID();
+        await pool.execute(
+            `INSERT INTO classes (id, name, grade_level, section, homeroom_teacher_id, capacity) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [classId, values.name, values.grade_level, values.section, values.homeroom_teacher_id || null, values.capacity || null]
+        );
+
+        const [created] = await pool.execute(`${CLASS_LIST_QUERY} WHERE c.id = ? GROUP BY c.id`, [classId]);
+        res.json({ success: true, message: 'Class created successfully', data: created[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/classes/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const [classes] = await pool.execute('SELECT * FROM classes WHERE id = ?', [id]);
+
+        if (classes.length === 0) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        const { values, error } = await validateClass(req.body, true);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (values.name) {
+            const existing = await findClassByName(values.name);
+            if (existing && existing.id !== id) {
+                return res.status(400).json({ success: false, message: `Class ${values.name} already exists` });
+            }
+        }
+
+        if (values.capacity) {
+            const [enrolled] = await pool.execute(
+                "SELECT COUNT(*) AS count FROM students WHERE class_id = ? AND status = 'active'",
+                [id]
+            );
+            if (enrolled[0].count > values.capacity) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: `Capacity cannot be below the ${enrolled[0].count} students already enrolled` 
+                });
+            }
+        }
+
+        const columns = Object.keys(values);
+        if (columns.length > 0) {
+            await pool.execute(
+                `UPDATE classes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => values[column]), id]
+            );
+        }
+
+        // Keep the copied class name on students and class overrides in step with a rename.
+        // Attendance keeps the name the class had on the day, like the rest of its history.
+        if (values.name && values.name !== classes[0].name) {
+            const [renamed] = await pool.execute('SELECT * FROM students WHERE class_id = ?', [id]);
+            await pool.execute('UPDATE students SET class = ? WHERE class_id = ?', [values.name, id]);
+            for (const before of renamed) {
+                await auditLog.recordChange({ 
+                    actor: getAuditActor(req), 
+                    entityType: 'student', 
+                    entityId: before.id, 
+                    action: 'update', 
+                    before, 
+                    reason: `Class ${classes[0].name} renamed to ${values.name}` 
+                });
+            }
+            await pool.execute('UPDATE alert_rule_overrides SET class = ? WHERE class = ?', [values.name, classes[0].name]);
+        }
+
+        const [updated] = await pool.execute(`${CLASS_LIST_QUERY} WHERE c.id = ? GROUP BY c.id`, [id]);
+        res.json({ success: true, message: 'Class updated successfully', data: updated[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/classes/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [enrolled] = await pool.execute(
+            "SELECT COUNT(*) AS count FROM students WHERE class_id = ? AND status = 'active'",
+            [req.params.id]
+        );
+
+        if (enrolled[0].count > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Class still has ${enrolled[0].count} students; move them to another class first` 
+            });
+        }
+
+        // Former students keep the class name on their record but lose the link
+        await pool.execute("UPDATE students SET class_id = NULL WHERE class_id = ? AND status != 'active'", [req.params.id]);
+        const [result] = await pool.execute('DELETE FROM classes WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        res.json({ success: true, message: 'Class deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Every student in the class with their status for the day (today unless ?date= is given).
+// Students without a record yet show as not_scanned.
+app.get('/api/classes/:id/roster', authorize(...ROLES), async (req, res) => {
+    try {
+        const date = req.query.date || getCurrentDate();
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        const [classes] = await pool.execute(
+            `SELECT c.*, u.full_name AS homeroom_teacher_name 
+             FROM classes c 
+             LEFT JOIN users u ON c.homeroom_teacher_id = u.id 
+             WHERE c.id = ?`,
+            [req.params.id]
+        );
+
+        if (classes.length === 0) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        if (!canViewClass(req.user, classes[0])) {
+            return res.status(403).json({ success: false, message: 'You can only view rosters for your own classes' });
+        }
+
+        const [students] = await pool.execute(
+            `SELECT s.id, s.name, s.card_id, a.id AS attendance_id, a.status, a.auto_marked, 
+                    a.timestamp AS check_in_time, a.check_out_time, a.reason 
+             FROM students s 
+             LEFT JOIN attendance a ON a.student_id = s.id AND a.date = ? 
+             WHERE s.class_id = ? AND s.status = 'active' 
+             ORDER BY s.name`,
+            [date, req.params.id]
+        );
+
+        const roster = students.map(student => ({ ...student, status: student.status || 'not_scanned' }));
+        const summary = { total: roster.length, not_scanned: 0 };
+        ATTENDANCE_STATUSES.forEach(status => { summary[status] = 0; });
+        roster.forEach(student => { summary[student.status]++; });
+
+        res.json({ 
+            success: true, 
+            data: { 
+                class: classes[0], 
+                date, 
+                calendar: await schoolCalendar.describeDate(date), 
+                summary, 
+                students: roster 
+            } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Timetable Routes
+const getPeriod = async (classId, periodId) => {
+    const [periods] = await pool.execute(
+        `SELECT p.*, c.name AS class_name, c.homeroom_teacher_id 
+         FROM timetable_periods p 
+         JOIN classes c ON p.class_id = c.id 
+         WHERE p.id = ? AND p.class_id = ?`,
+        [periodId, classId]
+    );
+    return periods[0] || null;
+};
+
+// Validates a timetable period body. Returns { values } or { error }.
+const validatePeriod = async (body) => {
+    const { weekday, periodNumber, subject, teacherId, startTime, endTime } = body;
+
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return { error: 'weekday must be a number from 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (!Number.isInteger(periodNumber) || periodNumber < 1) {
+        return { error: 'periodNumber must be a positive whole number' };
+    }
+    if (!subject) {
+        return { error: 'Subject is required' };
+    }
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+        return { error: 'startTime and endTime must be in HH:MM format' };
+    }
+    if (startTime >= endTime) {
+        return { error: 'startTime must be before endTime' };
+    }
+
+    if (teacherId) {
+        const [teachers] = await pool.execute(
+            "SELECT id FROM users WHERE id = ? AND role IN ('admin', 'teacher') AND active = TRUE",
+            [teacherId]
+        );
+        if (teachers.length === 0) {
+            return { error: 'Teacher must be an active teacher or admin account' };
+        }
+    }
+
+    return { values: { weekday, periodNumber, subject, teacherId: teacherId || null, startTime, endTime } };
+};
+
+// The subject teacher and the homeroom teacher can take a period's register
+const canTakeRegister = (user, period) =>
+    !user || user.role === 'admin' || 
+    (user.role === 'teacher' && (period.teacher_id === user.id || period.homeroom_teacher_id === user.id));
+
+app.get('/api/classes/:id/timetable', authorize(...ROLES), async (req, res) => {
+    try {
+        const weekday = req.query.weekday !== undefined ? parseInt(req.query.weekday, 10) : undefined;
+        if (weekday !== undefined && (!Number.isInteger(weekday) || weekday < 0 || weekday > 6)) {
+            return res.status(400).json({ success: false, message: 'weekday must be a number from 0 (Sunday) to 6 (Saturday)' });
+        }
+
+        const [periods] = await pool.execute(
+            `SELECT p.*, u.full_name AS teacher_name 
+             FROM timetable_periods p 
+             LEFT JOIN users u ON p.teacher_id = u.id 
+             WHERE p.class_id = ? ${weekday !== undefined ? 'AND p.weekday = ?' : ''} 
+             ORDER BY p.weekday, p.period_number`,
+            weekday !== undefined ? [req.params.id, weekday] : [req.params.id]
+        );
+        res.json({ success: true, data: periods });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/classes/:id/timetable', authorize('admin'), async (req, res) => {
+    try {
+        const [classes] = await pool.execute('SELECT id FROM classes WHERE id = ?', [req.params.id]);
+        if (classes.length === 0) {
+            return res.status(404).json({ success: false, message: 'Class not found' });
+        }
+
+        const { values, error } = await validatePeriod(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT id FROM timetable_periods WHERE class_id = ? AND weekday = ? AND period_number = ?',
+            [req.params.id, values.weekday, values.periodNumber]
+        );
+        if (existing.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Period ${values.periodNumber} already exists on that weekday` 
+            });
+        }
+
+        const periodId = generateUUID();
+        await pool.execute(
+            `INSERT INTO timetable_periods (id, class_id, weekday, period_number, subject, teacher_id, start_time, end_time) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [periodId, req.params.id, values.weekday, values.periodNumber, values.subject, values.teacherId, 
+             values.startTime, values.endTime]
+        );
+
+        res.json({ success: true, message: 'Period added successfully', data: { id: periodId, classId: req.params.id, ...values } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/classes/:id/timetable/:periodId', authorize('admin'), async (req, res) => {
+    try {
+        if (!(await getPeriod(req.params.id, req.params.periodId))) {
+            return res.status(404).json({ success: false, message: 'Period not found' });
+        }
+
+        const { values, error } = await validatePeriod(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT id FROM timetable_periods WHERE class_id = ? AND weekday = ? AND period_number = ? AND id != ?',
+            [req.params.id, values.weekday, values.periodNumber, req.params.periodId]
+        );
+        if (existing.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Period ${values.periodNumber} already exists on that weekday` 
+            });
+        }
+
+        await pool.execute(
+            `UPDATE timetable_periods 
+             SET weekday = ?, period_number = ?, subject = ?, teacher_id = ?, start_time = ?, end_time = ? 
+             WHERE id = ?`,
+            [values.weekday, values.periodNumber, values.subject, values.teacherId, values.startTime, values.endTime, 
+             req.params.periodId]
+        );
+
+        res.json({ success: true, message: 'Period updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Removing a period also removes the registers taken for it
+app.delete('/api/classes/:id/timetable/:periodId', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            'DELETE FROM timetable_periods WHERE id = ? AND class_id = ?',
+            [req.params.periodId, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Period not found' });
+        }
+
+        res.json({ success: true, message: 'Period deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The class list for a period with each student's gate status and what the register says so far
+app.get('/api/classes/:id/timetable/:periodId/register', authorize(...ROLES), async (req, res) => {
+    try {
+        const date = req.query.date || getCurrentDate();
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        const period = await getPeriod(req.params.id, req.params.periodId);
+        if (!period) {
+            return res.status(404).json({ success: false, message: 'Period not found' });
+        }
+        // Teachers who can take the register, and anyone who can see the class roster
+        if (!canTakeRegister(req.user, period) && !canViewClass(req.user, period)) {
+            return res.status(403).json({ success: false, message: 'You can only view registers for your own classes and lessons' });
+        }
+
+        const [students] = await pool.execute(
+            `SELECT s.id, s.name, s.card_id, a.status AS gate_status, pa.status, pa.note, pa.updated_at AS recorded_at 
+             FROM students s 
+             LEFT JOIN attendance a ON a.student_id = s.id AND a.date = ? 
+             LEFT JOIN period_attendance pa ON pa.student_id = s.id AND pa.period_id = ? AND pa.date = ? 
+             WHERE s.class_id = ? AND s.status = 'active' 
+             ORDER BY s.name`,
+            [date, period.id, date, period.class_id]
+        );
+
+        res.json({ 
+            success: true, 
+            data: { 
+                period, 
+                date, 
+                taken: students.some(student => student.status), 
+                students: students.map(student => ({ ...student, gate_status: student.gate_status || 'not_scanned' })) 
+            } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Takes the register for a period in one call. Every student in the class needs a status:
+// list them in records, or send defaultStatus for everyone not listed. Re-submitting overwrites.
+app.post('/api/classes/:id/timetable/:periodId/register', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { date = getCurrentDate(), records = [], defaultStatus } = req.body;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+        }
+        if (date > getCurrentDate()) {
+            return res.status(400).json({ success: false, message: 'Registers cannot be taken for future dates' });
+        }
+        if (!Array.isArray(records)) {
+            return res.status(400).json({ success: false, message: 'Records must be an array' });
+        }
+        if (defaultStatus !== undefined && !ATTENDANCE_STATUSES.includes(defaultStatus)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}` 
+            });
+        }
+
+        const period = await getPeriod(req.params.id, req.params.periodId);
+        if (!period) {
+            return res.status(404).json({ success: false, message: 'Period not found' });
+        }
+        if (!canTakeRegister(req.user, period)) {
+            return res.status(403).json({ success: false, message: 'Only the subject or homeroom teacher can take this register' });
+        }
+        if (getWeekday(date) !== period.weekday) {
+            return res.status(400).json({ success: false, message: `This period is not timetabled on ${date}` });
+        }
+
+        const calendarDay = await schoolCalendar.describeDate(date);
+        if (!calendarDay.schoolDay) {
+            return res.status(400).json({ success: false, message: `${date} is not a school day (${calendarDay.reason})` });
+        }
+
+        const [students] = await pool.execute(
+            "SELECT id FROM students WHERE class_id = ? AND status = 'active'",
+            [period.class_id]
+        );
+        const classStudents = new Set(students.map(student => student.id));
+        const entries = new Map();
+        const errors = [];
+
+        records.forEach((record, index) => {
+            if (!record || !classStudents.has(record.studentId)) {
+                errors.push({ index, message: 'Student is not in this class' });
+            } else if (!ATTENDANCE_STATUSES.includes(record.status)) {
+                errors.push({ index, message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` });
+            } else if (entries.has(record.studentId)) {
+                errors.push({ index, message: 'Student is listed more than once' });
+            } else {
+                entries.set(record.studentId, { status: record.status, note: record.note || null });
+            }
+        });
+
+        const missing = [...classStudents].filter(studentId => !entries.has(studentId));
+        if (missing.length > 0 && !defaultStatus) {
+            errors.push({ message: `${missing.length} students have no status; list them or send defaultStatus`, studentIds: missing });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Register has errors, nothing was saved', errors });
+        }
+
+        missing.forEach(studentId => entries.set(studentId, { status: defaultStatus, note: null }));
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            for (const [studentId, entry] of entries) {
+                await connection.execute(
+                    `INSERT INTO period_attendance (id, period_id, student_id, date, status, note, recorded_by) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?) 
+                     ON DUPLICATE KEY UPDATE status = VALUES(status), note = VALUES(note), recorded_by = VALUES(recorded_by)`,
+                    [generateUUID(), period.id, studentId, date, entry.status, entry.note, req.user ? req.user.id : null]
+                );
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const summary = {};
+        ATTENDANCE_STATUSES.forEach(status => { summary[status] = 0; });
+        entries.forEach(entry => { summary[entry.status]++; });
+
+        await liveEvents.publish('period.register_taken', {
+            periodId: period.id,
+            classId: period.class_id,
+            subject: period.subject,
+            periodNumber: period.period_number,
+            date,
+            summary
+        }, period.class_name);
+
+        res.json({ 
+            success: true, 
+            message: `Register saved for ${entries.size} students`, 
+            data: { periodId: period.id, date, summary } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Attendance Routes
+
+// A scan names the credential it read as cardId, qrCode or pin (exactly one).
+// Returns { type, value } or { error }.
+const readPresentedCredential = (scan) => {
+    const presented = [['card', scan.cardId], ['qr', scan.qrCode], ['pin', scan.pin]]
+        .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '');
+    if (presented.length !== 1) {
+        return { error: 'Exactly one of cardId, qrCode or pin is required' };
+    }
+    return { type: presented[0][0], value: String(presented[0][1]).trim() };
+};
+
+// Applies one scan at the moment it happened and returns { status, body } for the
+// HTTP response, with the result logged in scan_events and the credential's holder.
+// Live scans and offline batches both come through here.
+const processScan = async ({ presented, scannedAt, actor = SYSTEM_ACTOR }) => {
+    const resolved = await credentials.resolve(presented.type, presented.value, scannedAt);
+    if (!resolved.student && !resolved.credential && presented.type === 'card') {
+        const member = await staffAttendance.findByCard(presented.value);
+        if (member) {
+            return staffAttendance.processScan(member, { scannedAt, actor });
+        }
+    }
+    if (!resolved.student) {
+        return { 
+            status: resolved.status, 
+            result: resolved.credential ? 'refused' : 'unknown',
+            credentialId: resolved.credential ? resolved.credential.id : null,
+            studentId: resolved.credential ? resolved.credential.student_id : null,
+            body: { success: false, message: resolved.message } 
+        };
+    }
+
+    const { student, credential } = resolved;
+    const outcome = await applyStudentScan({ student, credential, presented, scannedAt, actor });
+    return { ...outcome, result: outcome.body.action || 'rejected', credentialId: credential.id, studentId: student.id };
+};
+
+const applyStudentScan = async (scan) => {
+    const { student, credential, presented, scannedAt, actor } = scan;
+    if (student.status !== 'active') {
+        return { status: 400, body: { success: false, message: `${student.name} is ${student.status} and cannot check in` } };
+    }
+    const date = getDateOf(scannedAt);
+    const time = getTimeOf(scannedAt);
+
+    // In production mode scans are only accepted once check-in has opened
+    const day = await timerManager.getDayAt(scannedAt);
+    if (day && scannedAt < day.opens_at) {
+        return { 
+            status: 400, 
+            body: { success: false, message: `Check-in opens at ${getTimeOf(day.opens_at).slice(0, 5)}` } 
+        };
+    }
+
+    const arrivalStatus = day && scannedAt >= day.late_at ? 'late' : 'present';
+
+    const [existing] = await pool.execute(
+        'SELECT * FROM attendance WHERE student_id = ? AND date = ?',
+        [student.id, date]
+    );
+
+    // First scan of the day checks the student in
+    if (existing.length === 0) {
+        const attendanceId = generateUUID();
+        try {
+            await pool.execute(
+                `INSERT INTO attendance 
+                    (id, student_id, student_name, class_id, class, card_id, credential_id, date, timestamp, status, auto_marked) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FALSE)`,
+                [attendanceId, student.id, student.name, student.class_id, student.class, 
+                 presented.type === 'pin' ? null : presented.value, credential.id, date, time, arrivalStatus]
+            );
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') {
+                throw error;
+            }
+
+            // Another scan or the absence cutoff wrote the day's record first. A
+            // simultaneous check-in must not be taken as this scan's check-out.
+            const [raced] = await pool.execute(
+                'SELECT id, status FROM attendance WHERE student_id = ? AND date = ?',
+                [student.id, date]
+            );
+            if (ATTENDED_STATUSES.includes(raced[0].status)) {
+                return { 
+                    status: 200, 
+                    attendanceId: raced[0].id,
+                    body: { success: false, message: `${student.name} is already checked in` } 
+                };
+            }
+            return applyStudentScan(scan);
+        }
+        await auditLog.recordChange({ actor, entityType: 'attendance', entityId: attendanceId, action: 'check_in' });
+
+        await publishAttendanceEvent(student, { action: 'check_in', status: arrivalStatus, date, time });
+        await alertEngine.evaluateStudent(student, date);
+
+        return {
+            status: 200,
+            attendanceId,
+            body: { 
+                success: true, 
+                action: 'check_in',
+                status: arrivalStatus,
+                message: arrivalStatus === 'late' ? 
+                    `Late arrival recorded for ${student.name}` : 
+                    `Attendance recorded for ${student.name}`,
+                student: student
+            }
+        };
+    }
+
+    const record = existing[0];
+    const before = await auditLog.snapshot('attendance', record.id);
+
+    // A student marked absent or excused who turns up after all is checked in now
+    if (!ATTENDED_STATUSES.includes(record.status)) {
+        await pool.execute(
+            'UPDATE attendance SET status = ?, timestamp = ?, auto_marked = FALSE WHERE id = ?',
+            [arrivalStatus, time, record.id]
+        );
+        await auditLog.recordChange({ actor, entityType: 'attendance', entityId: record.id, action: 'check_in', before });
+
+        await publishAttendanceEvent(student, { action: 'check_in', status: arrivalStatus, date, time });
+        await alertEngine.evaluateStudent(student, date);
+
+        return {
+            status: 200,
+            attendanceId: record.id,
+            body: { 
+                success: true, 
+                action: 'check_in',
+                status: arrivalStatus,
+                message: `${student.name} arrived after being marked ${record.status}, recorded as ${arrivalStatus}`,
+                student: student
+            }
+        };
+    }
+
+    // A buffered scan from before the recorded check-in is the real arrival
+    if (time < record.timestamp) {
+        await pool.execute(
+            'UPDATE attendance SET status = ?, timestamp = ? WHERE id = ?',
+            [arrivalStatus, time, record.id]
+        );
+        await auditLog.recordChange({ actor, entityType: 'attendance', entityId: record.id, action: 'check_in', before });
+
+        await publishAttendanceEvent(student, { action: 'check_in', status: arrivalStatus, date, time });
+
+        return {
+            status: 200,
+            attendanceId: record.id,
+            body: { 
+                success: true, 
+                action: 'check_in',
+                status: arrivalStatus,
+                message: `Earlier check-in recorded for ${student.name}`,
+                student: student
+            }
+        };
+    }
+
+    if (record.check_out_time) {
+        return { 
+            status: 200, 
+            attendanceId: record.id,
+            body: { success: false, message: `${student.name} has already checked out today` } 
+        };
+    }
+
+    // Second scan checks the student out
+    await pool.execute(
+        'UPDATE attendance SET check_out_time = ? WHERE id = ?',
+        [time, record.id]
+    );
+    await auditLog.recordChange({ actor, entityType: 'attendance', entityId: record.id, action: 'check_out', before });
+
+    await publishAttendanceEvent(student, { action: 'check_out', status: record.status, date, time });
+
+    return {
+        status: 200,
+        attendanceId: record.id,
+        body: { 
+            success: true, 
+            action: 'check_out',
+            status: record.status,
+            message: `Check-out recorded for ${student.name}`,
+            student: student
+        }
+    };
+};
+
+const MAX_SCAN_ID_LENGTH = 64;
+// A reservation left in processing this long belongs to a request that died
+const SCAN_RESERVATION_TIMEOUT_SECONDS = 120;
+
+// Wraps processScan so a scan sent again with the same client scan ID
+// (a retry, or a batch uploaded twice) is answered from the stored result
+// instead of being applied a second time. Scan IDs are scoped to the device
+// that sent them, or to the account entering scans without a device.
+// scanGuard may turn the scan away first.
+const applyScan = async (scan) => {
+    const { presented, scannedAt, scanId, device, actor } = scan;
+    const settings = await getSettings();
+    if (!scanId) {
+        return (await scanGuard.check(scan, settings)) || processScan({ presented, scannedAt, actor });
+    }
+
+    const clientId = device ? device.id : actor.id || '';
+    // PINs are only kept hashed
+    const credentialValue = credentials.storedValue(presented.type, presented.value);
+    const [reserved] = await pool.execute(
+        `INSERT IGNORE INTO device_scans (id, scan_id, client_id, device_id, credential_type, card_id, scanned_at, result) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'processing')`,
+        [generateUUID(), scanId, clientId, device ? device.id : null, presented.type, credentialValue, scannedAt]
+    );
+
+    if (reserved.affectedRows === 0) {
+        const [previous] = await pool.execute(
+            'SELECT * FROM device_scans WHERE client_id = ? AND scan_id = ?',
+            [clientId, scanId]
+        );
+        // Released by a failed attempt in the meantime
+        if (previous.length === 0) {
+            return { status: 409, result: 'duplicate', body: { success: false, message: 'This scan is already being processed' } };
+        }
+        if (previous[0].credential_type !== presented.type || previous[0].card_id !== credentialValue) {
+            return { 
+                status: 409, 
+                result: 'rejected', 
+                body: { success: false, message: 'This scan ID was already used for a different credential' } 
+            };
+        }
+        if (previous[0].result === 'processing') {
+            // Take over a reservation whose request never finished
+            const [takenOver] = await pool.execute(
+                `UPDATE device_scans SET received_at = NOW() 
+                 WHERE id = ? AND result = 'processing' AND received_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+                [previous[0].id, SCAN_RESERVATION_TIMEOUT_SECONDS]
+            );
+            if (takenOver.affectedRows === 0) {
+                return { status: 409, result: 'duplicate', body: { success: false, message: 'This scan is already being processed' } };
+            }
+        } else {
+            return { status: previous[0].http_status, result: 'duplicate', body: { ...previous[0].response, duplicate: true } };
+        }
+    }
+
+    const release = () => pool.execute('DELETE FROM device_scans WHERE client_id = ? AND scan_id = ?', [clientId, scanId]);
+
+    let outcome;
+    try {
+        outcome = (await scanGuard.check(scan, settings)) || await processScan({ presented, scannedAt, actor });
+    } catch (error) {
+        // Release the scan ID so the device can retry
+        await release();
+        throw error;
+    }
+
+    // A rate-limited scan was never looked at, so the device may send it again
+    if (outcome.result === 'rate_limited') {
+        await release();
+        return outcome;
+    }
+
+    await pool.execute(
+        `UPDATE device_scans SET result = ?, http_status = ?, response = ?, attendance_id = ? 
+         WHERE client_id = ? AND scan_id = ?`,
+        [outcome.result, outcome.status, JSON.stringify(outcome.body), outcome.attendanceId || null, clientId, scanId]
+    );
+
+    return outcome;
+};
+
+// Every attempt ends up in the scan log, however it was answered. Batches are
+// replays of what a reader buffered, so only live scans are rate limited.
+const recordScan = async ({ presented, scannedAt = new Date(), scanId = null, device = null, actor = SYSTEM_ACTOR, live = true }) => {
+    const scan = { presented, scannedAt, scanId, device, actor, live };
+    const outcome = await applyScan(scan);
+    await scanGuard.record(scan, outcome);
+    return outcome;
+};
+
+// Card reader keys are tied to a device; staff may name the device in the body
+const resolveScanDevice = async (req) => {
+    const [devices] = req.apiKey ? 
+        await pool.execute('SELECT * FROM devices WHERE api_key_id = ? AND active = TRUE', [req.apiKey.id]) : 
+        req.body.deviceId ? 
+            await pool.execute('SELECT * FROM devices WHERE id = ? AND active = TRUE', [req.body.deviceId]) : 
+            [[]];
+
+    const device = devices[0] || null;
+    if (device && req.apiKey) {
+        await pool.execute(
+            'UPDATE devices SET last_heartbeat_at = NOW(), last_ip = ? WHERE id = ?',
+            [req.ip, device.id]
+        );
+    }
+    return device;
+};
+
+const MAX_SCAN_AGE_DAYS = 30;
+
+// Returns a Date for a device-supplied timestamp, or an error message
+const parseScannedAt = (value) => {
+    const scannedAt = parseTimestamp(value);
+    if (typeof value !== 'string' || Number.isNaN(scannedAt.getTime())) {
+        return { error: 'scannedAt must be an ISO 8601 timestamp' };
+    }
+    if (scannedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+        return { error: 'scannedAt cannot be in the future' };
+    }
+    if (scannedAt.getTime() < Date.now() - MAX_SCAN_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `scannedAt cannot be more than ${MAX_SCAN_AGE_DAYS} days old` };
+    }
+    return { scannedAt };
+};
+
+app.post('/api/attendance/record', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { scanId, scannedAt } = req.body;
+
+        const presented = readPresentedCredential(req.body);
+        if (presented.error) {
+            return res.status(400).json({ success: false, message: presented.error });
+        }
+        if (scanId && String(scanId).length > MAX_SCAN_ID_LENGTH) {
+            return res.status(400).json({ success: false, message: `scanId can be at most ${MAX_SCAN_ID_LENGTH} characters` });
+        }
+
+        const parsed = scannedAt ? parseScannedAt(scannedAt) : { scannedAt: new Date() };
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const device = await resolveScanDevice(req);
+        const outcome = await recordScan({ 
+            presented, 
+            scanId: scanId ? String(scanId) : null, 
+            scannedAt: parsed.scannedAt, 
+            device, 
+            actor: getAuditActor(req) 
+        });
+
+        res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Upload of scans a reader buffered while offline, applied in the order they happened
+app.post('/api/attendance/batch', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { scans } = req.body;
+
+        if (!Array.isArray(scans) || scans.length === 0) {
+            return res.status(400).json({ success: false, message: 'scans must be a non-empty array' });
+        }
+
+        if (scans.length > 500) {
+            return res.status(400).json({ success: false, message: 'A batch can contain at most 500 scans' });
+        }
+
+        const invalid = scans.findIndex(scan => !scan || !scan.scanId || !scan.scannedAt || readPresentedCredential(scan).error);
+        if (invalid !== -1) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Scan ${invalid} needs a scanId, a scannedAt and one of cardId, qrCode or pin` 
+            });
+        }
+
+        const tooLong = scans.findIndex(scan => String(scan.scanId).length > MAX_SCAN_ID_LENGTH);
+        if (tooLong !== -1) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Scan ${tooLong} has a scanId longer than ${MAX_SCAN_ID_LENGTH} characters` 
+            });
+        }
+
+        const device = await resolveScanDevice(req);
+        const ordered = scans
+            .map(scan => ({ ...scan, ...parseScannedAt(scan.scannedAt) }))
+            .sort((a, b) => (a.scannedAt ? a.scannedAt.getTime() : 0) - (b.scannedAt ? b.scannedAt.getTime() : 0));
+
+        const results = [];
+        for (const scan of ordered) {
+            if (scan.error) {
+                results.push({ scanId: scan.scanId, success: false, message: scan.error });
+                continue;
+            }
+
+            const outcome = await recordScan({
+                presented: readPresentedCredential(scan),
+                scanId: String(scan.scanId),
+                scannedAt: scan.scannedAt,
+                device,
+                actor: getAuditActor(req),
+                live: false
+            });
+            results.push({
+                scanId: scan.scanId,
+                success: outcome.body.success,
+                action: outcome.body.action || null,
+                status: outcome.body.status || null,
+                duplicate: !!outcome.body.duplicate,
+                debounced: !!outcome.body.debounced,
+                message: outcome.body.message
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            message: `Processed ${results.length} scans`,
+            data: {
+                accepted: results.filter(result => result.success && !result.duplicate).length,
+                duplicates: results.filter(result => result.duplicate).length,
+                debounced: results.filter(result => result.debounced).length,
+                rejected: results.filter(result => !result.success && !result.duplicate && !result.debounced).length,
+                results
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/attendance/today', authorize(...ROLES), async (req, res) => {
+    try {
+        const today = getCurrentDate();
+        const [attendance] = await pool.execute(
+            `SELECT a.*, ROUND(TIME_TO_SEC(TIMEDIFF(a.check_out_time, a.timestamp)) / 60) AS minutes_on_site 
+             FROM attendance a 
+             WHERE a.date = ? 
+             ORDER BY a.timestamp DESC`,
+            [today]
+        );
+        res.json({ success: true, data: attendance });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Newest first; filter by ?class or classId (the class the student was in that day), studentId,
+// status, autoMarked and a from/to date range, ?search= matches the student's name or card ID
+app.get('/api/attendance/recent', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { date: 'a.date', time: 'a.timestamp', student_name: 'a.student_name', status: 'a.status', class: 'a.class' },
+            defaultSort: '-date,-time',
+            key: 'a.id',
+            search: ['a.student_name', 'a.card_id'],
+            filters: {
+                class: listFilters.equals('a.class'),
+                classId: listFilters.equals('a.class_id'),
+                studentId: listFilters.equals('a.student_id'),
+                status: listFilters.equals('a.status', ATTENDANCE_STATUSES),
+                autoMarked: listFilters.boolean('a.auto_marked'),
+                from: listFilters.from('a.date'),
+                to: listFilters.to('a.date')
+            },
+            defaultLimit: 15
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: 'a.*, ROUND(TIME_TO_SEC(TIMEDIFF(a.check_out_time, a.timestamp)) / 60) AS minutes_on_site',
+                from: 'attendance a',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Dashboard Routes
+app.get('/api/dashboard/stats', authorize(...ROLES), async (req, res) => {
+    try {
+        const today = getCurrentDate();
+        
+        const [totalStudents] = await pool.execute("SELECT COUNT(*) as count FROM students WHERE status = 'active'");
+        const [todayAttendance] = await pool.execute(
+            'SELECT status, COUNT(*) as count FROM attendance WHERE date = ? GROUP BY status',
+            [today]
+        );
+        
+        const [pendingNotifications] = await pool.execute(
+            'SELECT COUNT(*) as count FROM notifications WHERE status = "pending"'
+        );
+        const [failedNotifications] = await pool.execute(
+            'SELECT COUNT(*) as count FROM notifications WHERE status = "failed"'
+        );
+        
+        const activeTimers = await timerManager.getActiveTimersCount();
+        const devices = await getDevicesWithStatus('WHERE d.active = TRUE');
+        
+        const [checkedOut] = await pool.execute(
+            'SELECT COUNT(*) as count FROM attendance WHERE date = ? AND check_out_time IS NOT NULL',
+            [today]
+        );
+
+        const [totalStaff] = await pool.execute("SELECT COUNT(*) as count FROM staff WHERE status = 'active'");
+        const [staffToday] = await pool.execute(
+            `SELECT status, COUNT(*) as count, SUM(check_in_time IS NOT NULL AND check_out_time IS NULL) AS on_site 
+             FROM staff_attendance 
+             WHERE date = ? 
+             GROUP BY status`,
+            [today]
+        );
+        const staffCountOf = (status) => staffToday.find(row => row.status === status)?.count || 0;
+
+        const [scanAlerts] = await pool.execute(
+            `SELECT a.id, a.type, a.message, a.occurrences, a.last_seen_at, d.name AS device_name 
+             FROM scan_alerts a 
+             LEFT JOIN devices d ON a.device_id = d.id 
+             WHERE a.status = 'open' 
+             ORDER BY a.last_seen_at DESC`
+        );
+        
+        const stats = {
+            totalStudents: totalStudents[0].count,
+            presentToday: 0,
+            lateToday: 0,
+            absentToday: 0,
+            excusedToday: 0,
+            checkedOutToday: checkedOut[0].count,
+            onSiteNow: 0,
+            pendingNotifications: pendingNotifications[0].count,
+            failedNotifications: failedNotifications[0].count,
+            pendingAbsenceTimers: activeTimers,
+            totalDevices: devices.length,
+            offlineDevices: devices.filter(device => !device.online).length,
+            offlineDeviceList: devices
+                .filter(device => !device.online)
+                .map(device => ({ id: device.id, name: device.name, location: device.location, lastHeartbeatAt: device.last_heartbeat_at })),
+            totalStaff: totalStaff[0].count,
+            staffPresentToday: staffCountOf('present'),
+            staffLateToday: staffCountOf('late'),
+            staffAbsentToday: staffCountOf('absent'),
+            staffOnLeaveToday: staffCountOf('on_leave'),
+            staffOnSiteNow: staffToday.reduce((total, row) => total + Number(row.on_site), 0),
+            openScanAlerts: scanAlerts.length,
+            scanAlertList: scanAlerts.slice(0, 10).map(alert => ({
+                id: alert.id,
+                type: alert.type,
+                message: alert.message,
+                deviceName: alert.device_name,
+                occurrences: alert.occurrences,
+                lastSeenAt: alert.last_seen_at
+            }))
+        };
+        
+        todayAttendance.forEach(record => {
+            stats[`${record.status}Today`] = record.count;
+        });
+
+        stats.onSiteNow = stats.presentToday + stats.lateToday - stats.checkedOutToday;
+        
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Notifications Routes
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'delivered', 'failed'];
+
+// Newest first; filter by ?status, type, recipient, class, studentId and a from/to date range,
+// ?search= matches the student's name or card ID
+app.get('/api/notifications', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { created_at: 'n.created_at', status: 'n.status', type: 'n.type', student_name: 'n.student_name', delivered_at: 'n.delivered_at' },
+            defaultSort: '-created_at',
+            key: 'n.id',
+            search: ['n.student_name', 's.card_id'],
+            filters: {
+                status: listFilters.equals('n.status', NOTIFICATION_STATUSES),
+                type: listFilters.equals('n.type'),
+                recipient: listFilters.equals('n.recipient'),
+                class: listFilters.equals('s.class'),
+                studentId: listFilters.equals('n.student_id'),
+                from: listFilters.from('n.created_at', { timestamp: true }),
+                to: listFilters.to('n.created_at', { timestamp: true })
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: 'n.*, s.parent_phone, s.parent_email, s.class',
+                from: 'notifications n JOIN students s ON n.student_id = s.id',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/notifications/:id/attempts', authorize(...ROLES), async (req, res) => {
+    try {
+        const [notifications] = await pool.execute('SELECT id FROM notifications WHERE id = ?', [req.params.id]);
+
+        if (notifications.length === 0) {
+            return res.status(404).json({ success: false, message: 'Notification not found' });
+        }
+
+        const [attempts] = await pool.execute(
+            'SELECT * FROM notification_attempts WHERE notification_id = ? ORDER BY attempted_at, attempt_number',
+            [req.params.id]
+        );
+        res.json({ success: true, data: attempts });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Tries to deliver one notification now; failed notifications start over with a fresh set of attempts
+app.post('/api/notifications/:id/send', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [notifications] = await pool.execute('SELECT status FROM notifications WHERE id = ?', [id]);
+
+        if (notifications.length === 0) {
+            return res.status(404).json({ success: false, message: 'Notification not found' });
+        }
+
+        if (['sent', 'delivered'].includes(notifications[0].status)) {
+            return res.json({ success: false, message: 'Notification has already been delivered' });
+        }
+
+        const before = await auditLog.snapshot('notification', id);
+        await pool.execute(
+            `UPDATE notifications 
+             SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW() 
+             WHERE id = ?`,
+            [id]
+        );
+        await auditLog.recordChange({ actor: getAuditActor(req), entityType: 'notification', entityId: id, action: 'queue', before });
+
+        await notificationWorker.send(id);
+
+        const [updated] = await pool.execute(
+            'SELECT status, attempts, last_error, next_attempt_at FROM notifications WHERE id = ?',
+            [id]
+        );
+        const notification = updated[0];
+
+        res.json({ 
+            success: notification.status !== 'failed', 
+            message: notification.status === 'delivered' ? 'Notification sent successfully' : 
+                notification.status === 'failed' ? `Notification could not be delivered: ${notification.last_error}` : 
+                'Notification queued for delivery',
+            data: notification
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Reports Routes
+
+// Builds the daily_reports row for a date from its attendance records.
+// Returns null if a report for that date already exists.
+const generateDailyReport = async (date) => {
+    const [attendanceData] = await pool.execute(
+        'SELECT status, COUNT(*) as count FROM attendance WHERE date = ? GROUP BY status',
+        [date]
+    );
+    const [totalStudents] = await pool.execute("SELECT COUNT(*) as count FROM students WHERE status = 'active'");
+    const [lastReport] = await pool.execute(
+        'SELECT day_number FROM daily_reports ORDER BY day_number DESC LIMIT 1'
+    );
+
+    const countOf = (status) => attendanceData.find(r => r.status === status)?.count || 0;
+    const report = {
+        id: generateUUID(),
+        date,
+        dayNumber: lastReport.length > 0 ? lastReport[0].day_number + 1 : 1,
+        totalStudents: totalStudents[0].count,
+        presentCount: countOf('present'),
+        lateCount: countOf('late'),
+        absentCount: countOf('absent'),
+        excusedCount: countOf('excused')
+    };
+    report.attendanceRate = report.totalStudents > 0 ? 
+        Math.round(((report.presentCount + report.lateCount) / report.totalStudents) * 100) : 0;
+
+    // The unique date key makes this safe against two generations racing
+    const [result] = await pool.execute(
+        `INSERT IGNORE INTO daily_reports 
+            (id, date, day_number, total_students, present_count, absent_count, late_count, excused_count, attendance_rate) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [report.id, date, report.dayNumber, report.totalStudents, report.presentCount, report.absentCount,
+         report.lateCount, report.excusedCount, report.attendanceRate]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+    await liveEvents.publish('report.generated', { report: 'daily', ...report });
+    return report;
+};
+
+// Builds the staff_daily_reports row for a date from staff attendance.
+// Returns null if a report for that date already exists.
+const generateStaffDailyReport = async (date) => {
+    const [attendanceData] = await pool.execute(
+        'SELECT status, COUNT(*) as count FROM staff_attendance WHERE date = ? GROUP BY status',
+        [date]
+    );
+    const [totalStaff] = await pool.execute("SELECT COUNT(*) as count FROM staff WHERE status = 'active'");
+
+    const countOf = (status) => attendanceData.find(r => r.status === status)?.count || 0;
+    const report = {
+        id: generateUUID(),
+        date,
+        totalStaff: totalStaff[0].count,
+        presentCount: countOf('present'),
+        lateCount: countOf('late'),
+        absentCount: countOf('absent'),
+        onLeaveCount: countOf('on_leave')
+    };
+    report.attendanceRate = report.totalStaff > 0 ? 
+        Math.round(((report.presentCount + report.lateCount) / report.totalStaff) * 100) : 0;
+
+    const [result] = await pool.execute(
+        `INSERT IGNORE INTO staff_daily_reports 
+            (id, date, total_staff, present_count, late_count, absent_count, on_leave_count, attendance_rate) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [report.id, date, report.totalStaff, report.presentCount, report.lateCount, report.absentCount,
+         report.onLeaveCount, report.attendanceRate]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+    await liveEvents.publish('report.generated', { report: 'staff_daily', ...report });
+    return report;
+};
+
+// Newest first; filter by a ?from/?to date range
+app.get('/api/reports', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { date: 'date', attendance_rate: 'attendance_rate' },
+            defaultSort: '-date',
+            key: 'id',
+            filters: { from: listFilters.from('date'), to: listFilters.to('date') }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ success: true, ...(await fetchListPage({ select: '*', from: 'daily_reports', list })) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/reports/generate', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const today = getCurrentDate();
+
+        const calendarDay = await schoolCalendar.describeDate(today);
+        if (!calendarDay.schoolDay) {
+            return res.json({ success: false, message: `Today is not a school day (${calendarDay.name || calendarDay.reason})` });
+        }
+        
+        const report = await generateDailyReport(today);
+        if (!report) {
+            return res.json({ success: false, message: 'Report already exists for today' });
+        }
+
+        res.json({ success: true, message: 'Report generated successfully', data: report });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Attendance Reports
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+// Longest run of absences over the given school days; present or late ends a
+// run, excused days and days without a record are passed over
+const longestAbsenceStreak = (schoolDays, statusByDate) => {
+    let longest = 0;
+    let current = 0;
+
+    for (const date of schoolDays) {
+        const status = statusByDate.get(date);
+        if (status === 'absent') {
+            current++;
+            longest = Math.max(longest, current);
+        } else if (ATTENDED_STATUSES.includes(status)) {
+            current = 0;
+        }
+    }
+
+    return longest;
+};
+
+const summarizeStatuses = (counts) => {
+    const attended = counts.present + counts.late;
+    return {
+        ...counts,
+        attendanceRate: attended + counts.absent > 0 ? Math.round((attended / (attended + counts.absent)) * 100) : null
+    };
+};
+
+// Reads ?from, ?to and ?format, defaulting to the current month as JSON
+const parseReportQuery = (query) => {
+    const today = getCurrentDate();
+    const from = query.from || `${today.slice(0, 8)}01`;
+    const to = query.to || today;
+    const format = query.format || 'json';
+
+    const rangeError = validateDateRange(from, to);
+    if (rangeError) {
+        return { error: rangeError };
+    }
+    if (to > addDays(from, 366)) {
+        return { error: 'Date range cannot be longer than a year' };
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+        return { error: `Format must be one of: ${REPORT_FORMATS.join(', ')}` };
+    }
+
+    return { from, to, format };
+};
+
+const buildAttendanceReport = async ({ from, to, groupBy, className }) => {
+    const schoolDays = (await schoolCalendar.describeRange(from, to)).filter(day => day.schoolDay).map(day => day.date);
+
+    // Former students are listed for the part of the range they were still at school
+    const [students] = await pool.execute(
+        `SELECT id, name, card_id, class FROM students WHERE status = 'active' OR left_at >= ?`,
+        [from]
+    );
+    // Records count towards the class the student was in on the day
+    const [records] = await pool.execute(
+        `SELECT a.student_id, DATE_FORMAT(a.date, '%Y-%m-%d') AS day_date, a.status, a.class 
+         FROM attendance a 
+         WHERE a.date BETWEEN ? AND ? ${className ? 'AND a.class = ?' : ''}`,
+        className ? [from, to, className] : [from, to]
+    );
+
+    const recordsByStudent = new Map();
+    for (const record of records) {
+        if (!recordsByStudent.has(record.student_id)) {
+            recordsByStudent.set(record.student_id, []);
+        }
+        recordsByStudent.get(record.student_id).push(record);
+    }
+
+    // A student who changed class during the range gets a row for each class;
+    // one with no records yet is listed under their current class
+    const studentRows = students.flatMap(student => {
+        const recordsByClass = new Map();
+        for (const record of recordsByStudent.get(student.id) || []) {
+            if (!recordsByClass.has(record.class)) {
+                recordsByClass.set(record.class, []);
+            }
+            recordsByClass.get(record.class).push(record);
+        }
+        if (recordsByClass.size === 0) {
+            if (className && student.class !== className) {
+                return [];
+            }
+            recordsByClass.set(student.class, []);
+        }
+
+        return [...recordsByClass].map(([studentClass, studentRecords]) => {
+            const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+            studentRecords.forEach(record => counts[record.status]++);
+
+            return {
+                studentId: student.id,
+                name: student.name,
+                cardId: student.card_id,
+                class: studentClass,
+                ...summarizeStatuses(counts),
+                longestAbsenceStreak: longestAbsenceStreak(
+                    schoolDays,
+                    new Map(studentRecords.map(record => [record.day_date, record.status]))
+                )
+            };
+        });
+    }).sort((a, b) => (a.class || '').localeCompare(b.class || '') || a.name.localeCompare(b.name));
+
+    if (groupBy === 'student') {
+        return { schoolDays: schoolDays.length, rows: studentRows };
+    }
+
+    const classes = new Map();
+    for (const row of studentRows) {
+        const key = row.class || 'Unassigned';
+        const group = classes.get(key) || {
+            class: key, students: 0, present: 0, late: 0, absent: 0, excused: 0, longestAbsenceStreak: 0
+        };
+        group.students++;
+        ['present', 'late', 'absent', 'excused'].forEach(status => { group[status] += row[status]; });
+        group.longestAbsenceStreak = Math.max(group.longestAbsenceStreak, row.longestAbsenceStreak);
+        classes.set(key, group);
+    }
+
+    return {
+        schoolDays: schoolDays.length,
+        rows: [...classes.values()].map(({ longestAbsenceStreak: streak, ...group }) => ({
+            ...summarizeStatuses(group),
+            longestAbsenceStreak: streak
+        }))
+    };
+};
+
+const renderPdfReport = (res, { title, subtitle, columns, rows }) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+    doc.pipe(res);
+
+    doc.fontSize(16).text(title);
+    doc.fontSize(10).fillColor('#555555').text(subtitle).moveDown();
+
+    const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const positions = [];
+    let x = doc.page.margins.left;
+    for (const column of columns) {
+        const width = ((column.width || 1) / totalWidth) * usableWidth;
+        positions.push({ x, width });
+        x += width;
+    }
+
+    const drawRow = (values, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+            doc.addPage();
+        }
+
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+        values.forEach((value, index) => {
+            doc.text(value === null || value === undefined ? '-' : String(value), positions[index].x, y, {
+                width: positions[index].width - 4,
+                lineBreak: false,
+                ellipsis: true
+            });
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = y + 16;
+    };
+
+    drawRow(columns.map(column => column.header), true);
+    rows.forEach(row => drawRow(columns.map(column => row[column.key]), false));
+
+    doc.end();
+};
+
+// Sends report rows as JSON, CSV or a printable PDF
+const sendReport = async (res, format, report) => {
+    if (format === 'json') {
+        return res.json({ success: true, data: report.data });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}.${format}"`);
+
+    if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        return renderPdfReport(res, report);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Report');
+    worksheet.columns = report.columns.map(column => ({ key: column.key, header: column.header }));
+    report.rows.forEach(row => worksheet.addRow(row));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(Buffer.from(await workbook.csv.writeBuffer()));
+};
+
+const SUMMARY_COLUMNS = [
+    { key: 'present', header: 'Present' },
+    { key: 'late', header: 'Late' },
+    { key: 'absent', header: 'Absent' },
+    { key: 'excused', header: 'Excused' },
+    { key: 'attendanceRate', header: 'Attendance %' },
+    { key: 'longestAbsenceStreak', header: 'Longest absence streak' }
+];
+
+app.get('/api/reports/attendance', authorize(...ROLES), async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const groupBy = req.query.groupBy || 'class';
+        if (!['class', 'student'].includes(groupBy)) {
+            return res.status(400).json({ success: false, message: 'groupBy must be class or student' });
+        }
+
+        const className = req.query.class || null;
+        const report = await buildAttendanceReport({ from: query.from, to: query.to, groupBy, className });
+
+        const columns = groupBy === 'class' ? 
+            [{ key: 'class', header: 'Class', width: 2 }, { key: 'students', header: 'Students' }, ...SUMMARY_COLUMNS] : 
+            [
+                { key: 'name', header: 'Student', width: 2 },
+                { key: 'cardId', header: 'Card ID' },
+                { key: 'class', header: 'Class' },
+                ...SUMMARY_COLUMNS
+            ];
+
+        await sendReport(res, query.format, {
+            title: `Attendance by ${groupBy}${className ? ` - ${className}` : ''}`,
+            subtitle: `${query.from} to ${query.to} (${report.schoolDays} school days)`,
+            filename: `attendance-by-${groupBy}-${query.from}-to-${query.to}`,
+            columns,
+            rows: report.rows,
+            data: { from: query.from, to: query.to, groupBy, class: className, ...report }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Day-by-day attendance for one student with a summary of the range
+const buildStudentHistory = async (student, from, to) => {
+    const days = await schoolCalendar.describeRange(from, to);
+    const [records] = await pool.execute(
+        `SELECT DATE_FORMAT(date, '%Y-%m-%d') AS day_date, status, timestamp, check_out_time, auto_marked, reason, 
+                ROUND(TIME_TO_SEC(TIMEDIFF(check_out_time, timestamp)) / 60) AS minutes_on_site 
+         FROM attendance 
+         WHERE student_id = ? AND date BETWEEN ? AND ?`,
+        [student.id, from, to]
+    );
+    const recordByDate = new Map(records.map(record => [record.day_date, record]));
+
+    // Every school day is listed, plus any other day the student happened to scan in
+    const history = days
+        .filter(day => day.schoolDay || recordByDate.has(day.date))
+        .map(day => {
+            const record = recordByDate.get(day.date);
+            return {
+                date: day.date,
+                schoolDay: day.schoolDay,
+                status: record ? record.status : 'no_record',
+                checkIn: record && ATTENDED_STATUSES.includes(record.status) ? record.timestamp : null,
+                checkOut: record ? record.check_out_time : null,
+                minutesOnSite: record ? record.minutes_on_site : null,
+                autoMarked: record ? !!record.auto_marked : false,
+                reason: record ? record.reason : null
+            };
+        });
+
+    const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+    records.forEach(record => counts[record.status]++);
+    const schoolDays = days.filter(day => day.schoolDay).map(day => day.date);
+    const summary = {
+        ...summarizeStatuses(counts),
+        schoolDays: schoolDays.length,
+        longestAbsenceStreak: longestAbsenceStreak(
+            schoolDays,
+            new Map(records.map(record => [record.day_date, record.status]))
+        )
+    };
+
+    return { history, summary };
+};
+
+app.get('/api/reports/students/:id/history', authorize(...ROLES), async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const [students] = await pool.execute('SELECT * FROM students WHERE id = ?', [req.params.id]);
+        if (students.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const student = students[0];
+        const { history, summary } = await buildStudentHistory(student, query.from, query.to);
+
+        await sendReport(res, query.format, {
+            title: `Attendance history - ${student.name}`,
+            subtitle: `${student.class || 'No class'} | ${query.from} to ${query.to} | ` +
+                `Attendance ${summary.attendanceRate ?? '-'}%, longest absence streak ${summary.longestAbsenceStreak} days`,
+            filename: `attendance-${student.card_id}-${query.from}-to-${query.to}`,
+            columns: [
+                { key: 'date', header: 'Date' },
+                { key: 'status', header: 'Status' },
+                { key: 'checkIn', header: 'Check-in' },
+                { key: 'checkOut', header: 'Check-out' },
+                { key: 'minutesOnSite', header: 'Minutes on site' },
+                { key: 'reason', header: 'Reason', width: 3 }
+            ],
+            rows: history,
+            data: {
+                student: { id: student.id, name: student.name, cardId: student.card_id, class: student.class },
+                from: query.from,
+                to: query.to,
+                summary,
+                history
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Lessons marked absent in the period register on days the student checked in at the gate
+app.get('/api/reports/period-skips', authorize(...ROLES), async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const className = req.query.class || null;
+        const [skips] = await pool.execute(
+            `SELECT s.id AS student_id, s.name, s.card_id, a.class, DATE_FORMAT(pa.date, '%Y-%m-%d') AS day_date, 
+                    a.status AS gate_status, a.timestamp AS check_in, p.period_number, p.subject, 
+                    p.start_time, u.full_name AS teacher_name, pa.note 
+             FROM period_attendance pa 
+             JOIN timetable_periods p ON pa.period_id = p.id 
+             JOIN students s ON pa.student_id = s.id 
+             JOIN attendance a ON a.student_id = pa.student_id AND a.date = pa.date AND a.status IN ('present', 'late') 
+             LEFT JOIN users u ON p.teacher_id = u.id 
+             WHERE pa.status = 'absent' AND pa.date BETWEEN ? AND ? ${className ? 'AND a.class = ?' : ''} 
+             ORDER BY pa.date, a.class, s.name, p.period_number`,
+            className ? [query.from, query.to, className] : [query.from, query.to]
+        );
+
+        const rows = skips.map(skip => ({
+            date: skip.day_date,
+            studentId: skip.student_id,
+            name: skip.name,
+            cardId: skip.card_id,
+            class: skip.class,
+            gateStatus: skip.gate_status,
+            checkIn: skip.check_in,
+            period: skip.period_number,
+            subject: skip.subject,
+            startTime: skip.start_time,
+            teacher: skip.teacher_name,
+            note: skip.note
+        }));
+
+        const byStudent = new Map();
+        rows.forEach(row => {
+            const entry = byStudent.get(row.studentId) || { studentId: row.studentId, name: row.name, class: row.class, skippedPeriods: 0 };
+            entry.skippedPeriods++;
+            byStudent.set(row.studentId, entry);
+        });
+
+        await sendReport(res, query.format, {
+            title: `Skipped periods${className ? ` - ${className}` : ''}`,
+            subtitle: `${query.from} to ${query.to} | checked in at the gate but marked absent in class`,
+            filename: `period-skips-${query.from}-to-${query.to}`,
+            columns: [
+                { key: 'date', header: 'Date' },
+                { key: 'name', header: 'Student', width: 2 },
+                { key: 'class', header: 'Class' },
+                { key: 'checkIn', header: 'Check-in' },
+                { key: 'period', header: 'Period' },
+                { key: 'subject', header: 'Subject', width: 2 },
+                { key: 'teacher', header: 'Teacher', width: 2 },
+                { key: 'note', header: 'Note', width: 2 }
+            ],
+            rows,
+            data: {
+                from: query.from,
+                to: query.to,
+                class: className,
+                students: [...byStudent.values()].sort((a, b) => b.skippedPeriods - a.skippedPeriods),
+                skips: rows
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Analytics Routes
+// Results are cached in analytics_cache for ANALYTICS_CACHE_TTL_MINUTES, so a
+// busy dashboard does not rescan the attendance table on every refresh. Pass
+// ?refresh=true to recompute straight away, e.g. after a batch of corrections.
+const analyticsCache = {
+    TTL_MINUTES: parseInt(process.env.ANALYTICS_CACHE_TTL_MINUTES, 10) || 15,
+
+    // Returns { data, computedAt, cached }, computing and storing the result when needed
+    async get(name, params, compute, { refresh = false } = {}) {
+        const key = `${name}:${JSON.stringify(params)}`;
+
+        if (!refresh) {
+            const [rows] = await pool.execute(
+                'SELECT payload, computed_at FROM analytics_cache WHERE cache_key = ? AND expires_at > NOW()',
+                [key]
+            );
+            if (rows.length > 0) {
+                return { data: JSON.parse(rows[0].payload), computedAt: rows[0].computed_at, cached: true };
+            }
+        }
+
+        const data = await compute();
+        await pool.execute(
+            `INSERT INTO analytics_cache (cache_key, payload, computed_at, expires_at) 
+             VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE)) 
+             ON DUPLICATE KEY UPDATE payload = VALUES(payload), computed_at = VALUES(computed_at), expires_at = VALUES(expires_at)`,
+            [key, JSON.stringify(data), this.TTL_MINUTES]
+        );
+        // Keys include the date range, so old ones would otherwise pile up
+        await pool.execute('DELETE FROM analytics_cache WHERE expires_at < DATE_SUB(NOW(), INTERVAL 1 DAY)');
+
+        return { data, computedAt: new Date(), cached: false };
+    }
+};
+
+// Reads ?from, ?to and ?class. Without dates the range is the current term so
+// far, or the last 90 days when no term covers today.
+const parseAnalyticsQuery = async (query) => {
+    const today = getCurrentDate();
+    let { from, to } = query;
+
+    if (!from && !to) {
+        const [terms] = await pool.execute(
+            `SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date 
+             FROM academic_terms 
+             WHERE start_date <= ? AND end_date >= ?`,
+            [today, today]
+        );
+        from = terms.length > 0 ? terms[0].start_date : addDays(today, -89);
+        to = today;
+    }
+    from = from || addDays(to, -89);
+    to = to || today;
+
+    const rangeError = validateDateRange(from, to);
+    if (rangeError) {
+        return { error: rangeError };
+    }
+    if (to > addDays(from, 366)) {
+        return { error: 'Date range cannot be longer than a year' };
+    }
+
+    return { from, to, className: query.class || null };
+};
+
+// School days in the range and every attendance record on them, with the class
+// each student was in on the day
+const loadAnalyticsRecords = async ({ from, to, className }) => {
+    const schoolDays = (await schoolCalendar.describeRange(from, to)).filter(day => day.schoolDay).map(day => day.date);
+    const [records] = await pool.execute(
+        `SELECT a.student_id, DATE_FORMAT(a.date, '%Y-%m-%d') AS day_date, a.status, 
+                TIME_TO_SEC(a.timestamp) AS arrival_seconds, a.class 
+         FROM attendance a 
+         WHERE a.date BETWEEN ? AND ? ${className ? 'AND a.class = ?' : ''}`,
+        className ? [from, to, className] : [from, to]
+    );
+
+    const schoolDaySet = new Set(schoolDays);
+    return { schoolDays, records: records.filter(record => schoolDaySet.has(record.day_date)) };
+};
+
+// Status counts, attendance rate and mean arrival time for a set of records
+const summarizeAnalyticsRecords = (records) => {
+    const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+    let arrivalTotal = 0;
+    let arrivals = 0;
+
+    for (const record of records) {
+        counts[record.status]++;
+        if (ATTENDED_STATUSES.includes(record.status) && record.arrival_seconds !== null) {
+            arrivalTotal += Number(record.arrival_seconds);
+            arrivals++;
+        }
+    }
+
+    const averageSeconds = arrivals > 0 ? Math.round(arrivalTotal / arrivals) : null;
+    return {
+        ...summarizeStatuses(counts),
+        averageArrival: averageSeconds === null
+            ? null
+            : `${String(Math.floor(averageSeconds / 3600)).padStart(2, '0')}:${String(Math.floor(averageSeconds / 60) % 60).padStart(2, '0')}`
+    };
+};
+
+// Tiers are relative to the chronic absence threshold: at risk from half of it, severe from double
+const getRiskTier = (absenceRate, threshold) => {
+    if (absenceRate >= threshold * 2) return 'severe';
+    if (absenceRate >= threshold) return 'chronic';
+    if (absenceRate >= threshold / 2) return 'at_risk';
+    return 'on_track';
+};
+
+const RISK_TIERS = ['severe', 'chronic', 'at_risk', 'on_track'];
+
+// Per-student absence rates with risk tiers, worst first. Absent and excused days
+// both count as missed; rates are out of the school days the student has a record for.
+// Filter by ?tier (comma-separated)
+app.get('/api/analytics/chronic-absence', authorize(...ROLES), async (req, res) => {
+    try {
+        const query = await parseAnalyticsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+        const tiers = req.query.tier ? String(req.query.tier).split(',') : RISK_TIERS;
+        if (tiers.some(tier => !RISK_TIERS.includes(tier))) {
+            return res.status(400).json({ success: false, message: `tier must be one of: ${RISK_TIERS.join(', ')}` });
+        }
+
+        const threshold = (await getSettings()).chronic_absence_threshold;
+        const result = await analyticsCache.get('chronic-absence', { ...query, threshold }, async () => {
+            const { schoolDays, records } = await loadAnalyticsRecords(query);
+            // The records are already limited to the class, whichever class the students are in now
+            const [students] = await pool.execute('SELECT id, name, card_id, class FROM students');
+
+            const recordsByStudent = new Map();
+            for (const record of records) {
+                if (!recordsByStudent.has(record.student_id)) {
+                    recordsByStudent.set(record.student_id, []);
+                }
+                recordsByStudent.get(record.student_id).push(record);
+            }
+
+            const rows = students
+                .filter(student => recordsByStudent.has(student.id))
+                .map(student => {
+                    const studentRecords = recordsByStudent.get(student.id);
+                    const summary = summarizeAnalyticsRecords(studentRecords);
+                    const missedDays = summary.absent + summary.excused;
+                    const absenceRate = Math.round((missedDays / studentRecords.length) * 1000) / 10;
+
+                    return {
+                        studentId: student.id,
+                        name: student.name,
+                        cardId: student.card_id,
+                        class: query.className || student.class,
+                        recordedDays: studentRecords.length,
+                        ...summary,
+                        missedDays,
+                        absenceRate,
+                        longestAbsenceStreak: longestAbsenceStreak(
+                            schoolDays,
+                            new Map(studentRecords.map(record => [record.day_date, record.status]))
+                        ),
+                        tier: getRiskTier(absenceRate, threshold)
+                    };
+                })
+                .sort((a, b) => b.absenceRate - a.absenceRate || a.name.localeCompare(b.name));
+
+            const tierCounts = Object.fromEntries(RISK_TIERS.map(tier => [tier, 0]));
+            rows.forEach(row => tierCounts[row.tier]++);
+
+            return { schoolDays: schoolDays.length, tierCounts, students: rows };
+        }, { refresh: req.query.refresh === 'true' });
+
+        res.json({ 
+            success: true, 
+            data: {
+                from: query.from,
+                to: query.to,
+                class: query.className,
+                threshold,
+                schoolDays: result.data.schoolDays,
+                tierCounts: result.data.tierCounts,
+                students: result.data.students.filter(row => tiers.includes(row.tier)),
+                computedAt: result.computedAt,
+                cached: result.cached
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Attendance by weekday, by class, and by class and weekday together
+app.get('/api/analytics/heatmap', authorize(...ROLES), async (req, res) => {
+    try {
+        const query = await parseAnalyticsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const result = await analyticsCache.get('heatmap', query, async () => {
+            const { schoolDays, records } = await loadAnalyticsRecords(query);
+
+            const groups = { byWeekday: new Map(), byClass: new Map(), byClassAndWeekday: new Map() };
+            const addTo = (map, key, fields, record) => {
+                if (!map.has(key)) {
+                    map.set(key, { fields, records: [] });
+                }
+                map.get(key).records.push(record);
+            };
+
+            for (const record of records) {
+                const weekday = getWeekday(record.day_date);
+                const className = record.class || 'Unassigned';
+                addTo(groups.byWeekday, weekday, { weekday }, record);
+                addTo(groups.byClass, className, { class: className }, record);
+                addTo(groups.byClassAndWeekday, `${className}|${weekday}`, { class: className, weekday }, record);
+            }
+
+            const schoolDaysByWeekday = {};
+            schoolDays.forEach(date => {
+                const weekday = getWeekday(date);
+                schoolDaysByWeekday[weekday] = (schoolDaysByWeekday[weekday] || 0) + 1;
+            });
+
+            const summarize = (map) => [...map.values()].map(({ fields, records: groupRecords }) => ({
+                ...fields,
+                ...(fields.weekday !== undefined && { schoolDays: schoolDaysByWeekday[fields.weekday] || 0 }),
+                ...summarizeAnalyticsRecords(groupRecords)
+            }));
+
+            return {
+                schoolDays: schoolDays.length,
+                byWeekday: summarize(groups.byWeekday).sort((a, b) => a.weekday - b.weekday),
+                byClass: summarize(groups.byClass).sort((a, b) => a.class.localeCompare(b.class)),
+                byClassAndWeekday: summarize(groups.byClassAndWeekday)
+                    .sort((a, b) => a.class.localeCompare(b.class) || a.weekday - b.weekday)
+            };
+        }, { refresh: req.query.refresh === 'true' });
+
+        res.json({ 
+            success: true, 
+            data: { 
+                from: query.from, 
+                to: query.to, 
+                class: query.className, 
+                ...result.data, 
+                computedAt: result.computedAt, 
+                cached: result.cached 
+            } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Week-by-week attendance rate, lateness and mean arrival time for the last ?weeks
+// weeks (default 12, up to 52), each compared with the week before it
+app.get('/api/analytics/trends', authorize(...ROLES), async (req, res) => {
+    try {
+        const weeks = req.query.weeks === undefined ? 12 : parseInt(req.query.weeks, 10);
+        if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+            return res.status(400).json({ success: false, message: 'weeks must be between 1 and 52' });
+        }
+
+        // Weeks start on Monday
+        const today = getCurrentDate();
+        const currentWeekStart = addDays(today, -((getWeekday(today) + 6) % 7));
+        const query = { from: addDays(currentWeekStart, -7 * (weeks - 1)), to: today, className: req.query.class || null };
+
+        const result = await analyticsCache.get('trends', query, async () => {
+            const { schoolDays, records } = await loadAnalyticsRecords(query);
+
+            const trend = [];
+            for (let weekStart = query.from; weekStart <= query.to; weekStart = addDays(weekStart, 7)) {
+                const weekEnd = addDays(weekStart, 6);
+                const weekRecords = records.filter(record => record.day_date >= weekStart && record.day_date <= weekEnd);
+                const summary = summarizeAnalyticsRecords(weekRecords);
+                const attended = summary.present + summary.late;
+                const previous = trend[trend.length - 1];
+
+                trend.push({
+                    weekStart,
+                    schoolDays: schoolDays.filter(date => date >= weekStart && date <= weekEnd).length,
+                    ...summary,
+                    lateRate: attended > 0 ? Math.round((summary.late / attended) * 100) : null,
+                    attendanceRateChange: previous && previous.attendanceRate !== null && summary.attendanceRate !== null
+                        ? summary.attendanceRate - previous.attendanceRate
+                        : null
+                });
+            }
+
+            return trend;
+        }, { refresh: req.query.refresh === 'true' });
+
+        res.json({ 
+            success: true, 
+            data: { 
+                from: query.from, 
+                to: query.to, 
+                class: query.className, 
+                weeks: result.data, 
+                computedAt: result.computedAt, 
+                cached: result.cached 
+            } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// System Routes
+app.post('/api/system/new-day', authorize('admin'), async (req, res) => {
+    try {
+        // Generate report for current day first
+        const today = getCurrentDate();
+        const [attendanceData] = await pool.execute(
+            'SELECT COUNT(*) as count FROM attendance WHERE date = ?',
+            [today]
+        );
+
+        const calendarDay = await schoolCalendar.describeDate(today);
+        if (attendanceData[0].count > 0 && calendarDay.schoolDay) {
+            // Auto-generate report if there's attendance data
+            await generateDailyReport(today);
+        }
+        const [staffAttendanceData] = await pool.execute(
+            'SELECT COUNT(*) as count FROM staff_attendance WHERE date = ?',
+            [today]
+        );
+        if (staffAttendanceData[0].count > 0 && calendarDay.schoolDay) {
+            await generateStaffDailyReport(today);
+        }
+
+        // Start new day
+        await timerManager.startNewDay();
+
+        res.json({ success: true, message: 'New day started successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Manual Absence Route
+app.post('/api/attendance/manual-absent/:studentId', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const [students] = await pool.execute(
+            'SELECT * FROM students WHERE id = ?',
+            [studentId]
+        );
+
+        if (students.length === 0) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const student = students[0];
+        if (student.status !== 'active') {
+            return res.status(400).json({ success: false, message: `${student.name} is ${student.status}` });
+        }
+        const today = getCurrentDate();
+
+        const alreadyRecorded = (attendance) => res.json({ 
+            success: false, 
+            message: `Attendance already recorded for ${student.name} today; correct it with PUT /api/attendance/${attendance.id}`,
+            attendanceId: attendance.id
+        });
+
+        const [existing] = await pool.execute(
+            'SELECT id FROM attendance WHERE student_id = ? AND date = ?',
+            [student.id, today]
+        );
+        if (existing.length > 0) {
+            return alreadyRecorded(existing[0]);
+        }
+
+        const attendanceId = generateUUID();
+        const inserted = await insertAttendanceRecord({
+            id: attendanceId,
+            student_id: student.id,
+            student_name: student.name,
+            class_id: student.class_id,
+            class: student.class,
+            card_id: student.card_id,
+            date: today,
+            timestamp: getCurrentTime(),
+            status: 'absent',
+            auto_marked: false
+        });
+        if (!inserted) {
+            // A scan or the absence cutoff recorded the day in the meantime
+            const [raced] = await pool.execute(
+                'SELECT id FROM attendance WHERE student_id = ? AND date = ?',
+                [student.id, today]
+            );
+            return alreadyRecorded(raced[0]);
+        }
+        await auditLog.recordChange({ 
+            actor: getAuditActor(req), 
+            entityType: 'attendance', 
+            entityId: attendanceId, 
+            action: 'mark_absent' 
+        });
+
+        await publishAttendanceEvent(student, { action: 'mark_absent', status: 'absent', time: getCurrentTime() });
+        await alertEngine.evaluateStudent(student);
+
+        res.json({ success: true, message: `${student.name} marked as absent` });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Corrects an attendance record, e.g. an auto-marked absence while a reader was down.
+// A reason is required and is kept in the audit log with the old and new values.
+app.put('/api/attendance/:id', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { status, checkInTime, checkOutTime, reason } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ success: false, message: 'A reason is required to correct attendance' });
+        }
+        if (!ATTENDANCE_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` });
+        }
+
+        const times = {};
+        for (const [field, value] of [['checkInTime', checkInTime], ['checkOutTime', checkOutTime]]) {
+            if (value === undefined || value === null) {
+                continue;
+            }
+            if (!/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value)) {
+                return res.status(400).json({ success: false, message: `${field} must be in HH:MM format` });
+            }
+            times[field] = value.length === 5 ? `${value}:00` : value;
+        }
+
+        const before = await auditLog.snapshot('attendance', req.params.id);
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Attendance record not found' });
+        }
+
+        // Only attended days have check-in and check-out times worth keeping
+        const attended = ATTENDED_STATUSES.includes(status);
+        const timestamp = times.checkInTime || before.timestamp;
+        const checkOut = !attended ? null : 
+            checkOutTime === null ? null : (times.checkOutTime || before.check_out_time);
+
+        if (checkOut && checkOut <= timestamp) {
+            return res.status(400).json({ success: false, message: 'Check-out must be after check-in' });
+        }
+
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute(
+                `UPDATE attendance 
+                 SET status = ?, timestamp = ?, check_out_time = ?, reason = ?, auto_marked = FALSE 
+                 WHERE id = ?`,
+                [status, timestamp, checkOut, String(reason).trim(), req.params.id]
+            );
+            await auditLog.recordChange({
+                actor: getAuditActor(req),
+                entityType: 'attendance',
+                entityId: req.params.id,
+                action: 'correct',
+                before,
+                reason: String(reason).trim()
+            }, connection);
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        const [students] = await pool.execute('SELECT * FROM students WHERE id = ?', [before.student_id]);
+        if (students.length > 0) {
+            await publishAttendanceEvent(students[0], { 
+                action: 'correct', 
+                status, 
+                previousStatus: before.status, 
+                date: before.date, 
+                time: timestamp 
+            });
+            await alertEngine.evaluateStudent(students[0], before.date);
+        }
+
+        res.json({ 
+            success: true, 
+            message: `Attendance corrected from ${before.status} to ${status}`, 
+            data: await auditLog.snapshot('attendance', req.params.id) 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Leave Request Routes
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const LEAVE_ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_LEAVE_DAYS = 90;
+
+// Everything but the attachment itself, with dates as YYYY-MM-DD
+const LEAVE_COLUMNS = 
+    `l.id, l.student_id, s.name AS student_name, s.class, 
+     DATE_FORMAT(l.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(l.end_date, '%Y-%m-%d') AS end_date, 
+     l.reason, l.status, l.requested_by_type, l.requested_by, l.requester_name, 
+     l.attachment_name, l.attachment_type, l.reviewed_by, r.full_name AS reviewer_name, l.reviewed_at, 
+     l.review_comment, l.created_at, l.updated_at`;
+
+const getLeaveRequest = async (id) => {
+    const [leaves] = await pool.execute(
+        `SELECT ${LEAVE_COLUMNS} 
+         FROM leave_requests l 
+         JOIN students s ON l.student_id = s.id 
+         LEFT JOIN users r ON l.reviewed_by = r.id 
+         WHERE l.id = ?`,
+        [id]
+    );
+    return leaves[0] || null;
+};
+
+// Validates a new request for a student. Returns null or an error message.
+const validateLeaveRequest = async ({ studentId, startDate, endDate, reason }, file) => {
+    if (!studentId || !reason || !String(reason).trim()) {
+        return 'Student ID and reason are required';
+    }
+    if (String(reason).length > 500) {
+        return 'Reason cannot be longer than 500 characters';
+    }
+
+    const rangeError = validateDateRange(startDate, endDate);
+    if (rangeError) {
+        return rangeError;
+    }
+    if (endDate > addDays(startDate, MAX_LEAVE_DAYS - 1)) {
+        return `Leave cannot be longer than ${MAX_LEAVE_DAYS} days`;
+    }
+    if (file && !LEAVE_ATTACHMENT_TYPES.includes(file.mimetype)) {
+        return 'Attachments must be a PDF, JPEG or PNG file';
+    }
+
+    const [students] = await pool.execute('SELECT status FROM students WHERE id = ?', [studentId]);
+    if (students.length === 0) {
+        return 'Student not found';
+    }
+    if (students[0].status !== 'active') {
+        return `Student is ${students[0].status}`;
+    }
+
+    const [overlapping] = await pool.execute(
+        `SELECT id FROM leave_requests 
+         WHERE student_id = ? AND status IN ('pending', 'approved') AND start_date <= ? AND end_date >= ?`,
+        [studentId, endDate, startDate]
+    );
+    if (overlapping.length > 0) {
+        return 'The student already has a pending or approved leave request overlapping these dates';
+    }
+
+    return null;
+};
+
+// Creates a pending request and returns it
+const createLeaveRequest = async ({ studentId, startDate, endDate, reason, requestedByType, requestedBy, requesterName }, file) => {
+    const leaveId = generateUUID();
+    await pool.execute(
+        `INSERT INTO leave_requests 
+            (id, student_id, start_date, end_date, reason, requested_by_type, requested_by, requester_name, 
+             attachment_name, attachment_type, attachment) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [leaveId, studentId, startDate, endDate, String(reason).trim(), requestedByType, requestedBy, requesterName, 
+         file ? file.originalname : null, file ? file.mimetype : null, file ? file.buffer : null]
+    );
+
+    const leave = await getLeaveRequest(leaveId);
+    await liveEvents.publish('leave.requested', {
+        leaveRequestId: leaveId,
+        studentId,
+        studentName: leave.student_name,
+        startDate,
+        endDate
+    }, leave.class);
+
+    return leave;
+};
+
+// Latest start date first; filter by ?status, studentId and a from/to range that the leave overlaps
+app.get('/api/leave-requests', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { start_date: 'l.start_date', created_at: 'l.created_at', status: 'l.status', student_name: 's.name' },
+            defaultSort: '-start_date,-created_at',
+            key: 'l.id',
+            filters: {
+                status: listFilters.equals('l.status', LEAVE_STATUSES),
+                studentId: listFilters.equals('l.student_id'),
+                from: listFilters.from('l.end_date'),
+                to: listFilters.to('l.start_date')
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: LEAVE_COLUMNS,
+                from: 'leave_requests l JOIN students s ON l.student_id = s.id LEFT JOIN users r ON l.reviewed_by = r.id',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/leave-requests/:id', authorize(...ROLES), async (req, res) => {
+    try {
+        const leave = await getLeaveRequest(req.params.id);
+
+        if (!leave) {
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+
+        res.json({ success: true, data: leave });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/leave-requests/:id/attachment', authorize(...ROLES), async (req, res) => {
+    try {
+        const [leaves] = await pool.execute(
+            'SELECT attachment_name, attachment_type, attachment FROM leave_requests WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (leaves.length === 0 || !leaves[0].attachment) {
+            return res.status(404).json({ success: false, message: 'Attachment not found' });
+        }
+
+        res.setHeader('Content-Type', leaves[0].attachment_type);
+        res.setHeader('Content-Disposition', `attachment; filename="${leaves[0].attachment_name.replace(/"/g, '')}"`);
+        res.send(leaves[0].attachment);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Staff record a request on a parent's behalf (e.g. after a phone call).
+// Accepts JSON, or multipart form data with the optional file in "attachment".
+app.post('/api/leave-requests', authorize(...STAFF_ROLES), upload.single('attachment'), async (req, res) => {
+    try {
+        const { studentId, startDate, endDate, reason, requesterName } = req.body;
+
+        const error = await validateLeaveRequest({ studentId, startDate, endDate, reason }, req.file);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const leave = await createLeaveRequest({
+            studentId,
+            startDate,
+            endDate,
+            reason,
+            requestedByType: 'staff',
+            requestedBy: req.user.id,
+            requesterName: requesterName || req.user.full_name || req.user.username
+        }, req.file);
+
+        res.json({ success: true, message: 'Leave request submitted', data: leave });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Approving excuses the days that have already started; the cutoff job excuses the rest as they come
+app.post('/api/leave-requests/:id/approve', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const leave = await getLeaveRequest(req.params.id);
+
+        if (!leave) {
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+        if (leave.status !== 'pending') {
+            return res.status(400).json({ success: false, message: `Leave request is already ${leave.status}` });
+        }
+
+        // The approval and the days it excuses are saved together or not at all
+        let excusedDates;
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.execute(
+                `UPDATE leave_requests 
+                 SET status = 'approved', reviewed_by = ?, reviewed_at = NOW(), review_comment = ? 
+                 WHERE id = ? AND status = 'pending'`,
+                [req.user.id, req.body.comment || null, leave.id]
+            );
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return res.status(409).json({ success: false, message: 'Leave request was reviewed by someone else' });
+            }
+
+            excusedDates = await leaveRequests.applyApproved(leave, getAuditActor(req), connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        await leaveRequests.announceExcused(leave, excusedDates);
+        const excusedDays = excusedDates.length;
+
+        await liveEvents.publish('leave.reviewed', {
+            leaveRequestId: leave.id,
+            studentId: leave.student_id,
+            studentName: leave.student_name,
+            status: 'approved',
+            excusedDays
+        }, leave.class);
+
+        res.json({ 
+            success: true, 
+            message: `Leave approved${excusedDays > 0 ? `, ${excusedDays} days marked excused` : ''}`, 
+            data: await getLeaveRequest(leave.id) 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/leave-requests/:id/reject', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { comment } = req.body;
+
+        if (!comment || !String(comment).trim()) {
+            return res.status(400).json({ success: false, message: 'A comment is required to reject a leave request' });
+        }
+
+        const leave = await getLeaveRequest(req.params.id);
+        if (!leave) {
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+        if (leave.status !== 'pending') {
+            return res.status(400).json({ success: false, message: `Leave request is already ${leave.status}` });
+        }
+
+        await pool.execute(
+            `UPDATE leave_requests 
+             SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_comment = ? 
+             WHERE id = ? AND status = 'pending'`,
+            [req.user.id, String(comment).trim(), leave.id]
+        );
+
+        await liveEvents.publish('leave.reviewed', {
+            leaveRequestId: leave.id,
+            studentId: leave.student_id,
+            studentName: leave.student_name,
+            status: 'rejected'
+        }, leave.class);
+
+        res.json({ success: true, message: 'Leave rejected', data: await getLeaveRequest(leave.id) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Only pending requests can be withdrawn; approved leave is changed by correcting attendance
+app.post('/api/leave-requests/:id/cancel', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            "UPDATE leave_requests SET status = 'cancelled' WHERE id = ? AND status = 'pending'",
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            const leave = await getLeaveRequest(req.params.id);
+            return leave ? 
+                res.status(400).json({ success: false, message: `Leave request is already ${leave.status}` }) : 
+                res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+
+        res.json({ success: true, message: 'Leave request cancelled' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Parent Portal Routes
+// Parents sign in with a one-time code sent to the phone or email the school
+// has for them, and can only see the students they are linked to.
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_PER_HOUR = 5;
+
+const hashOtp = (guardianId, code) => crypto.createHash('sha256').update(`${guardianId}:${code}`).digest('hex');
+
+// An email address signs in by email, anything else is treated as a phone number
+const findGuardianByContact = async (contact) => {
+    const value = String(contact || '').trim();
+    const channel = value.includes('@') ? 'email' : 'sms';
+    const [guardians] = await pool.execute(
+        `SELECT * FROM guardians WHERE ${channel === 'email' ? 'email' : 'phone'} = ? AND active = TRUE`,
+        [channel === 'email' ? value.toLowerCase() : value]
+    );
+    return { guardian: guardians[0] || null, channel, to: value };
+};
+
+// The guardian's child with this ID, or null if they are not linked to it
+const getGuardianStudent = async (guardian, studentId) => {
+    const [students] = await pool.execute(
+        `SELECT s.* FROM students s 
+         JOIN student_guardians sg ON sg.student_id = s.id 
+         WHERE sg.guardian_id = ? AND s.id = ?`,
+        [guardian.id, studentId]
+    );
+    return students[0] || null;
+};
+
+// Always answers the same way so the endpoint cannot be used to find out who is registered
+app.post('/api/parent/auth/request-code', async (req, res) => {
+    try {
+        const { contact } = req.body;
+        if (!contact) {
+            return res.status(400).json({ success: false, message: 'A phone number or email address is required' });
+        }
+
+        const sent = { success: true, message: 'If this contact is registered, a sign-in code has been sent' };
+        const { guardian, channel, to } = await findGuardianByContact(contact);
+        if (!guardian) {
+            return res.json(sent);
+        }
+
+        const [recent] = await pool.execute(
+            'SELECT COUNT(*) AS count FROM guardian_otps WHERE guardian_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)',
+            [guardian.id]
+        );
+        if (recent[0].count >= OTP_MAX_PER_HOUR) {
+            return res.status(429).json({ success: false, message: 'Too many codes requested, try again later' });
+        }
+
+        const config = DELIVERY_CHANNELS[channel];
+        if (!config.supports.includes(config.provider)) {
+            console.error(`❌ Cannot send parent sign-in code: no ${channel} provider configured`);
+            return res.json(sent);
+        }
+
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        await pool.execute(
+            `INSERT INTO guardian_otps (id, guardian_id, channel, code_hash, expires_at) 
+             VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+            [generateUUID(), guardian.id, channel, hashOtp(guardian.id, code), OTP_TTL_MINUTES]
+        );
+
+        await notificationProviders[config.provider].send({
+            channel,
+            to,
+            subject: 'Your sign-in code',
+            text: `Your school attendance sign-in code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+        });
+
+        res.json(sent);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/parent/auth/verify-code', async (req, res) => {
+    try {
+        const { contact, code } = req.body;
+        if (!contact || !code) {
+            return res.status(400).json({ success: false, message: 'Contact and code are required' });
+        }
+
+        const invalid = { success: false, message: 'Invalid or expired code' };
+        const { guardian } = await findGuardianByContact(contact);
+        if (!guardian) {
+            return res.status(401).json(invalid);
+        }
+
+        const [otps] = await pool.execute(
+            `SELECT * FROM guardian_otps 
+             WHERE guardian_id = ? AND consumed_at IS NULL AND expires_at > NOW() 
+             ORDER BY created_at DESC 
+             LIMIT 1`,
+            [guardian.id]
+        );
+        if (otps.length === 0) {
+            return res.status(401).json(invalid);
+        }
+
+        // Count the attempt before comparing, so parallel guesses cannot all slip under the limit
+        const otp = otps[0];
+        const [counted] = await pool.execute(
+            'UPDATE guardian_otps SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+            [otp.id, OTP_MAX_ATTEMPTS]
+        );
+        if (counted.affectedRows === 0) {
+            return res.status(401).json({ success: false, message: 'Too many wrong codes, request a new one' });
+        }
+
+        if (otp.code_hash !== hashOtp(guardian.id, String(code).trim())) {
+            return res.status(401).json(invalid);
+        }
+
+        // Single use: a second request with the same code finds nothing to consume
+        const [consumed] = await pool.execute(
+            'UPDATE guardian_otps SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL',
+            [otp.id]
+        );
+        if (consumed.affectedRows === 0) {
+            return res.status(401).json(invalid);
+        }
+
+        await pool.execute('UPDATE guardians SET last_login_at = NOW() WHERE id = ?', [guardian.id]);
+        const token = jwt.sign({ sub: guardian.id, type: 'guardian' }, JWT_SECRET, { expiresIn: PARENT_JWT_EXPIRES_IN });
+
+        res.json({ 
+            success: true, 
+            data: { token, expiresIn: PARENT_JWT_EXPIRES_IN, guardian: toPublicGuardian(guardian) } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/parent/me', authorizeGuardian, async (req, res) => {
+    try {
+        res.json({ 
+            success: true, 
+            data: { ...toPublicGuardian(req.guardian), children: await getGuardianChildren(req.guardian.id) } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/parent/preferences', authorizeGuardian, async (req, res) => {
+    try {
+        const { values, error } = validateGuardianPreferences(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const columns = Object.keys(values);
+        if (columns.length === 0) {
+            return res.status(400).json({ success: false, message: 'No preferences provided' });
+        }
+
+        await pool.execute(
+            `UPDATE guardians SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(values), req.guardian.id]
+        );
+
+        const [updated] = await pool.execute('SELECT * FROM guardians WHERE id = ?', [req.guardian.id]);
+        res.json({ success: true, message: 'Preferences updated', data: toPublicGuardian(updated[0]).preferences });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Day-by-day attendance for one of the parent's children (?from, ?to; defaults to this month)
+app.get('/api/parent/children/:studentId/attendance', authorizeGuardian, async (req, res) => {
+    try {
+        const query = parseReportQuery({ ...req.query, format: 'json' });
+        if (query.error) {
+            return res.status(400).json({ success: false, message: query.error });
+        }
+
+        const student = await getGuardianStudent(req.guardian, req.params.studentId);
+        if (!student) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const { history, summary } = await buildStudentHistory(student, query.from, query.to);
+        res.json({ 
+            success: true, 
+            data: { 
+                student: { id: student.id, name: student.name, class: student.class }, 
+                from: query.from, 
+                to: query.to, 
+                summary, 
+                history 
+            } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Notifications about the parent's children that were addressed to parents, newest first;
+// filter by ?status (pending for the queue), studentId and a from/to date range
+app.get('/api/parent/notifications', authorizeGuardian, async (req, res) => {
+    try {
+        const list = parseListQuery({ ...req.query, guardianId: req.guardian.id, recipient: 'parent' }, {
+            sortable: { created_at: 'n.created_at' },
+            defaultSort: '-created_at',
+            key: 'n.id',
+            filters: {
+                guardianId: listFilters.equals('sg.guardian_id'),
+                recipient: listFilters.equals('n.recipient'),
+                status: listFilters.equals('n.status', NOTIFICATION_STATUSES),
+                studentId: listFilters.equals('n.student_id'),
+                from: listFilters.from('n.created_at', { timestamp: true }),
+                to: listFilters.to('n.created_at', { timestamp: true })
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: 'n.id, n.student_id, n.student_name, n.type, n.message, n.status, n.created_at, n.delivered_at',
+                from: 'notifications n JOIN student_guardians sg ON sg.student_id = n.student_id',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/parent/leave-requests', authorizeGuardian, async (req, res) => {
+    try {
+        const [leaves] = await pool.execute(
+            `SELECT ${LEAVE_COLUMNS} 
+             FROM leave_requests l 
+             JOIN students s ON l.student_id = s.id 
+             JOIN student_guardians sg ON sg.student_id = l.student_id 
+             LEFT JOIN users r ON l.reviewed_by = r.id 
+             WHERE sg.guardian_id = ? 
+             ORDER BY l.start_date DESC`,
+            [req.guardian.id]
+        );
+
+        res.json({ success: true, data: leaves });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Same fields as the staff endpoint; the request waits for a member of staff to review it
+app.post('/api/parent/leave-requests', authorizeGuardian, upload.single('attachment'), async (req, res) => {
+    try {
+        const { studentId, startDate, endDate, reason } = req.body;
+
+        if (!(await getGuardianStudent(req.guardian, studentId))) {
+            return res.status(404).json({ success: false, message: 'Student not found' });
+        }
+
+        const error = await validateLeaveRequest({ studentId, startDate, endDate, reason }, req.file);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const leave = await createLeaveRequest({
+            studentId,
+            startDate,
+            endDate,
+            reason,
+            requestedByType: 'parent',
+            requestedBy: req.guardian.id,
+            requesterName: req.guardian.name
+        }, req.file);
+
+        res.json({ success: true, message: 'Leave request submitted', data: leave });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/parent/leave-requests/:id/cancel', authorizeGuardian, async (req, res) => {
+    try {
+        const [result] = await pool.execute(
+            `UPDATE leave_requests l 
+             JOIN student_guardians sg ON sg.student_id = l.student_id AND sg.guardian_id = ? 
+             SET l.status = 'cancelled' 
+             WHERE l.id = ? AND l.status = 'pending'`,
+            [req.guardian.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ success: false, message: 'No pending leave request found to cancel' });
+        }
+
+        res.json({ success: true, message: 'Leave request cancelled' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Calendar Routes
+const validateDateRange = (startDate, endDate) => {
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        return 'Start date and end date must be valid dates in YYYY-MM-DD format';
+    }
+    if (endDate < startDate) {
+        return 'End date cannot be before start date';
+    }
+    return null;
+};
+
+app.get('/api/calendar/days', authorize(...ROLES), async (req, res) => {
+    try {
+        const from = req.query.from || getCurrentDate();
+        const to = req.query.to || addDays(from, 30);
+
+        const rangeError = validateDateRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        if (to > addDays(from, 366)) {
+            return res.status(400).json({ success: false, message: 'Date range cannot be longer than a year' });
+        }
+
+        res.json({ success: true, data: await schoolCalendar.describeRange(from, to) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.get('/api/calendar/terms', authorize(...ROLES), async (req, res) => {
+    try {
+        const [terms] = await pool.execute(
+            `SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, 
+                    created_at, updated_at 
+             FROM academic_terms 
+             ORDER BY start_date`
+        );
+        res.json({ success: true, data: terms });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+const findOverlappingTerm = async (startDate, endDate, excludeId = '') => {
+    const [overlapping] = await pool.execute(
+        'SELECT name FROM academic_terms WHERE start_date <= ? AND end_date >= ? AND id != ?',
+        [endDate, startDate, excludeId]
+    );
+    return overlapping[0] || null;
+};
+
+app.post('/api/calendar/terms', authorize('admin'), async (req, res) => {
+    try {
+        const { name, startDate, endDate } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const overlapping = await findOverlappingTerm(startDate, endDate);
+        if (overlapping) {
+            return res.status(400).json({ success: false, message: `Term overlaps with ${overlapping.name}` });
+        }
+
+        const termId = generateUUID();
+        await pool.execute(
+            'INSERT INTO academic_terms (id, name, start_date, end_date) VALUES (?, ?, ?, ?)',
+            [termId, name, startDate, endDate]
+        );
+
+        res.json({ success: true, message: 'Term added successfully', data: { id: termId, name, startDate, endDate } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/calendar/terms/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, startDate, endDate } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const overlapping = await findOverlappingTerm(startDate, endDate, id);
+        if (overlapping) {
+            return res.status(400).json({ success: false, message: `Term overlaps with ${overlapping.name}` });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE academic_terms SET name = ?, start_date = ?, end_date = ? WHERE id = ?',
+            [name, startDate, endDate, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Term not found' });
+        }
+
+        res.json({ success: true, message: 'Term updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/calendar/terms/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM academic_terms WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Term not found' });
+        }
+
+        res.json({ success: true, message: 'Term deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+const CLOSURE_TYPES = ['holiday', 'closure'];
+
+app.get('/api/calendar/closures', authorize(...ROLES), async (req, res) => {
+    try {
+        const from = req.query.from || '1000-01-01';
+        const to = req.query.to || '9999-12-31';
+
+        const [closures] = await pool.execute(
+            `SELECT id, name, type, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, 
+                    created_at, updated_at 
+             FROM calendar_closures 
+             WHERE start_date <= ? AND end_date >= ? 
+             ORDER BY start_date`,
+            [to, from]
+        );
+        res.json({ success: true, data: closures });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/calendar/closures', authorize('admin'), async (req, res) => {
+    try {
+        const { name, type = 'holiday', startDate, endDate = startDate } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        if (!CLOSURE_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Type must be one of: ${CLOSURE_TYPES.join(', ')}` });
+        }
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const closureId = generateUUID();
+        await pool.execute(
+            'INSERT INTO calendar_closures (id, name, type, start_date, end_date) VALUES (?, ?, ?, ?, ?)',
+            [closureId, name, type, startDate, endDate]
+        );
+
+        res.json({ 
+            success: true, 
+            message: 'Closure added successfully', 
+            data: { id: closureId, name, type, startDate, endDate } 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/calendar/closures/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, type = 'holiday', startDate, endDate = startDate } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        if (!CLOSURE_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Type must be one of: ${CLOSURE_TYPES.join(', ')}` });
+        }
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE calendar_closures SET name = ?, type = ?, start_date = ?, end_date = ? WHERE id = ?',
+            [name, type, startDate, endDate, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+        }
+
+        res.json({ success: true, message: 'Closure updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/calendar/closures/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM calendar_closures WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Closure not found' });
+        }
+
+        res.json({ success: true, message: 'Closure deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Device Routes
+const getDevicesWithStatus = async (where = '', params = []) => {
+    const settings = await getSettings();
+    const [devices] = await pool.execute(
+        `SELECT d.*, k.key_prefix, 
+                (d.last_heartbeat_at IS NOT NULL AND d.last_heartbeat_at > DATE_SUB(NOW(), INTERVAL ? SECOND)) AS online 
+         FROM devices d 
+         LEFT JOIN api_keys k ON d.api_key_id = k.id 
+         ${where} 
+         ORDER BY d.name`,
+        [settings.device_offline_after, ...params]
+    );
+    return devices.map(device => ({ ...device, online: !!device.online }));
+};
+
+app.get('/api/devices', authorize(...ROLES), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !['online', 'offline'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be online or offline' });
+        }
+
+        const devices = await getDevicesWithStatus('WHERE d.active = TRUE');
+        res.json({ 
+            success: true, 
+            data: status ? devices.filter(device => device.online === (status === 'online')) : devices 
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Registers a reader and issues its card_reader API key (shown only in this response)
+app.post('/api/devices', authorize('admin'), async (req, res) => {
+    try {
+        const { name, location } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const key = `ak_${crypto.randomBytes(24).toString('hex')}`;
+        const keyId = generateUUID();
+        const deviceId = generateUUID();
+
+        await pool.execute(
+            `INSERT INTO api_keys (id, name, key_prefix, key_hash, scope, created_by) 
+             VALUES (?, ?, ?, ?, 'card_reader', ?)`,
+            [keyId, `Device: ${name}`, key.slice(0, 10), hashApiKey(key), req.user.id]
+        );
+        await pool.execute(
+            'INSERT INTO devices (id, name, location, api_key_id) VALUES (?, ?, ?, ?)',
+            [deviceId, name, location || null, keyId]
+        );
+
+        res.json({ 
+            success: true, 
+            message: 'Device registered. Store the API key now, it will not be shown again.',
+            data: { id: deviceId, name, location: location || null, apiKey: key }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/devices/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { name, location } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Name is required' });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE devices SET name = ?, location = ? WHERE id = ? AND active = TRUE',
+            [name, location || null, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Device not found' });
+        }
+
+        res.json({ success: true, message: 'Device updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Retires a reader and revokes its API key; its scan history is kept
+app.delete('/api/devices/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [devices] = await pool.execute('SELECT * FROM devices WHERE id = ? AND active = TRUE', [req.params.id]);
+
+        if (devices.length === 0) {
+            return res.status(404).json({ success: false, message: 'Device not found' });
+        }
+
+        await pool.execute('UPDATE devices SET active = FALSE WHERE id = ?', [req.params.id]);
+        if (devices[0].api_key_id) {
+            await pool.execute('UPDATE api_keys SET active = FALSE WHERE id = ?', [devices[0].api_key_id]);
+        }
+
+        res.json({ success: true, message: 'Device removed successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.post('/api/devices/heartbeat', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        if (!req.apiKey) {
+            return res.status(400).json({ success: false, message: 'Heartbeats must be sent with a device API key' });
+        }
+
+        const [result] = await pool.execute(
+            `UPDATE devices 
+             SET last_heartbeat_at = NOW(), last_ip = ?, firmware_version = COALESCE(?, firmware_version) 
+             WHERE api_key_id = ? AND active = TRUE`,
+            [req.ip, req.body.firmwareVersion || null, req.apiKey.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No device is registered for this API key' });
+        }
+
+        res.json({ success: true, message: 'Heartbeat recorded', serverTime: new Date() });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Scan Security Routes
+// Every scan attempt, newest first; filter by ?deviceId, studentId, staffId, outcome, type and a
+// from/to date range, ?search= matches the student's or staff member's name or the card or QR code read.
+// PIN values are never returned.
+app.get('/api/scan-events', authorize('admin'), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { id: 'e.id', scanned_at: 'e.scanned_at' },
+            defaultSort: '-id',
+            key: 'e.id',
+            search: ['s.name', 'st.name', 'e.credential_value'],
+            filters: {
+                deviceId: listFilters.equals('e.device_id'),
+                studentId: listFilters.equals('e.student_id'),
+                staffId: listFilters.equals('e.staff_id'),
+                outcome: listFilters.equals('e.outcome', SCAN_OUTCOMES),
+                type: listFilters.equals('e.credential_type', CREDENTIAL_TYPES),
+                from: listFilters.from('e.scanned_at', { timestamp: true }),
+                to: listFilters.to('e.scanned_at', { timestamp: true })
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: `e.id, e.device_id, d.name AS device_name, e.recorded_by, e.scan_id, e.credential_type, 
+                         IF(e.credential_type = 'pin', NULL, e.credential_value) AS credential_value, 
+                         e.credential_id, e.student_id, s.name AS student_name, e.staff_id, st.name AS staff_name, 
+                         e.outcome, e.http_status, e.message, e.scanned_at, e.received_at`,
+                from: `scan_events e 
+                       LEFT JOIN devices d ON e.device_id = d.id 
+                       LEFT JOIN students s ON e.student_id = s.id 
+                       LEFT JOIN staff st ON e.staff_id = st.id`,
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Most recently seen first; filter by ?status, type, deviceId, studentId and a from/to date range
+app.get('/api/scan-alerts', authorize(...ROLES), async (req, res) => {
+    try {
+        const list = parseListQuery(req.query, {
+            sortable: { last_seen_at: 'a.last_seen_at', first_seen_at: 'a.first_seen_at', occurrences: 'a.occurrences', type: 'a.type' },
+            defaultSort: '-last_seen_at',
+            key: 'a.id',
+            search: ['a.message'],
+            filters: {
+                status: listFilters.equals('a.status', SCAN_ALERT_STATUSES),
+                type: listFilters.equals('a.type', SCAN_ALERT_TYPES),
+                deviceId: listFilters.equals('a.device_id'),
+                studentId: listFilters.equals('a.student_id'),
+                from: listFilters.from('a.last_seen_at', { timestamp: true }),
+                to: listFilters.to('a.last_seen_at', { timestamp: true })
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: 'a.*, d.name AS device_name, s.name AS student_name, s.class',
+                from: 'scan_alerts a LEFT JOIN devices d ON a.device_id = d.id LEFT JOIN students s ON a.student_id = s.id',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Takes the alert off the dashboard; the same pattern seen again raises a new one
+app.post('/api/scan-alerts/:id/acknowledge', authorize(...STAFF_ROLES), async (req, res) => {
+    try {
+        const { note } = req.body || {};
+
+        if (note !== undefined && (typeof note !== 'string' || note.length > 255)) {
+            return res.status(400).json({ success: false, message: 'note must be text of at most 255 characters' });
+        }
+
+        const [alerts] = await pool.execute('SELECT * FROM scan_alerts WHERE id = ?', [req.params.id]);
+        if (alerts.length === 0) {
+            return res.status(404).json({ success: false, message: 'Scan alert not found' });
+        }
+        if (alerts[0].status === 'acknowledged') {
+            return res.status(400).json({ success: false, message: 'Scan alert has already been acknowledged' });
+        }
+
+        await pool.execute(
+            `UPDATE scan_alerts 
+             SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW(), acknowledge_note = ? 
+             WHERE id = ?`,
+            [req.user.id, note || null, req.params.id]
+        );
+        await liveEvents.publish('scan.alert_acknowledged', { id: req.params.id, acknowledgedBy: req.user.username });
+
+        res.json({ success: true, message: 'Scan alert acknowledged' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Webhook Routes
+const WEBHOOK_COLUMNS = 'id, url, description, events, active, created_by, created_at, updated_at';
+
+// Checks a webhook's url, events and description. Returns { fields } or { error }.
+const readWebhookFields = (body) => {
+    const { url, events, description } = body || {};
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        // Reported below
+    }
+    if (typeof url !== 'string' || url.length > 2048 || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: 'url must be an http or https URL' };
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+        return { error: `events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+        return { error: 'description must be text of at most 255 characters' };
+    }
+
+    return { fields: { url, events: [...new Set(events)], description: description || null } };
+};
+
+app.get('/api/webhooks', authorize('admin'), async (req, res) => {
+    try {
+        const [hooks] = await pool.execute(
+            `SELECT ${WEBHOOK_COLUMNS}, 
+                    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = webhooks.id AND d.status = 'pending') AS pending_deliveries, 
+                    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = webhooks.id AND d.status = 'failed') AS failed_deliveries 
+             FROM webhooks 
+             ORDER BY created_at`
+        );
+        res.json({ success: true, data: hooks, events: WEBHOOK_EVENTS });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// The signing secret is only shown in this response and when it is rotated
+app.post('/api/webhooks', authorize('admin'), async (req, res) => {
+    try {
+        const { fields, error } = readWebhookFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const webhookId = generateUUID();
+        const secret = generateWebhookSecret();
+        await pool.execute(
+            'INSERT INTO webhooks (id, url, description, events, secret, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [webhookId, fields.url, fields.description, JSON.stringify(fields.events), secret, req.user.id]
+        );
+
+        res.json({ 
+            success: true, 
+            message: 'Webhook registered. Store the secret now, it will not be shown again.',
+            data: { id: webhookId, ...fields, active: true, secret }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/webhooks/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { fields, error } = readWebhookFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { active } = req.body;
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'active must be true or false' });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE webhooks SET url = ?, description = ?, events = ?, active = COALESCE(?, active) WHERE id = ?',
+            [fields.url, fields.description, JSON.stringify(fields.events), active === undefined ? null : active, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        res.json({ success: true, message: 'Webhook updated successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Also removes the webhook's delivery log
+app.delete('/api/webhooks/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [result] = await pool.execute('DELETE FROM webhooks WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        res.json({ success: true, message: 'Webhook removed successfully' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Deliveries still waiting to be sent are signed with the new secret
+app.post('/api/webhooks/:id/rotate-secret', authorize('admin'), async (req, res) => {
+    try {
+        const secret = generateWebhookSecret();
+        const [result] = await pool.execute('UPDATE webhooks SET secret = ? WHERE id = ?', [secret, req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        res.json({ 
+            success: true, 
+            message: 'Secret rotated. Store the new secret now, it will not be shown again.',
+            data: { id: req.params.id, secret }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Sends a webhook.test event to this webhook only, whatever it is subscribed to.
+// Only the test delivery is attempted before responding.
+app.post('/api/webhooks/:id/test', authorize('admin'), async (req, res) => {
+    try {
+        const [hooks] = await pool.execute('SELECT id FROM webhooks WHERE id = ?', [req.params.id]);
+        if (hooks.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const [deliveryId] = await webhooks.enqueue({ 
+            type: 'webhook.test', 
+            payload: { message: 'Test event', sentBy: req.user.username } 
+        }, req.params.id);
+        if (deliveryId) {
+            await webhookWorker.send(deliveryId);
+        }
+
+        const [deliveries] = await pool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId || '']);
+        res.json({ success: true, message: 'Test event queued', data: deliveries[0] || null });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Delivery log, newest first; filter by ?status, event and a from/to date range
+app.get('/api/webhooks/:id/deliveries', authorize('admin'), async (req, res) => {
+    try {
+        const list = parseListQuery({ ...req.query, webhookId: req.params.id }, {
+            sortable: { created_at: 'created_at', attempts: 'attempts' },
+            defaultSort: '-created_at',
+            key: 'id',
+            filters: {
+                webhookId: listFilters.equals('webhook_id'),
+                status: listFilters.equals('status', ['pending', 'delivered', 'failed']),
+                event: listFilters.equals('event_type'),
+                from: listFilters.from('created_at', { timestamp: true }),
+                to: listFilters.to('created_at', { timestamp: true })
+            }
+        });
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
+
+        res.json({ 
+            success: true, 
+            ...(await fetchListPage({
+                select: `id, webhook_id, event_id, event_type, status, attempts, last_status_code, last_error, 
+                         next_attempt_at, delivered_at, redelivery_of, created_at`,
+                from: 'webhook_deliveries',
+                list
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// One delivery with the payload sent and every attempt
+app.get('/api/webhooks/deliveries/:id', authorize('admin'), async (req, res) => {
+    try {
+        const [deliveries] = await pool.execute(
+            `SELECT id, webhook_id, event_id, event_type, payload, status, attempts, last_status_code, last_error, 
+                    next_attempt_at, delivered_at, redelivery_of, created_at 
+             FROM webhook_deliveries 
+             WHERE id = ?`,
+            [req.params.id]
+        );
+        if (deliveries.length === 0) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const [attempts] = await pool.execute(
+            'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt_number',
+            [req.params.id]
+        );
+        res.json({ success: true, data: { ...deliveries[0], payload: JSON.parse(deliveries[0].payload), attempts } });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Sends the same payload again as a new delivery, whatever became of the original
+app.post('/api/webhooks/deliveries/:id/redeliver', authorize('admin'), async (req, res) => {
+    try {
+        const [deliveries] = await pool.execute('SELECT * FROM webhook_deliveries WHERE id = ?', [req.params.id]);
+        if (deliveries.length === 0) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const original = deliveries[0];
+        if (original.status === 'pending') {
+            return res.status(400).json({ success: false, message: 'Delivery is still being attempted' });
+        }
+
+        const deliveryId = generateUUID();
+        await pool.execute(
+            `INSERT INTO webhook_deliveries (id, webhook_id, event_id, event_type, payload, next_attempt_at, redelivery_of) 
+             VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+            [deliveryId, original.webhook_id, original.event_id, original.event_type, original.payload, original.id]
+        );
+        await webhookWorker.send(deliveryId);
+
+        const [updated] = await pool.execute(
+            'SELECT id, status, attempts, last_status_code, last_error, delivered_at FROM webhook_deliveries WHERE id = ?',
+            [deliveryId]
+        );
+        res.json({ success: true, message: 'Redelivery queued', data: updated[0] });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
     }
+});
+
+// Alert Rules Routes
+const getAlertRulesWithOverrides = async (ruleId = null) => {
+    const [rules] = await pool.execute(
+        `SELECT * FROM alert_rules ${ruleId ? 'WHERE id = ?' : ''} ORDER BY created_at`,
+        ruleId ? [ruleId] : []
+    );
+    const [overrides] = await pool.execute('SELECT * FROM alert_rule_overrides ORDER BY class');
+
+    return rules.map(rule => ({
+        ...rule,
+        overrides: overrides.filter(override => override.rule_id === rule.id)
+    }));
 };
 
-// ==================== ROUTES ====================
+// Validates a full rule body; missing fields fall back to the existing rule when updating
+const validateAlertRule = (body, existing = {}) => {
+    const name = body.name ?? existing.name;
+    const type = body.type ?? existing.type;
+    const cooldownDays = body.cooldownDays ?? existing.cooldown_days ?? 7;
+    const escalation = body.escalation ?? existing.escalation ?? ['parent'];
 
-// Students Routes
-app.get('/api/students', async (req, res) => {
+    if (!name) {
+        return { error: 'Name is required' };
+    }
+
+    if (!ALERT_RULE_TYPES[type]) {
+        return { error: `Type must be one of: ${Object.keys(ALERT_RULE_TYPES).join(', ')}` };
+    }
+
+    // Params belong to the rule type, so changing type starts from that type's defaults
+    const params = validateAlertParams(type, body.params ?? (type === existing.type ? existing.params : {}));
+    if (params.error) {
+        return params;
+    }
+
+    if (!Number.isInteger(cooldownDays) || cooldownDays < 0 || cooldownDays > 365) {
+        return { error: 'cooldownDays must be a whole number between 0 and 365' };
+    }
+
+    const escalationError = validateEscalation(escalation);
+    if (escalationError) {
+        return { error: escalationError };
+    }
+
+    if (body.enabled !== undefined && body.enabled !== null && typeof body.enabled !== 'boolean') {
+        return { error: 'enabled must be true or false' };
+    }
+
+    return {
+        value: {
+            name,
+            type,
+            params: params.value,
+            cooldownDays,
+            escalation,
+            enabled: body.enabled ?? (existing.enabled !== undefined ? !!existing.enabled : true)
+        }
+    };
+};
+
+app.get('/api/alert-rules', authorize(...ROLES), async (req, res) => {
     try {
-        const [students] = await pool.execute('SELECT * FROM students ORDER BY name');
-        res.json({ success: true, data: students });
+        res.json({ success: true, data: await getAlertRulesWithOverrides() });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.post('/api/students', async (req, res) => {
+app.get('/api/alert-rules/:id', authorize(...ROLES), async (req, res) => {
     try {
-        const { name, cardId, parentPhone, parentEmail, class: studentClass } = req.body;
-        
-        if (!name || !cardId || !studentClass) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Name, card ID, and class are required' 
-            });
+        const [rule] = await getAlertRulesWithOverrides(req.params.id);
+
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
         }
 
-        // Check if card ID exists
-        const [existing] = await pool.execute(
-            'SELECT id FROM students WHERE card_id = ?',
-            [cardId]
-        );
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-        if (existing.length > 0) {
-            return res.status(400).json({ 
-                success: false, 
-                message: `Card ID ${cardId} is already assigned to another student` 
-            });
+app.post('/api/alert-rules', authorize('admin'), async (req, res) => {
+    try {
+        const result = validateAlertRule(req.body);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
         }
 
-        const studentId = generateUUID();
+        const rule = result.value;
+        const ruleId = generateUUID();
         await pool.execute(
-            `INSERT INTO students (id, name, card_id, parent_phone, parent_email, class) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [studentId, name, cardId, parentPhone, parentEmail, studentClass]
+            `INSERT INTO alert_rules (id, name, type, params, cooldown_days, escalation, enabled) 
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [ruleId, rule.name, rule.type, JSON.stringify(rule.params), rule.cooldownDays,
+             JSON.stringify(rule.escalation), !!rule.enabled]
         );
 
-        // Start timer for new student
-        const [newStudent] = await pool.execute('SELECT * FROM students WHERE id = ?', [studentId]);
-        timerManager.startAbsenceTimer(newStudent[0]);
-
-        res.json({ 
-            success: true, 
-            message: 'Student added successfully',
-            data: { id: studentId, ...req.body }
-        });
+        res.json({ success: true, message: 'Alert rule created successfully', data: { id: ruleId, ...rule } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.put('/api/students/:id', async (req, res) => {
+app.put('/api/alert-rules/:id', authorize('admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, cardId, parentPhone, parentEmail, class: studentClass } = req.body;
 
-        const [existingStudent] = await pool.execute(
-            'SELECT * FROM students WHERE id = ?',
-            [id]
-        );
-
-        if (existingStudent.length === 0) {
-            return res.status(404).json({ success: false, message: 'Student not found' });
+        const [rules] = await pool.execute('SELECT * FROM alert_rules WHERE id = ?', [id]);
+        if (rules.length === 0) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
         }
 
-        // Check if new card ID conflicts with other students
-        if (cardId && cardId !== existingStudent[0].card_id) {
-            const [conflict] = await pool.execute(
-                'SELECT id FROM students WHERE card_id = ? AND id != ?',
-                [cardId, id]
-            );
-
-            if (conflict.length > 0) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: `Card ID ${cardId} is already assigned to another student` 
-                });
-            }
+        const result = validateAlertRule(req.body, rules[0]);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
         }
 
+        const rule = result.value;
         await pool.execute(
-            `UPDATE students 
-             SET name = ?, card_id = ?, parent_phone = ?, parent_email = ?, class = ? 
+            `UPDATE alert_rules 
+             SET name = ?, type = ?, params = ?, cooldown_days = ?, escalation = ?, enabled = ? 
              WHERE id = ?`,
-            [name, cardId, parentPhone, parentEmail, studentClass, id]
+            [rule.name, rule.type, JSON.stringify(rule.params), rule.cooldownDays,
+             JSON.stringify(rule.escalation), !!rule.enabled, id]
         );
 
-        res.json({ success: true, message: 'Student updated successfully' });
+        // Overrides hold params for the old type, so they go when the type changes
+        if (rule.type !== rules[0].type) {
+            await pool.execute('UPDATE alert_rule_overrides SET params = NULL WHERE rule_id = ?', [id]);
+        }
+
+        res.json({ success: true, message: 'Alert rule updated successfully', data: { id, ...rule } });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.delete('/api/students/:id', async (req, res) => {
+app.delete('/api/alert-rules/:id', authorize('admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        const [result] = await pool.execute(
-            'DELETE FROM students WHERE id = ?',
-            [id]
-        );
+        const [result] = await pool.execute('DELETE FROM alert_rules WHERE id = ?', [req.params.id]);
 
         if (result.affectedRows === 0) {
-            return res.status(404).json({ success: false, message: 'Student not found' });
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
         }
 
-        // Clear timer for deleted student
-        timerManager.clearStudentTimer(id);
-
-        res.json({ success: true, message: 'Student deleted successfully' });
+        res.json({ success: true, message: 'Alert rule deleted successfully' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Attendance Routes
-app.post('/api/attendance/record', async (req, res) => {
+app.put('/api/alert-rules/:id/overrides/:class', authorize('admin'), async (req, res) => {
     try {
-        const { cardId } = req.body;
+        const { id, class: className } = req.params;
+        const { params, cooldownDays, enabled } = req.body;
 
-        if (!cardId) {
-            return res.status(400).json({ success: false, message: 'Card ID is required' });
+        const [rules] = await pool.execute('SELECT * FROM alert_rules WHERE id = ?', [id]);
+        if (rules.length === 0) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
         }
 
-        // Find student by card ID
-        const [students] = await pool.execute(
-            'SELECT * FROM students WHERE card_id = ?',
-            [cardId]
-        );
-
-        if (students.length === 0) {
-            return res.status(404).json({ success: false, message: 'Student not found with this card ID' });
+        const validatedParams = params !== undefined ? validateAlertParams(rules[0].type, params, true) : { value: null };
+        if (validatedParams.error) {
+            return res.status(400).json({ success: false, message: validatedParams.error });
         }
 
-        const student = students[0];
-        const today = getCurrentDate();
-
-        // Check if already attended today
-        const [existing] = await pool.execute(
-            'SELECT id FROM attendance WHERE student_id = ? AND date = ?',
-            [student.id, today]
-        );
+        if (cooldownDays !== undefined && cooldownDays !== null &&
+            (!Number.isInteger(cooldownDays) || cooldownDays < 0 || cooldownDays > 365)) {
+            return res.status(400).json({ success: false, message: 'cooldownDays must be a whole number between 0 and 365' });
+        }
 
-        if (existing.length > 0) {
-            return res.json({ 
-                success: false, 
-                message: `Attendance already recorded today for ${student.name}` 
-            });
+        if (enabled !== undefined && enabled !== null && typeof enabled !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'enabled must be true or false' });
         }
 
-        // Record attendance
-        const attendanceId = generateUUID();
         await pool.execute(
-            `INSERT INTO attendance (id, student_id, student_name, card_id, date, timestamp, status, auto_marked) 
-             VALUES (?, ?, ?, ?, ?, ?, 'present', FALSE)`,
-            [attendanceId, student.id, student.name, student.card_id, today, getCurrentTime()]
+            `INSERT INTO alert_rule_overrides (id, rule_id, class, params, cooldown_days, enabled) 
+             VALUES (?, ?, ?, ?, ?, ?) 
+             ON DUPLICATE KEY UPDATE params = VALUES(params), cooldown_days = VALUES(cooldown_days), enabled = VALUES(enabled)`,
+            [generateUUID(), id, className, validatedParams.value ? JSON.stringify(validatedParams.value) : null,
+             cooldownDays ?? null, enabled ?? null]
         );
 
-        // Clear student timer
-        timerManager.clearStudentTimer(student.id);
-
-        // Check consecutive absences
-        const consecutiveAbsences = await timerManager.checkConsecutiveAbsences(student.id);
-
-        res.json({ 
-            success: true, 
-            message: `Attendance recorded for ${student.name}`,
-            student: student
-        });
+        res.json({ success: true, message: `Override for ${className} saved successfully` });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.get('/api/attendance/today', async (req, res) => {
+app.delete('/api/alert-rules/:id/overrides/:class', authorize('admin'), async (req, res) => {
     try {
-        const today = getCurrentDate();
-        const [attendance] = await pool.execute(
-            `SELECT a.*, s.class 
-             FROM attendance a 
-             JOIN students s ON a.student_id = s.id 
-             WHERE a.date = ? 
-             ORDER BY a.timestamp DESC`,
-            [today]
+        const [result] = await pool.execute(
+            'DELETE FROM alert_rule_overrides WHERE rule_id = ? AND class = ?',
+            [req.params.id, req.params.class]
         );
-        res.json({ success: true, data: attendance });
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Override not found' });
+        }
+
+        res.json({ success: true, message: 'Override deleted successfully' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.get('/api/attendance/recent', async (req, res) => {
+// Students currently meeting an alert rule's condition
+app.get('/api/alerts/active', authorize(...ROLES), async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 15;
-        const [attendance] = await pool.execute(
-            `SELECT a.*, s.class 
-             FROM attendance a 
-             JOIN students s ON a.student_id = s.id 
-             ORDER BY a.date DESC, a.timestamp DESC 
-             LIMIT ?`,
-            [limit]
+        const [alerts] = await pool.execute(
+            `SELECT st.*, r.name AS rule_name, r.type AS rule_type, s.name AS student_name, s.class 
+             FROM alert_states st 
+             JOIN alert_rules r ON st.rule_id = r.id 
+             JOIN students s ON st.student_id = s.id 
+             WHERE st.active = TRUE 
+             ORDER BY st.last_alerted_at DESC`
         );
-        res.json({ success: true, data: attendance });
+        res.json({ success: true, data: alerts });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Dashboard Routes
-app.get('/api/dashboard/stats', async (req, res) => {
+// Audit Log Routes
+const AUDIT_ENTITY_TYPES = ['attendance', 'student', 'setting', 'notification', 'credential', 'staff', 'staff_attendance'];
+
+// Newest first; filter by ?entityType, entityId, actorId, action and a from/to date range
+app.get('/api/audit', authorize('admin'), async (req, res) => {
     try {
-        const today = getCurrentDate();
-        
-        const [totalStudents] = await pool.execute('SELECT COUNT(*) as count FROM students');
-        const [todayAttendance] = await pool.execute(
-            'SELECT status, COUNT(*) as count FROM attendance WHERE date = ? GROUP BY status',
-            [today]
-        );
-        
-        const [pendingNotifications] = await pool.execute(
-            'SELECT COUNT(*) as count FROM notifications WHERE status = "pending"'
-        );
-        
-        const activeTimers = timerManager.getActiveTimersCount();
-        
-        const stats = {
-            totalStudents: totalStudents[0].count,
-            presentToday: 0,
-            absentToday: 0,
-            pendingNotifications: pendingNotifications[0].count,
-            pendingAbsenceTimers: activeTimers
-        };
-        
-        todayAttendance.forEach(record => {
-            if (record.status === 'present') {
-                stats.presentToday = record.count;
-            } else if (record.status === 'absent') {
-                stats.absentToday = record.count;
+        const list = parseListQuery(req.query, {
+            sortable: { id: 'id' },
+            defaultSort: '-id',
+            key: 'id',
+            filters: {
+                entityType: listFilters.equals('entity_type', AUDIT_ENTITY_TYPES),
+                entityId: listFilters.equals('entity_id'),
+                actorId: listFilters.equals('actor_id'),
+                action: listFilters.equals('action'),
+                from: listFilters.from('created_at', { timestamp: true }),
+                to: listFilters.to('created_at', { timestamp: true })
             }
         });
-        
-        res.json({ success: true, data: stats });
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
+        if (list.error) {
+            return res.status(400).json({ success: false, message: list.error });
+        }
 
-// Notifications Routes
-app.get('/api/notifications', async (req, res) => {
-    try {
-        const [notifications] = await pool.execute(
-            `SELECT n.*, s.parent_phone, s.parent_email, s.class 
-             FROM notifications n 
-             JOIN students s ON n.student_id = s.id 
-             ORDER BY n.created_at DESC`
-        );
-        res.json({ success: true, data: notifications });
+        res.json({ success: true, ...(await fetchListPage({ select: '*', from: 'audit_log', list })) });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.post('/api/notifications/:id/send', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        const [result] = await pool.execute(
-            'UPDATE notifications SET status = "sent", sent_date = NOW() WHERE id = ?',
-            [id]
-        );
-
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ success: false, message: 'Notification not found' });
-        }
-
-        // Here you would integrate with actual SMS/Email service
-        // For now, we'll just log it
-        console.log('📧 Notification sent:', id);
+// Settings Routes
+const formatSettings = async () => {
+    const [rows] = await pool.execute('SELECT setting_key, updated_at FROM system_settings');
+    const settings = await getSettings();
 
-        res.json({ success: true, message: 'Notification sent successfully' });
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
+    return Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => ({
+        key,
+        value: settings[key],
+        type: definition.type,
+        ...(definition.values && { values: definition.values }),
+        ...(definition.min !== undefined && { min: definition.min, max: definition.max }),
+        readOnly: !!definition.readOnly,
+        description: definition.description,
+        updatedAt: rows.find(r => r.setting_key === key)?.updated_at || null
+    }));
+};
 
-// Reports Routes
-app.get('/api/reports', async (req, res) => {
+app.get('/api/settings', authorize(...ROLES), async (req, res) => {
     try {
-        const [reports] = await pool.execute(
-            'SELECT * FROM daily_reports ORDER BY date DESC'
-        );
-        res.json({ success: true, data: reports });
+        res.json({ success: true, data: await formatSettings() });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-app.post('/api/reports/generate', async (req, res) => {
+app.put('/api/settings', authorize('admin'), async (req, res) => {
     try {
-        const today = getCurrentDate();
-        
-        // Check if report already exists for today
-        const [existing] = await pool.execute(
-            'SELECT id FROM daily_reports WHERE date = ?',
-            [today]
-        );
+        const updates = req.body || {};
+        const keys = Object.keys(updates);
 
-        if (existing.length > 0) {
-            return res.json({ success: false, message: 'Report already exists for today' });
+        if (keys.length === 0) {
+            return res.status(400).json({ success: false, message: 'No settings provided' });
         }
 
-        // Get attendance data
-        const [attendanceData] = await pool.execute(
-            'SELECT status, COUNT(*) as count FROM attendance WHERE date = ? GROUP BY status',
-            [today]
-        );
-        
-        const [totalStudents] = await pool.execute('SELECT COUNT(*) as count FROM students');
-        const [lastReport] = await pool.execute(
-            'SELECT day_number FROM daily_reports ORDER BY day_number DESC LIMIT 1'
-        );
-        
-        const presentCount = attendanceData.find(r => r.status === 'present')?.count || 0;
-        const absentCount = attendanceData.find(r => r.status === 'absent')?.count || 0;
-        const attendanceRate = totalStudents[0].count > 0 ? 
-            Math.round((presentCount / totalStudents[0].count) * 100) : 0;
-        const dayNumber = lastReport.length > 0 ? lastReport[0].day_number + 1 : 1;
-
-        const reportId = generateUUID();
-        await pool.execute(
-            `INSERT INTO daily_reports (id, date, day_number, total_students, present_count, absent_count, attendance_rate) 
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [reportId, today, dayNumber, totalStudents[0].count, presentCount, absentCount, attendanceRate]
-        );
+        const errors = [];
+        const values = {};
+        for (const key of keys) {
+            const result = validateSettingValue(key, updates[key]);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                values[key] = result.value;
+            }
+        }
 
-        res.json({ success: true, message: 'Report generated successfully' });
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-    }
-});
+        // Cross-field checks run against the settings as they will be after the update
+        const current = await getSettings();
+        const merged = { ...current, ...values };
+        if (merged.absence_cutoff_time <= merged.checkin_open_time) {
+            errors.push('absence_cutoff_time must be later than checkin_open_time');
+        }
+        if (merged.late_time < merged.checkin_open_time || merged.late_time > merged.absence_cutoff_time) {
+            errors.push('late_time must be between checkin_open_time and absence_cutoff_time');
+        }
+        if (merged.staff_absence_cutoff_time <= merged.checkin_open_time) {
+            errors.push('staff_absence_cutoff_time must be later than checkin_open_time');
+        }
+        if (merged.staff_late_time < merged.checkin_open_time || merged.staff_late_time > merged.staff_absence_cutoff_time) {
+            errors.push('staff_late_time must be between checkin_open_time and staff_absence_cutoff_time');
+        }
+        if (merged.school_end_time <= merged.absence_cutoff_time) {
+            errors.push('school_end_time must be later than absence_cutoff_time');
+        }
+        if (merged.attendance_time >= merged.day_duration) {
+            errors.push('attendance_time must be shorter than day_duration');
+        }
+        if (merged.late_after_seconds > merged.attendance_time) {
+            errors.push('late_after_seconds cannot be longer than attendance_time');
+        }
 
-// System Routes
-app.post('/api/system/new-day', async (req, res) => {
-    try {
-        // Generate report for current day first
-        const today = getCurrentDate();
-        const [attendanceData] = await pool.execute(
-            'SELECT COUNT(*) as count FROM attendance WHERE date = ?',
-            [today]
-        );
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: errors.join('; '), errors });
+        }
 
-        if (attendanceData[0].count > 0) {
-            // Auto-generate report if there's attendance data
+        const actor = getAuditActor(req);
+        for (const [key, value] of Object.entries(values)) {
+            const stored = SETTINGS_SCHEMA[key].type === 'contacts' ? JSON.stringify(value) : String(value);
             await pool.execute(
-                `INSERT IGNORE INTO daily_reports (id, date, day_number, total_students, present_count, absent_count, attendance_rate) 
-                 SELECT UUID(), ?, COALESCE(MAX(day_number), 0) + 1, 
-                        (SELECT COUNT(*) FROM students),
-                        (SELECT COUNT(*) FROM attendance WHERE date = ? AND status = 'present'),
-                        (SELECT COUNT(*) FROM attendance WHERE date = ? AND status = 'absent'),
-                        ROUND((SELECT COUNT(*) FROM attendance WHERE date = ? AND status = 'present') / 
-                              (SELECT COUNT(*) FROM students) * 100)
-                 FROM daily_reports`,
-                [today, today, today, today]
+                `INSERT INTO system_settings (setting_key, setting_value, description) 
+                 VALUES (?, ?, ?) 
+                 ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+                [key, stored, SETTINGS_SCHEMA[key].description]
             );
+
+            if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+                await auditLog.record({ 
+                    actor, 
+                    entityType: 'setting', 
+                    entityId: key, 
+                    action: 'update', 
+                    before: { value: current[key] ?? null }, 
+                    after: { value } 
+                });
+            }
         }
 
-        // Start new day
-        await timerManager.startNewDay();
+        // Schedule changes apply to the running day straight away
+        if (keys.some(key => SCHEDULE_SETTINGS.includes(key))) {
+            await timerManager.reschedule();
+        }
 
-        res.json({ success: true, message: 'New day started successfully' });
+        res.json({ success: true, message: 'Settings updated successfully', data: await formatSettings() });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Manual Absence Route
-app.post('/api/attendance/manual-absent/:studentId', async (req, res) => {
+// Excused Absence Route
+app.post('/api/attendance/excused/:studentId', authorize(...STAFF_ROLES), async (req, res) => {
     try {
         const { studentId } = req.params;
+        const { reason } = req.body || {};
+
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required to excuse an absence' });
+        }
 
         const [students] = await pool.execute(
             'SELECT * FROM students WHERE id = ?',
@@ -683,49 +8613,141 @@ app.post('/api/attendance/manual-absent/:studentId', async (req, res) => {
         }
 
         const student = students[0];
+        if (student.status !== 'active') {
+            return res.status(400).json({ success: false, message: `${student.name} is ${student.status}` });
+        }
         const today = getCurrentDate();
 
-        const [existing] = await pool.execute(
-            'SELECT id FROM attendance WHERE student_id = ? AND date = ?',
+        let [existing] = await pool.execute(
+            'SELECT * FROM attendance WHERE student_id = ? AND date = ?',
             [student.id, today]
         );
 
-        if (existing.length > 0) {
-            return res.json({ 
-                success: false, 
-                message: `Attendance already recorded for ${student.name} today` 
+        if (existing.length === 0) {
+            const attendanceId = generateUUID();
+            const inserted = await insertAttendanceRecord({
+                id: attendanceId,
+                student_id: student.id,
+                student_name: student.name,
+                class_id: student.class_id,
+                class: student.class,
+                card_id: student.card_id,
+                date: today,
+                timestamp: getCurrentTime(),
+                status: 'excused',
+                auto_marked: false,
+                reason
             });
+
+            if (inserted) {
+                await auditLog.recordChange({ 
+                    actor: getAuditActor(req), 
+                    entityType: 'attendance', 
+                    entityId: attendanceId, 
+                    action: 'excuse', 
+                    reason 
+                });
+            } else {
+                [existing] = await pool.execute(
+                    'SELECT * FROM attendance WHERE student_id = ? AND date = ?',
+                    [student.id, today]
+                );
+            }
         }
 
-        const attendanceId = generateUUID();
-        await pool.execute(
-            `INSERT INTO attendance (id, student_id, student_name, card_id, date, timestamp, status, auto_marked) 
-             VALUES (?, ?, ?, ?, ?, ?, 'absent', FALSE)`,
-            [attendanceId, student.id, student.name, student.card_id, today, getCurrentTime()]
-        );
+        if (existing.length > 0) {
+            if (existing[0].status !== 'absent') {
+                return res.json({ 
+                    success: false, 
+                    message: `${student.name} is already marked ${existing[0].status} today` 
+                });
+            }
+
+            // An absence (auto-marked or manual) can still be excused
+            const before = await auditLog.snapshot('attendance', existing[0].id);
+            await pool.execute(
+                `UPDATE attendance SET status = 'excused', reason = ?, auto_marked = FALSE WHERE id = ?`,
+                [reason, existing[0].id]
+            );
+            await auditLog.recordChange({ 
+                actor: getAuditActor(req), 
+                entityType: 'attendance', 
+                entityId: existing[0].id, 
+                action: 'excuse', 
+                before, 
+                reason 
+            });
+        }
 
-        // Clear timer
-        timerManager.clearStudentTimer(student.id);
+        await publishAttendanceEvent(student, { action: 'mark_excused', status: 'excused', reason });
+        await alertEngine.evaluateStudent(student);
 
-        res.json({ success: true, message: `${student.name} marked as absent` });
+        res.json({ success: true, message: `${student.name} marked as excused` });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+// Live Event Stream (Server-Sent Events)
+// ?class=Grade 5A,Grade 5B limits class-specific events to those classes.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay missed events.
+app.get('/api/events', authorize(...ROLES), async (req, res) => {
+    try {
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+        const subscriber = {
+            res,
+            classes: req.query.class ? String(req.query.class).split(',').map(c => c.trim()).filter(Boolean) : [],
+            lastId: Number.isNaN(lastEventId) ? null : lastEventId
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        let heartbeat = null;
+        let closed = false;
+        req.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            liveEvents.unsubscribe(subscriber);
+        });
+
+        await liveEvents.subscribe(subscriber);
+
+        // The client may have gone while the subscription was being set up
+        if (closed) {
+            liveEvents.unsubscribe(subscriber);
+            return;
+        }
+
+        // Comment lines keep proxies from closing an idle stream
+        heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+    } catch (error) {
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, message: error.message });
+        }
+        res.end();
+    }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ 
         success: true, 
         message: 'Server is running', 
-        timestamp: new Date().toISOString() 
+        timestamp: new Date(), 
+        timezone: SCHOOL_TIMEZONE 
     });
 });
 
 // Add this route to your backend server.js
 
 // Get attendance by date
-app.get('/api/attendance/by-date', async (req, res) => {
+app.get('/api/attendance/by-date', authorize(...ROLES), async (req, res) => {
   try {
     const { date } = req.query;
     
@@ -734,9 +8756,8 @@ app.get('/api/attendance/by-date', async (req, res) => {
     }
 
     const [attendance] = await pool.execute(
-      `SELECT a.*, s.class 
+      `SELECT a.*, ROUND(TIME_TO_SEC(TIMEDIFF(a.check_out_time, a.timestamp)) / 60) AS minutes_on_site 
        FROM attendance a 
-       JOIN students s ON a.student_id = s.id 
        WHERE a.date = ? 
        ORDER BY a.timestamp DESC`,
       [date]
@@ -753,10 +8774,14 @@ app.get('/api/attendance/by-date', async (req, res) => {
 const startServer = async () => {
     await initializeDatabase();
     await timerManager.startDaySystem();
+    notificationWorker.start();
+    webhookWorker.start();
+    liveEvents.start();
     
     app.listen(PORT, () => {
         console.log(`🚀 Server running on port ${PORT}`);
         console.log(`📊 School Attendance System Backend Ready`);
+        console.log(`🕒 School timezone: ${SCHOOL_TIMEZONE}`);
         console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
     });
 };
@@ -764,11 +8789,29 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     console.log('🛑 Shutting down server...');
-    timerManager.clearAllTimers();
+    timerManager.stop();
+    notificationWorker.stop();
+    webhookWorker.stop();
+    liveEvents.stop();
     if (pool) {
         await pool.end();
     }
     process.exit(0);
 });
 
-startServer();
\ No newline at end of file
+// The tests load this file for its helpers without starting the server
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    getDateOf,
+    getTimeOf,
+    getMomentOf,
+    getSchoolOffset,
+    formatTimestamp,
+    parseTimestamp,
+    getQuietHoursEnd,
+    buildStudentFile,
+    parseStudentFile
+};
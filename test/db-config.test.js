@@ -0,0 +1,20 @@
+// Connections must work in UTC whatever the MySQL server's or host's timezone is
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { dbConfig, createPool } = require('../db/config');
+
+test('mysql2 reads and writes Dates as UTC and DATE columns as strings', () => {
+    assert.strictEqual(dbConfig.timezone, 'Z');
+    assert.deepStrictEqual(dbConfig.dateStrings, ['DATE']);
+});
+
+test('every pooled connection switches its session to UTC', async () => {
+    const pool = createPool();
+    const queries = [];
+    pool.pool.emit('connection', { query: (sql) => queries.push(sql) });
+    await pool.end();
+
+    assert.deepStrictEqual(queries, ["SET time_zone = '+00:00'"]);
+});
@@ -0,0 +1,31 @@
+// Exported student files must import back unchanged
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildStudentFile, parseStudentFile } = require('../index');
+
+const students = [
+    { name: 'Amina Njeri', card_id: '00123', class: 'Grade 5A', parent_phone: '0788123456', parent_email: 'amina.parent@example.com' },
+    { name: 'Brian Otieno', card_id: '4500000000000001', class: 'Grade 5A', parent_phone: '+254 712 000111', parent_email: '' },
+    { name: 'Chloé, Jr.', card_id: 'A-17', class: 'Grade 6B', parent_phone: '', parent_email: 'c@example.com' },
+    { name: 'Dan', card_id: '1e5', class: '2024-01-01', parent_phone: '007', parent_email: '' }
+];
+
+const expectedRows = students.map((student, index) => ({ rowNumber: index + 2, ...student }));
+
+for (const format of ['csv', 'xlsx']) {
+    test(`a ${format} export imports back with the same rows`, async () => {
+        const buffer = await buildStudentFile(students, format);
+        const parsed = await parseStudentFile({ buffer }, format);
+
+        assert.strictEqual(parsed.error, undefined);
+        assert.deepStrictEqual(parsed.rows, expectedRows);
+    });
+}
+
+test('number-like CSV cells stay text', async () => {
+    const buffer = Buffer.from('name,card_id,class,parent_phone\nAmina,00123,Grade 5A,0788123456\n');
+    const parsed = await parseStudentFile({ buffer }, 'csv');
+
+    assert.strictEqual(parsed.rows[0].card_id, '00123');
+    assert.strictEqual(parsed.rows[0].parent_phone, '0788123456');
+});
@@ -0,0 +1,26 @@
+// A school ahead of UTC with a half-hour offset, on a host behind UTC: school
+// midnight falls on the previous UTC day and the host's date is a day behind.
+process.env.SCHOOL_TIMEZONE = 'Asia/Kolkata';
+process.env.TZ = 'America/Los_Angeles';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getDateOf, getTimeOf, getMomentOf, formatTimestamp } = require('../index');
+
+test('school midnight is 18:30 UTC the day before', () => {
+    assert.strictEqual(getMomentOf('2024-03-05', '00:00').toISOString(), '2024-03-04T18:30:00.000Z');
+    assert.strictEqual(getDateOf(new Date('2024-03-04T18:29:59Z')), '2024-03-04');
+    assert.strictEqual(getDateOf(new Date('2024-03-04T18:30:00Z')), '2024-03-05');
+    assert.strictEqual(getTimeOf(new Date('2024-03-04T18:30:00Z')), '00:00:00');
+});
+
+test('a morning scan is on the school date even while the host is still on the day before', () => {
+    const scan = getMomentOf('2024-03-05', '07:45');
+    assert.strictEqual(scan.toISOString(), '2024-03-05T02:15:00.000Z');
+    assert.strictEqual(getDateOf(scan), '2024-03-05');
+    assert.strictEqual(getTimeOf(scan), '07:45:00');
+});
+
+test('timestamps carry the half-hour offset', () => {
+    assert.strictEqual(formatTimestamp(new Date('2024-03-04T18:30:00Z')), '2024-03-05T00:00:00+05:30');
+});
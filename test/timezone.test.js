@@ -0,0 +1,96 @@
+// School time helpers for a school in New York on a host set to Tokyo, so any
+// use of the host's timezone instead of the school's shows up as a wrong day or hour.
+process.env.SCHOOL_TIMEZONE = 'America/New_York';
+process.env.TZ = 'Asia/Tokyo';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getDateOf, getTimeOf, getMomentOf, formatTimestamp, parseTimestamp, getQuietHoursEnd } = require('../index');
+
+test('a scan just before school midnight belongs to the previous school day', () => {
+    const scan = new Date('2024-03-06T04:59:59Z');
+    assert.strictEqual(getDateOf(scan), '2024-03-05');
+    assert.strictEqual(getTimeOf(scan), '23:59:59');
+});
+
+test('a scan at school midnight starts the next school day', () => {
+    const scan = new Date('2024-03-06T05:00:00Z');
+    assert.strictEqual(getDateOf(scan), '2024-03-06');
+    assert.strictEqual(getTimeOf(scan), '00:00:00');
+});
+
+test('school date and time ignore the host timezone', () => {
+    // 10:00 on the 5th in Tokyo is still the 4th in New York
+    const scan = new Date('2024-03-05T01:00:00Z');
+    assert.strictEqual(getDateOf(scan), '2024-03-04');
+    assert.strictEqual(getTimeOf(scan), '20:00:00');
+});
+
+test('getMomentOf finds the instant the school clock shows a time', () => {
+    assert.strictEqual(getMomentOf('2024-01-15', '08:00').toISOString(), '2024-01-15T13:00:00.000Z');
+    assert.strictEqual(getMomentOf('2024-07-15', '08:00').toISOString(), '2024-07-15T12:00:00.000Z');
+    assert.strictEqual(getMomentOf('2024-03-05', '00:00').toISOString(), '2024-03-05T05:00:00.000Z');
+    assert.strictEqual(getMomentOf('2024-03-05', '23:59:59').toISOString(), '2024-03-06T04:59:59.000Z');
+});
+
+test('getMomentOf moves a time skipped by the spring DST gap forward', () => {
+    // Clocks jump from 02:00 to 03:00 on 2024-03-10
+    const moment = getMomentOf('2024-03-10', '02:30');
+    assert.strictEqual(moment.toISOString(), '2024-03-10T07:30:00.000Z');
+    assert.strictEqual(getDateOf(moment), '2024-03-10');
+    assert.strictEqual(getTimeOf(moment), '03:30:00');
+});
+
+test('getMomentOf keeps times either side of the DST changes', () => {
+    assert.strictEqual(getMomentOf('2024-03-10', '01:59').toISOString(), '2024-03-10T06:59:00.000Z');
+    assert.strictEqual(getMomentOf('2024-03-10', '03:00').toISOString(), '2024-03-10T07:00:00.000Z');
+    // 01:30 happens twice on 2024-11-03; either instant shows that clock time
+    assert.strictEqual(getTimeOf(getMomentOf('2024-11-03', '01:30')), '01:30:00');
+    assert.strictEqual(getMomentOf('2024-11-03', '02:00').toISOString(), '2024-11-03T07:00:00.000Z');
+});
+
+test('school midnight on DST change days', () => {
+    assert.strictEqual(getMomentOf('2024-03-10', '00:00').toISOString(), '2024-03-10T05:00:00.000Z');
+    assert.strictEqual(getMomentOf('2024-03-11', '00:00').toISOString(), '2024-03-11T04:00:00.000Z');
+    assert.strictEqual(getDateOf(new Date('2024-03-11T03:59:59Z')), '2024-03-10');
+    assert.strictEqual(getDateOf(new Date('2024-03-11T04:00:00Z')), '2024-03-11');
+});
+
+test('timestamps are written and read in school time', () => {
+    assert.strictEqual(formatTimestamp(new Date('2024-03-06T04:59:59Z')), '2024-03-05T23:59:59-05:00');
+    assert.strictEqual(formatTimestamp(new Date('2024-07-06T04:59:59Z')), '2024-07-06T00:59:59-04:00');
+    assert.strictEqual(parseTimestamp('2024-03-05T23:59:59').toISOString(), '2024-03-06T04:59:59.000Z');
+    assert.strictEqual(parseTimestamp('2024-03-05T23:59:59Z').toISOString(), '2024-03-05T23:59:59.000Z');
+});
+
+test('quiet hours running over midnight end the next morning', () => {
+    const contact = { quietHoursStart: '22:00:00', quietHoursEnd: '07:00:00' };
+
+    assert.strictEqual(getQuietHoursEnd(contact, getMomentOf('2024-03-05', '12:00')), null);
+    assert.strictEqual(getQuietHoursEnd(contact, getMomentOf('2024-03-05', '21:59')), null);
+    assert.strictEqual(
+        getQuietHoursEnd(contact, getMomentOf('2024-03-05', '22:00')).toISOString(),
+        getMomentOf('2024-03-06', '07:00').toISOString()
+    );
+    assert.strictEqual(
+        getQuietHoursEnd(contact, getMomentOf('2024-03-06', '06:59')).toISOString(),
+        getMomentOf('2024-03-06', '07:00').toISOString()
+    );
+    assert.strictEqual(getQuietHoursEnd(contact, getMomentOf('2024-03-06', '07:00')), null);
+});
+
+test('quiet hours ending after the spring DST change', () => {
+    const contact = { quietHoursStart: '22:00:00', quietHoursEnd: '07:00:00' };
+    const end = getQuietHoursEnd(contact, getMomentOf('2024-03-09', '23:00'));
+    assert.strictEqual(end.toISOString(), '2024-03-10T11:00:00.000Z');
+});
+
+test('quiet hours within a day', () => {
+    const contact = { quietHoursStart: '12:00:00', quietHoursEnd: '14:00:00' };
+    assert.strictEqual(
+        getQuietHoursEnd(contact, getMomentOf('2024-03-05', '13:00')).toISOString(),
+        getMomentOf('2024-03-05', '14:00').toISOString()
+    );
+    assert.strictEqual(getQuietHoursEnd(contact, getMomentOf('2024-03-05', '14:30')), null);
+    assert.strictEqual(getQuietHoursEnd({ quietHoursStart: null, quietHoursEnd: null }), null);
+});